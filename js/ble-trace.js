@@ -0,0 +1,147 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  BLE session traffic trace, fed by js/ble-transport.js
+     Exposes window.BleTrace with:
+      begin(meta)                start a new trace (drops the previous one)
+      record(type, detail)       append an event; t = ms since begin()
+      clear()
+      getEvents()
+      stats()                    per-direction counts, bytes and throughput
+      subscribe(listener)        listener(event) per event, listener(null) on
+                                 begin/clear; returns an unsubscribe function
+      exportJson()               { meta, stats, events } as a JSON string
+     Event types: connect, ident, notifications, state-write, state-notify,
+     chunk-size, c2s-fragment, c2s-write-failed, c2s-message, s2c-fragment,
+     rx-timeout, s2c-message, disconnect
+*/
+
+(function () {
+    const MAX_EVENTS = 20000;
+    const now = () =>
+        typeof performance !== "undefined" && performance.now
+            ? performance.now()
+            : Date.now();
+
+    let meta = null;
+    let startedAt = null;
+    let events = [];
+    let dropped = 0;
+    const listeners = new Set();
+
+    function notify(event) {
+        for (const fn of listeners) {
+            try {
+                fn(event);
+            } catch (e) {
+                console.warn("BleTrace listener failed", e);
+            }
+        }
+    }
+
+    function begin(info = {}) {
+        meta = { startedAt: new Date().toISOString(), ...info };
+        startedAt = now();
+        events = [];
+        dropped = 0;
+        notify(null);
+    }
+
+    function clear() {
+        meta = null;
+        startedAt = null;
+        events = [];
+        dropped = 0;
+        notify(null);
+    }
+
+    function record(type, detail = {}) {
+        if (startedAt === null) begin();
+        const event = {
+            t: Math.round((now() - startedAt) * 10) / 10,
+            type,
+            ...detail,
+        };
+        events.push(event);
+        // Keep memory bounded on very long sessions
+        if (events.length > MAX_EVENTS) {
+            events.shift();
+            dropped++;
+        }
+        notify(event);
+        return event;
+    }
+
+    function directionStats(messageType, fragmentType) {
+        const messages = events.filter((e) => e.type === messageType);
+        const fragments = events.filter((e) => e.type === fragmentType);
+        const bytes = messages.reduce((n, e) => n + (e.size || 0), 0);
+        const activeMs = messages.reduce((n, e) => n + (e.durationMs || 0), 0);
+        const sizes = fragments.map((e) => e.size || 0);
+        return {
+            messages: messages.length,
+            fragments: fragments.length,
+            bytes,
+            activeMs: Math.round(activeMs),
+            // Payload bytes per second while a message was in flight
+            throughputBps:
+                activeMs > 0 ? Math.round(bytes / (activeMs / 1000)) : null,
+            largestFragment: sizes.length ? Math.max(...sizes) : null,
+        };
+    }
+
+    function stats() {
+        const chunkEvents = events.filter((e) => e.type === "chunk-size");
+        const delays = events
+            .filter(
+                (e) => e.type === "s2c-message" && e.responseDelayMs != null,
+            )
+            .map((e) => e.responseDelayMs);
+        return {
+            durationMs: events.length ? events[events.length - 1].t : 0,
+            events: events.length,
+            dropped,
+            c2s: directionStats("c2s-message", "c2s-fragment"),
+            s2c: directionStats("s2c-message", "s2c-fragment"),
+            chunkSize: chunkEvents.length
+                ? chunkEvents[chunkEvents.length - 1].chunk
+                : null,
+            // Request written → first response fragment
+            walletResponseMs: delays.length
+                ? {
+                      count: delays.length,
+                      avg: Math.round(
+                          delays.reduce((n, d) => n + d, 0) / delays.length,
+                      ),
+                      max: Math.max(...delays),
+                  }
+                : null,
+            writeFailures: events.filter((e) => e.type === "c2s-write-failed")
+                .length,
+            rxTimeouts: events.filter((e) => e.type === "rx-timeout").length,
+            timeoutAssemblies: events.filter(
+                (e) => e.type === "s2c-message" && e.reason !== "final-flag",
+            ).length,
+        };
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function exportJson() {
+        return JSON.stringify({ meta, stats: stats(), events }, null, 2);
+    }
+
+    window.BleTrace = {
+        begin,
+        record,
+        clear,
+        getEvents: () => events.slice(),
+        stats,
+        subscribe,
+        exportJson,
+    };
+})();
@@ -4,12 +4,14 @@
 
   ISO 18013-5 BLE transport
      Exposes window.BLE with:
-      init({ onAssembled, logger, defaultChunk })
-      connect(serviceUUID)
+      init({ onAssembled, onStateEnd, logger, defaultChunk })
+      connect(serviceUUID, { expectedIdent, allowMissingIdent })
       writeState(byte)
       sendFragmented(payload, chunkSize)
       disconnect()
       isConnected()
+     Every GATT event is also recorded in window.BleTrace (js/ble-trace.js)
+     when that module is loaded.
 */
 
 (function () {
@@ -17,6 +19,7 @@
         state: "00000001-a123-48ce-896b-4c76973373e6",
         c2s: "00000002-a123-48ce-896b-4c76973373e6",
         s2c: "00000003-a123-48ce-896b-4c76973373e6",
+        ident: "00000008-a123-48ce-896b-4c76973373e6",
     };
 
     let device = null,
@@ -27,15 +30,34 @@
         chS2C = null;
 
     let rxBuffer = [];
+    // First-fragment time and fragment count of the message being reassembled
+    let rxStartedAt = 0;
+    let rxFragments = 0;
+    // End of the last C→S message, to time the wallet's answer
+    let txEndedAt = null;
     let rxTimer = null;
     let rxLastLen = 0;
     let rxStalledCount = 0;
 
     let onAssembled = null;
+    // Called when the wallet writes 0x02 "End" to the state characteristic
+    let onStateEnd = null;
     let defaultChunk = 244;
     // Negotiated/effective chunk size discovered during the session
     let negotiatedChunkSize = null;
     let notificationsActive = false;
+    let stateNotificationsActive = false;
+    // "verified" | "absent" | "mismatch" | "failed" | "unchecked" for the
+    // last connect()
+    let identStatus = null;
+
+    const now = () =>
+        typeof performance !== "undefined" ? performance.now() : Date.now();
+    function trace(type, detail) {
+        try {
+            window.BleTrace?.record(type, detail);
+        } catch {}
+    }
 
     function calcRxTimeout(len) {
         // Be more generous to avoid premature flush on slower links/devices
@@ -56,6 +78,16 @@
     }
 
     async function processAssembled(assembled, reason) {
+        trace("s2c-message", {
+            size: assembled.length,
+            fragments: rxFragments,
+            reason,
+            durationMs: Math.round(now() - rxStartedAt),
+            // Request written → first response fragment (wallet processing)
+            responseDelayMs:
+                txEndedAt === null ? null : Math.round(rxStartedAt - txEndedAt),
+        });
+        txEndedAt = null;
         try {
             if (typeof onAssembled === "function")
                 await onAssembled(assembled, reason);
@@ -73,7 +105,12 @@
         if (data.length === 0) return;
         const flag = data[0];
         const chunk = data.slice(1);
+        if (!rxBuffer.length) {
+            rxStartedAt = now();
+            rxFragments = 0;
+        }
         rxBuffer.push(chunk);
+        rxFragments++;
         console.log(
             `S→C notify: flag=0x${flag.toString(16)} len=${chunk.length}`,
         );
@@ -83,10 +120,17 @@
         } catch {}
         const currentLen = rxBuffer.reduce((n, a) => n + a.length, 0);
         const timeoutMs = calcRxTimeout(currentLen);
+        trace("s2c-fragment", {
+            flag,
+            size: chunk.length,
+            buffered: currentLen,
+            timeoutMs: flag === 0x00 ? null : timeoutMs,
+        });
         rxTimer = setTimeout(async () => {
             try {
                 const pendingLen = rxBuffer.reduce((n, a) => n + a.length, 0);
                 if (pendingLen > 0) {
+                    trace("rx-timeout", { timeoutMs, buffered: pendingLen });
                     const assembled = new Uint8Array(pendingLen);
                     let o = 0;
                     for (const seg of rxBuffer) {
@@ -121,6 +165,13 @@
                                             (n, a) => n + a.length,
                                             0,
                                         );
+                                        trace("rx-timeout", {
+                                            timeoutMs: Math.round(
+                                                calcRxTimeout(pendingLen) * 1.5,
+                                            ),
+                                            buffered: plen2,
+                                            retry: rxStalledCount,
+                                        });
                                         const a2 = new Uint8Array(plen2);
                                         let o2 = 0;
                                         for (const s of rxBuffer) {
@@ -214,11 +265,75 @@
     }
     const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-    async function connect(serviceUUID) {
+    const toHex = (bytes) =>
+        Array.from(bytes)
+            .map((b) => b.toString(16).padStart(2, "0"))
+            .join("");
+
+    // ISO 18013-5 8.3.3.1.1.4: in mdoc peripheral server mode the Ident
+    // characteristic holds HKDF(EDeviceKeyBytes, "BLEIdent"), which ties the
+    // GATT server to the Device Engagement that was scanned.
+    // Returns "verified", or "absent" when allowMissing is set and the
+    // characteristic does not exist. Throws on a mismatch, a timeout or any
+    // other read failure; the error carries identStatus.
+    async function verifyIdent(expectedIdent, allowMissing) {
+        const failure = (status, message) =>
+            Object.assign(new Error(message), { identStatus: status });
+        let chIdent;
+        try {
+            chIdent = await withTimeout(
+                service.getCharacteristic(UUIDS.ident),
+                5000,
+                "getting ident characteristic",
+            );
+        } catch (e) {
+            if (e?.name === "NotFoundError" && allowMissing) {
+                console.log(
+                    "⚠️ Ident characteristic not exposed; peripheral identity not verified",
+                );
+                return "absent";
+            }
+            throw failure(
+                "failed",
+                e?.name === "NotFoundError"
+                    ? "BLE Ident characteristic not exposed by the peripheral; its identity cannot be checked against the scanned Device Engagement"
+                    : `BLE Ident check failed: ${e?.message || e}`,
+            );
+        }
+        let value;
+        try {
+            value = await withTimeout(
+                chIdent.readValue(),
+                5000,
+                "reading ident characteristic",
+            );
+        } catch (e) {
+            throw failure(
+                "failed",
+                `BLE Ident check failed: ${e?.message || e}`,
+            );
+        }
+        const ident = new Uint8Array(
+            value.buffer,
+            value.byteOffset,
+            value.byteLength,
+        );
+        const expected = toHex(expectedIdent);
+        if (toHex(ident) !== expected)
+            throw failure(
+                "mismatch",
+                `BLE Ident mismatch: peripheral reports ${toHex(ident) || "(empty)"}, expected ${expected} from the scanned Device Engagement. Another device may be advertising the same service.`,
+            );
+        console.log(`✓ Ident verified (${expected})`);
+        return "verified";
+    }
+
+    async function connect(serviceUUID, options = {}) {
         if (!serviceUUID) throw new Error("Service UUID required");
         if (!navigator.bluetooth)
             throw new Error("Web Bluetooth not supported");
 
+        window.BleTrace?.begin({ serviceUUID, defaultChunk });
         console.log(`🔎 Requesting device for service ${serviceUUID}…`);
         device = await navigator.bluetooth.requestDevice({
             filters: [{ services: [serviceUUID] }],
@@ -227,9 +342,14 @@
         console.log(
             `Device selected: ${device.name || "(unnamed)"} (${device.id})`,
         );
+        trace("connect", {
+            phase: "device-selected",
+            name: device.name || null,
+        });
 
         device.addEventListener("gattserverdisconnected", () => {
             console.log("📱 Wallet disconnected from reader.");
+            trace("disconnect", { by: "link" });
             server = service = chState = chC2S = chS2C = null;
         });
 
@@ -251,6 +371,7 @@
                         "connecting to GATT",
                     );
                     console.log("✓ GATT connected");
+                    trace("connect", { phase: "gatt", attempt: i + 1 });
                     // Reset negotiated chunk for a fresh session
                     negotiatedChunkSize = null;
                     return;
@@ -258,6 +379,11 @@
                     console.log(
                         `❌ ${e.message || e}${i < tries ? " — retrying…" : ""}`,
                     );
+                    trace("connect", {
+                        phase: "gatt-failed",
+                        attempt: i + 1,
+                        error: e.message || String(e),
+                    });
                     if (typeof device.watchAdvertisements === "function") {
                         try {
                             console.log("📡 Watching advertisements for 2s…");
@@ -301,6 +427,24 @@
             "getting s2c characteristic",
         );
         console.log("✓ Characteristics ready");
+        trace("connect", { phase: "characteristics" });
+
+        if (options.expectedIdent) {
+            try {
+                identStatus = await verifyIdent(
+                    options.expectedIdent,
+                    !!options.allowMissingIdent,
+                );
+            } catch (e) {
+                identStatus = e.identStatus || "failed";
+                trace("ident", { status: identStatus });
+                disconnect();
+                throw e;
+            }
+        } else {
+            identStatus = "unchecked";
+        }
+        trace("ident", { status: identStatus });
 
         if (!notificationsActive) {
             console.log("🔔 Enabling notifications on s2c…");
@@ -314,17 +458,53 @@
                 handleServer2Client,
             );
             notificationsActive = true;
+            trace("notifications", { characteristic: "s2c" });
             console.log("GATT ready. Notifications enabled.");
         } else {
             // Avoid duplicate log spam if connect() was invoked twice rapidly
             console.log("GATT ready. Notifications enabled.");
         }
+
+        // Optional: not every wallet exposes notify on the state characteristic
+        if (!stateNotificationsActive) {
+            try {
+                await withTimeout(
+                    chState.startNotifications(),
+                    3000,
+                    "starting state notifications",
+                );
+                chState.addEventListener(
+                    "characteristicvaluechanged",
+                    handleStateChange,
+                );
+                stateNotificationsActive = true;
+                trace("notifications", { characteristic: "state" });
+            } catch (e) {
+                console.log(
+                    `ℹ️ State notifications unavailable (${e.message || e})`,
+                );
+            }
+        }
+    }
+
+    function handleStateChange(event) {
+        const value = event.target.value;
+        if (!value || value.byteLength < 1) return;
+        const byte = value.getUint8(0);
+        console.log(`📶 Wallet state: 0x${byte.toString(16)}`);
+        trace("state-notify", { value: byte });
+        if (byte === 0x02 && typeof onStateEnd === "function") {
+            Promise.resolve(onStateEnd()).catch((e) =>
+                console.log(`⚠️ onStateEnd failed: ${e.message || e}`),
+            );
+        }
     }
 
     async function writeState(byte) {
         if (!chState) throw new Error("State characteristic not available");
         await chState.writeValueWithoutResponse(Uint8Array.of(byte));
         console.log(`State set to 0x${byte.toString(16)}`);
+        trace("state-write", { value: byte });
     }
 
     async function sendFragmented(payload, chunkSize) {
@@ -341,6 +521,8 @@
 
         const MIN_CHUNK = 20; // ATT default usable payload when MTU=23
 
+        const startedAt = now();
+        let fragments = 0;
         let off = 0;
         while (off < payload.length) {
             const rem = payload.length - off;
@@ -357,7 +539,19 @@
                 try {
                     await chC2S.writeValueWithoutResponse(frag);
                     // Success: advance and cache negotiated size if we discovered smaller-than-default
-                    negotiatedChunkSize = Math.min(currentChunk, defaultChunk);
+                    const negotiated = Math.min(currentChunk, defaultChunk);
+                    if (negotiated !== negotiatedChunkSize)
+                        trace("chunk-size", {
+                            chunk: negotiated,
+                            previous: negotiatedChunkSize,
+                        });
+                    negotiatedChunkSize = negotiated;
+                    fragments++;
+                    trace("c2s-fragment", {
+                        flag: frag[0],
+                        size: take,
+                        chunk: currentChunk,
+                    });
                     console.log(
                         `C→S write: flag=0x${frag[0].toString(
                             16,
@@ -372,6 +566,12 @@
                         MIN_CHUNK,
                         Math.floor(currentChunk / 2),
                     );
+                    trace("c2s-write-failed", {
+                        size: take,
+                        chunk: prev,
+                        nextChunk: currentChunk === prev ? null : currentChunk,
+                        error: e && e.message ? e.message : String(e),
+                    });
                     if (currentChunk === prev) {
                         // We're already at minimum; rethrow
                         throw e;
@@ -390,6 +590,12 @@
             if (off < payload.length)
                 await new Promise((r) => setTimeout(r, 10));
         }
+        txEndedAt = now();
+        trace("c2s-message", {
+            size: payload.length,
+            fragments,
+            durationMs: Math.round(now() - startedAt),
+        });
     }
 
     function _removeNotificationsListener() {
@@ -406,6 +612,14 @@
             }
         } catch {}
         notificationsActive = false;
+        try {
+            if (chState)
+                chState.removeEventListener(
+                    "characteristicvaluechanged",
+                    handleStateChange,
+                );
+        } catch {}
+        stateNotificationsActive = false;
     }
 
     function disconnect() {
@@ -413,10 +627,12 @@
             _removeNotificationsListener();
             if (device?.gatt?.connected) {
                 console.log("🔌 Disconnecting BLE…");
+                trace("disconnect", { by: "reader" });
                 device.gatt.disconnect();
             }
         } catch {}
         resetRx();
+        txEndedAt = null;
         negotiatedChunkSize = null;
         device = server = service = chState = chC2S = chS2C = null;
     }
@@ -430,6 +646,7 @@
         if (typeof opts.logger === "function") logger = opts.logger;
         if (typeof opts.onAssembled === "function")
             onAssembled = opts.onAssembled;
+        if (typeof opts.onStateEnd === "function") onStateEnd = opts.onStateEnd;
         if (opts.defaultChunk) defaultChunk = opts.defaultChunk | 0;
     }
 
@@ -443,5 +660,6 @@
         isConnected,
         _calcRxTimeout: calcRxTimeout,
         getNegotiatedChunkSize: () => negotiatedChunkSize || null,
+        getIdentStatus: () => identStatus,
     };
 })();
@@ -0,0 +1,285 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  ISO 18013-5 Annex B certificate profile linter
+     Exposes window.CertProfile with:
+      PROFILES
+      lintCertificate(certOrDer, profile, { issuer })
+      lintPem(pem, profile)
+     profile is one of "iaca", "ds", "reader"
+*/
+
+(function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Annex B profile rules (tables B.1, B.3 and B.7)
+    const PROFILES = {
+        iaca: {
+            label: "IACA root",
+            maxValidityDays: Math.floor(20 * 365.25),
+            keyUsage: ["keyCertSign", "cRLSign"],
+            extKeyUsage: null,
+            requireCountry: true,
+            requireIssuerAltName: true,
+            requireCrlDistributionPoints: true,
+            ca: true,
+        },
+        ds: {
+            label: "Document Signer",
+            maxValidityDays: 457,
+            keyUsage: ["digitalSignature"],
+            extKeyUsage: "1.0.18013.5.1.2",
+            requireCountry: true,
+            requireIssuerAltName: true,
+            requireCrlDistributionPoints: true,
+            ca: false,
+        },
+        reader: {
+            label: "mdoc reader authentication",
+            maxValidityDays: 1187,
+            keyUsage: ["digitalSignature"],
+            extKeyUsage: "1.0.18013.5.1.6",
+            requireCountry: false,
+            requireIssuerAltName: false,
+            requireCrlDistributionPoints: false,
+            ca: false,
+        },
+    };
+
+    function lintCertificate(certOrDer, profile, options = {}) {
+        const rules = PROFILES[profile];
+        if (!rules) throw new Error(`Unknown certificate profile: ${profile}`);
+        const result = {
+            profile,
+            profileLabel: rules.label,
+            subject: null,
+            findings: [],
+            errors: 0,
+            warnings: 0,
+            conformant: false,
+        };
+        const add = (severity, rule, message) => {
+            result.findings.push({ severity, rule, message });
+            if (severity === "error") result.errors++;
+            else result.warnings++;
+        };
+
+        let cert;
+        try {
+            cert =
+                certOrDer && certOrDer.tbsCertificate
+                    ? certOrDer
+                    : window.X509.parseCertificate(certOrDer);
+        } catch (e) {
+            add(
+                "error",
+                "encoding",
+                `Certificate could not be parsed: ${e.message}`,
+            );
+            return result;
+        }
+        result.subject = cert.subject.dn;
+        const ext = (oid) => cert.extensions.find((e) => e.oid === oid);
+        const OIDS = window.X509.OIDS;
+
+        if (cert.version !== 3)
+            add(
+                "error",
+                "version",
+                `X.509 v3 required (found v${cert.version})`,
+            );
+
+        // serialNumber: positive, non-zero, at most 20 octets, >= 63 random bits
+        const serialBytes = (cert.serialNumber.match(/../g) || []).map((h) =>
+            parseInt(h, 16),
+        );
+        if (serialBytes.length === 0 || serialBytes[0] & 0x80)
+            add("error", "serialNumber", "Serial number must be positive");
+        else {
+            const significant = serialBytes.slice(
+                serialBytes.findIndex((b) => b !== 0),
+            );
+            if (serialBytes.every((b) => b === 0))
+                add("error", "serialNumber", "Serial number must be non-zero");
+            else if (serialBytes.length > 20)
+                add(
+                    "error",
+                    "serialNumber",
+                    `Serial number is ${serialBytes.length} octets (max 20)`,
+                );
+            else if (
+                significant.length * 8 - Math.clz32(significant[0]) + 24 <
+                63
+            )
+                add(
+                    "warning",
+                    "serialNumber",
+                    "Serial number carries fewer than 63 bits (should be CSPRNG output)",
+                );
+        }
+
+        // Subject / issuer naming
+        const country = cert.subject.get("C");
+        if (!cert.subject.get("CN"))
+            add("error", "subject", "Subject commonName missing");
+        if (rules.requireCountry && !country)
+            add("error", "subject", "Subject countryName missing");
+        if (country && !/^[A-Z]{2}$/.test(country))
+            add(
+                "error",
+                "subject",
+                `countryName "${country}" is not an ISO 3166-1 alpha-2 code`,
+            );
+        if (profile === "iaca" && !cert.selfIssued)
+            add("error", "issuer", "IACA issuer must equal subject");
+        if (options.issuer && country) {
+            const issuerCountry = options.issuer.subject.get("C");
+            if (issuerCountry && issuerCountry !== country)
+                add(
+                    "error",
+                    "subject",
+                    `countryName ${country} differs from issuing CA (${issuerCountry})`,
+                );
+        }
+
+        // Validity period
+        if (cert.notBefore && cert.notAfter) {
+            const days = Math.round(
+                (cert.notAfter.getTime() - cert.notBefore.getTime()) / DAY_MS,
+            );
+            if (days > rules.maxValidityDays)
+                add(
+                    "error",
+                    "validity",
+                    `Validity period is ${days} days (max ${rules.maxValidityDays})`,
+                );
+        } else {
+            add("error", "validity", "Validity period could not be read");
+        }
+
+        // keyUsage: critical, exactly the profile bits
+        const ku = ext(OIDS.keyUsage);
+        if (!ku) add("error", "keyUsage", "keyUsage extension missing");
+        else {
+            if (!ku.critical)
+                add("error", "keyUsage", "keyUsage must be critical");
+            const usages = ku.parsed?.usages || [];
+            const missing = rules.keyUsage.filter((u) => !usages.includes(u));
+            const extra = usages.filter((u) => !rules.keyUsage.includes(u));
+            if (missing.length)
+                add("error", "keyUsage", `Missing: ${missing.join(", ")}`);
+            if (extra.length)
+                add("error", "keyUsage", `Not allowed: ${extra.join(", ")}`);
+        }
+
+        // extendedKeyUsage
+        const eku = ext(OIDS.extKeyUsage);
+        if (rules.extKeyUsage) {
+            if (!eku)
+                add(
+                    "error",
+                    "extKeyUsage",
+                    `extKeyUsage ${rules.extKeyUsage} missing`,
+                );
+            else {
+                if (!eku.critical)
+                    add("error", "extKeyUsage", "extKeyUsage must be critical");
+                if (!(eku.parsed?.oids || []).includes(rules.extKeyUsage))
+                    add(
+                        "error",
+                        "extKeyUsage",
+                        `extKeyUsage does not contain ${rules.extKeyUsage}`,
+                    );
+            }
+        } else if (eku) {
+            add("warning", "extKeyUsage", "extKeyUsage not expected on IACA");
+        }
+
+        // basicConstraints
+        const bc = ext(OIDS.basicConstraints);
+        if (rules.ca) {
+            if (!bc)
+                add("error", "basicConstraints", "basicConstraints missing");
+            else {
+                if (!bc.critical)
+                    add(
+                        "error",
+                        "basicConstraints",
+                        "basicConstraints must be critical",
+                    );
+                if (!bc.parsed?.cA)
+                    add("error", "basicConstraints", "cA must be true");
+                if (bc.parsed?.pathLen !== 0)
+                    add(
+                        "error",
+                        "basicConstraints",
+                        `pathLenConstraint must be 0 (found ${bc.parsed?.pathLen ?? "none"})`,
+                    );
+            }
+        } else if (bc?.parsed?.cA) {
+            add("error", "basicConstraints", "End-entity certificate is a CA");
+        }
+
+        // Key identifiers
+        if (!ext(OIDS.subjectKeyIdentifier))
+            add(
+                "error",
+                "subjectKeyIdentifier",
+                "subjectKeyIdentifier missing",
+            );
+        if (!rules.ca && !ext(OIDS.authorityKeyIdentifier))
+            add(
+                "error",
+                "authorityKeyIdentifier",
+                "authorityKeyIdentifier missing",
+            );
+
+        // issuerAltName and CRL distribution points
+        const ian = ext(OIDS.issuerAltName);
+        if (!ian) {
+            if (rules.requireIssuerAltName)
+                add("error", "issuerAltName", "issuerAltName missing");
+        } else if (ian.critical) {
+            add("error", "issuerAltName", "issuerAltName must be non-critical");
+        }
+        const crl = ext(OIDS.crlDistributionPoints);
+        if (!crl) {
+            if (rules.requireCrlDistributionPoints)
+                add(
+                    "error",
+                    "crlDistributionPoints",
+                    "CRL distribution points missing",
+                );
+        } else if (crl.critical) {
+            add(
+                "error",
+                "crlDistributionPoints",
+                "CRL distribution points must be non-critical",
+            );
+        }
+
+        if (
+            !/^1\.2\.840\.10045\.4\.3\./.test(cert.signatureAlgorithm) &&
+            !window.X509.OKP_CURVES[cert.signatureAlgorithm]
+        )
+            add(
+                "warning",
+                "signatureAlgorithm",
+                `Signature algorithm ${cert.signatureAlgorithm} is not ECDSA or EdDSA`,
+            );
+
+        result.conformant = result.errors === 0;
+        return result;
+    }
+
+    function lintPem(pem, profile) {
+        return lintCertificate(window.X509.pemToDer(pem), profile);
+    }
+
+    window.CertProfile = {
+        PROFILES,
+        lintCertificate,
+        lintPem,
+    };
+})();
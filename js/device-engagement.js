@@ -4,6 +4,16 @@
 
   Device Engagement module
   Parses mdoc URI, extracts DeviceEngagement, BLE options, and wallet eSenderKey
+  decodeDeviceEngagement(deBytes) decodes every DeviceEngagement field (all
+  retrieval methods, server retrieval, origin infos, capabilities) with CDDL
+  findings and marks the methods this reader supports (READER_SUPPORT).
+  NFC static handover: parseNfcHandover(ndefBytes) reads a Handover Select
+  message (Hs record, BLE OOB carrier record, DeviceEngagement record) and
+  returns the same engagement object plus the NFC Handover for the
+  SessionTranscript. parseNdefMessage / encodeNdefMessage work on raw NDEF
+  bytes; ndefMessageFromWebNfc re-serializes a Web NFC NDEFMessage, which
+  only matches the wallet's bytes when it used short records wherever
+  possible.
 */
 
 (function () {
@@ -242,10 +252,26 @@
         return takeFirst(found);
     }
 
+    function asUuidString(bytes) {
+        if (!(bytes instanceof Uint8Array) || bytes.length !== 16) return null;
+        const h = [...bytes]
+            .map((b) => b.toString(16).padStart(2, "0"))
+            .join("");
+        return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(
+            16,
+            20,
+        )}-${h.slice(20)}`;
+    }
+
     function parseMdocUriAndDE(uri) {
+        return parseDeviceEngagement(extractCborFromMdocUri(uri));
+    }
+
+    // requireBle: false when the BLE options travel outside the
+    // DeviceEngagement (NFC handover carrier record)
+    function parseDeviceEngagement(deBytes, { requireBle = true } = {}) {
         const CBOR = getCBOR();
         if (!CBOR) throw new Error("CBOR library not available");
-        const deBytes = extractCborFromMdocUri(uri);
         let de;
         try {
             de = CBOR.decode(deBytes);
@@ -262,24 +288,14 @@
             }
         }
         const bo = tryExtractBleOptions(de);
-        if (!bo) throw new Error("BLE options not found in Device Engagement");
-        const asUuidString = (bytes) => {
-            if (!(bytes instanceof Uint8Array) || bytes.length !== 16)
-                return null;
-            const h = [...bytes]
-                .map((b) => b.toString(16).padStart(2, "0"))
-                .join("");
-            return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(
-                16,
-                20,
-            )}-${h.slice(20)}`;
-        };
-        const uuid = bo.uuidStr
+        if (!bo && requireBle)
+            throw new Error("BLE options not found in Device Engagement");
+        const uuid = bo?.uuidStr
             ? bo.uuidStr
-            : bo.uuidBytes
+            : bo?.uuidBytes
               ? asUuidString(bo.uuidBytes)
               : null;
-        const addr = bo.addrBytes
+        const addr = bo?.addrBytes
             ? Array.from(bo.addrBytes)
                   .map((b) => b.toString(16).padStart(2, "0"))
                   .join(":")
@@ -323,6 +339,9 @@
         }
         if (!coseKey) {
             const CBOR = getCBOR();
+            // EC2 keys carry x and y; OKP (X25519/X448) keys only x
+            const isKey = (kty, crv, x, y) =>
+                ((kty === 2 && y) || kty === 1) && crv && x;
             const scan = (o) => {
                 if (!o) return null;
                 if (
@@ -334,31 +353,35 @@
                         const decoded = CBOR.decode(o.value);
                         if (decoded instanceof Map) {
                             if (
-                                decoded.get(1) === 2 &&
-                                decoded.get(-1) &&
-                                decoded.get(-2) &&
-                                decoded.get(-3)
+                                isKey(
+                                    decoded.get(1),
+                                    decoded.get(-1),
+                                    decoded.get(-2),
+                                    decoded.get(-3),
+                                )
                             )
                                 return decoded;
                         } else if (
                             typeof decoded === "object" &&
-                            decoded[1] === 2 &&
-                            decoded[-1] &&
-                            decoded[-2] &&
-                            decoded[-3]
+                            isKey(
+                                decoded[1],
+                                decoded[-1],
+                                decoded[-2],
+                                decoded[-3],
+                            )
                         )
                             return decoded;
                     } catch (_) {}
                 }
                 if (o instanceof Map) {
-                    if (o.get(1) === 2 && o.get(-1) && o.get(-2) && o.get(-3))
+                    if (isKey(o.get(1), o.get(-1), o.get(-2), o.get(-3)))
                         return o;
                     for (const [, v] of o.entries()) {
                         const r = scan(v);
                         if (r) return r;
                     }
                 } else if (typeof o === "object" && !Array.isArray(o)) {
-                    if (o[1] === 2 && o[-1] && o[-2] && o[-3]) return o;
+                    if (isKey(o[1], o[-1], o[-2], o[-3])) return o;
                     for (const [, v] of Object.entries(o)) {
                         const r = scan(v);
                         if (r) return r;
@@ -379,13 +402,742 @@
             coseKey instanceof Map ? coseKey.get(k) : coseKey[k];
         const xField = getField(-2) || getField("x");
         const yField = getField(-3) || getField("y");
+        const crv = getField(-1) ?? getField("crv") ?? 1;
+        // Coordinate sizes depend on the EDeviceKey curve
+        const curve = window.SessionCrypto.sessionCurve(crv);
         const x = new Uint8Array(xField);
-        const y = new Uint8Array(yField);
-        if (x.length !== 32 || y.length !== 32)
+        const y = curve.kty === 2 ? new Uint8Array(yField || []) : null;
+        if (x.length !== curve.size || (y && y.length !== curve.size))
+            throw new Error(
+                `Invalid ${curve.name} COSE_Key coordinates: x=${x.length}, y=${y ? y.length : "-"}`,
+            );
+        // EDeviceKeyBytes = #6.24(bstr .cbor COSE_Key), as carried in
+        // Security = [cipherSuiteIdentifier, EDeviceKeyBytes] (DE key 1);
+        // needed for the BLE Ident check
+        const security = de instanceof Map ? de.get(1) : de?.[1];
+        const sec = Array.isArray(security) ? security[1] : null;
+        const eDeviceKeyBytes =
+            sec instanceof CBOR.Tagged && sec.tag === 24
+                ? window.SessionCrypto.encodeTag24ByteString(
+                      new Uint8Array(sec.value),
+                  )
+                : null;
+        return { deBytes, uuid, addr, x, y, crv, coseKey, eDeviceKeyBytes };
+    }
+
+    // ==== DeviceEngagement decoder (ISO 18013-5 8.2.1.1, 2nd edition fields) ====
+    const RETRIEVAL_TYPES = { 1: "NFC", 2: "BLE", 3: "Wi-Fi Aware" };
+    const RETRIEVAL_OPTIONS = {
+        1: {
+            0: "maxLenCommandData",
+            1: "maxLenResponseData",
+        },
+        2: {
+            0: "peripheralServerMode",
+            1: "centralClientMode",
+            10: "peripheralServerModeUuid",
+            11: "centralClientModeUuid",
+            20: "peripheralServerModeDeviceAddress",
+            // Multipaz extension, not in the ISO CDDL
+            2023: "peripheralServerModeL2capPsm",
+        },
+        3: {
+            0: "passPhrase",
+            1: "channelInfoOperatingClass",
+            2: "channelInfoChannelNumber",
+            3: "bandInfoSupportedBands",
+        },
+    };
+    const CAPABILITIES = {
+        2: "handoverSessionEstablishmentSupport",
+        3: "readerAuthAllSupport",
+    };
+    const ORIGIN_CATEGORIES = { 0: "Delivery", 1: "Receive" };
+
+    // What this page can act on; pages with other transports may override
+    const READER_SUPPORT = {
+        blePeripheralServer: true, // Web Bluetooth central → mdoc peripheral
+        bleCentralClient: false, // would need the reader to advertise
+        bleL2cap: false, // Web Bluetooth has no L2CAP channels
+        nfc: false, // Web NFC reads NDEF only, no ISO-DEP APDUs
+        wifiAware: false,
+        serverRetrieval: false,
+    };
+
+    const isUint = (v) => Number.isInteger(v) && v >= 0;
+    const isBytes = (v) => v instanceof Uint8Array || v instanceof ArrayBuffer;
+    const bytesHex = (v, sep = "") =>
+        Array.from(new Uint8Array(v))
+            .map((b) => b.toString(16).padStart(2, "0"))
+            .join(sep);
+    const mapEntries = (m) =>
+        m instanceof Map
+            ? [...m.entries()]
+            : Object.entries(m).map(([k, v]) =>
+                  /^-?\d+$/.test(k) ? [Number(k), v] : [k, v],
+              );
+    const isMap = (m) =>
+        m instanceof Map ||
+        (m !== null &&
+            typeof m === "object" &&
+            !Array.isArray(m) &&
+            !isBytes(m) &&
+            !(m instanceof getCBOR().Tagged));
+    const getKey = (m, k) => (m instanceof Map ? m.get(k) : m?.[k]);
+
+    function displayValue(v) {
+        if (v === null || v === undefined) return String(v);
+        if (isBytes(v)) return `h'${bytesHex(v)}'`;
+        if (v instanceof getCBOR().Tagged)
+            return `${v.tag}(${displayValue(v.value)})`;
+        if (Array.isArray(v)) return `[${v.map(displayValue).join(", ")}]`;
+        if (isMap(v))
+            return `{${mapEntries(v)
+                .map(([k, val]) => `${k}: ${displayValue(val)}`)
+                .join(", ")}}`;
+        return typeof v === "string" ? JSON.stringify(v) : String(v);
+    }
+
+    function decodeRetrievalMethod(method, path, add) {
+        const out = {
+            type: null,
+            typeName: "unknown",
+            version: null,
+            options: [],
+            supported: false,
+            supportNote: "",
+        };
+        if (!Array.isArray(method) || method.length !== 3) {
+            add(
+                "error",
+                path,
+                "DeviceRetrievalMethod must be [type, version, options]",
+            );
+            return out;
+        }
+        const [type, version, options] = method;
+        out.type = type;
+        out.version = version;
+        out.typeName = RETRIEVAL_TYPES[type] || `type ${type}`;
+        if (!isUint(type)) add("error", `${path}[0]`, "type must be a uint");
+        else if (!RETRIEVAL_TYPES[type])
+            add("warning", `${path}[0]`, `Unknown retrieval type ${type}`);
+        if (version !== 1)
+            add(
+                "warning",
+                `${path}[1]`,
+                `Unexpected version ${version} (expected 1)`,
+            );
+        if (!isMap(options)) {
+            add("error", `${path}[2]`, "RetrievalOptions must be a map");
+            return out;
+        }
+        const names = RETRIEVAL_OPTIONS[type] || {};
+        for (const [key, value] of mapEntries(options)) {
+            let shown = displayValue(value);
+            if (
+                type === 2 &&
+                (key === 10 || key === 11) &&
+                isBytes(value) &&
+                value.byteLength === 16
+            )
+                shown = asUuidString(new Uint8Array(value));
+            if (type === 2 && key === 20 && isBytes(value))
+                shown = bytesHex(value, ":");
+            out.options.push({ key, name: names[key] || null, value: shown });
+            if (!names[key] && RETRIEVAL_TYPES[type])
+                add(
+                    "warning",
+                    `${path}[2].${key}`,
+                    "Option key not defined for this retrieval type",
+                );
+        }
+        const opt = (k) => getKey(options, k);
+        const expect = (k, ok, what, required) => {
+            const v = opt(k);
+            if (v === undefined) {
+                if (required)
+                    add("error", `${path}[2].${k}`, `${names[k]} is required`);
+                return;
+            }
+            if (!ok(v))
+                add("error", `${path}[2].${k}`, `${names[k]} must be ${what}`);
+        };
+        const isBool = (v) => typeof v === "boolean";
+        if (type === 1) {
+            expect(0, isUint, "a uint", true);
+            expect(1, isUint, "a uint", true);
+            out.supported = READER_SUPPORT.nfc;
+            out.supportNote = out.supported
+                ? "NFC data retrieval"
+                : "NFC data retrieval needs ISO-DEP, which Web NFC does not expose";
+        } else if (type === 2) {
+            expect(0, isBool, "a bool", true);
+            expect(1, isBool, "a bool", true);
+            const uuid16 = (v) => isBytes(v) && v.byteLength === 16;
+            expect(10, uuid16, "a 16-byte UUID", opt(0) === true);
+            expect(11, uuid16, "a 16-byte UUID", opt(1) === true);
+            expect(
+                20,
+                (v) => isBytes(v) && v.byteLength === 6,
+                "a 6-byte address",
+            );
+            expect(2023, isUint, "a uint");
+            if (opt(0) !== true && opt(1) !== true)
+                add("error", `${path}[2]`, "Neither BLE mode is enabled");
+            const peripheral =
+                opt(0) === true && READER_SUPPORT.blePeripheralServer;
+            const central = opt(1) === true && READER_SUPPORT.bleCentralClient;
+            out.supported = peripheral || central;
+            out.supportNote = peripheral
+                ? "mdoc peripheral server mode over GATT" +
+                  (opt(2023) !== undefined && !READER_SUPPORT.bleL2cap
+                      ? " (L2CAP PSM ignored)"
+                      : "")
+                : opt(1) === true
+                  ? "mdoc central client mode needs an advertising reader, which Web Bluetooth cannot do"
+                  : "";
+        } else if (type === 3) {
+            expect(0, (v) => typeof v === "string", "a tstr");
+            expect(1, isUint, "a uint");
+            expect(2, isUint, "a uint");
+            expect(3, isBytes, "a bstr");
+            out.supported = READER_SUPPORT.wifiAware;
+            out.supportNote = out.supported
+                ? "Wi-Fi Aware"
+                : "Browsers have no Wi-Fi Aware API";
+        }
+        return out;
+    }
+
+    // Full decode with CDDL findings: { version, security,
+    // deviceRetrievalMethods, serverRetrievalMethods, protocolInfo,
+    // originInfos, capabilities, extraKeys, findings, valid }.
+    // Findings are { severity: "error" | "warning", path, message }
+    function decodeDeviceEngagement(deBytes) {
+        const CBOR = getCBOR();
+        if (!CBOR) throw new Error("CBOR library not available");
+        const findings = [];
+        const add = (severity, path, message) =>
+            findings.push({ severity, path, message });
+        const result = {
+            version: null,
+            security: null,
+            deviceRetrievalMethods: [],
+            serverRetrievalMethods: [],
+            protocolInfo: null,
+            originInfos: [],
+            capabilities: [],
+            extraKeys: [],
+            findings,
+            valid: false,
+        };
+        let de;
+        try {
+            de = CBOR.decode(new Uint8Array(deBytes));
+        } catch (e) {
+            add("error", "DeviceEngagement", `Not valid CBOR: ${e.message}`);
+            return result;
+        }
+        if (!isMap(de)) {
+            add("error", "DeviceEngagement", "DeviceEngagement must be a map");
+            return result;
+        }
+
+        // 0: Version
+        const version = getKey(de, 0);
+        result.version = version ?? null;
+        if (typeof version !== "string")
+            add("error", "DeviceEngagement.0", "Version (tstr) is required");
+        else if (!["1.0", "1.1"].includes(version))
+            add(
+                "warning",
+                "DeviceEngagement.0",
+                `Unknown version "${version}"`,
+            );
+
+        // 1: Security = [cipherSuiteIdentifier, EDeviceKeyBytes]
+        const security = getKey(de, 1);
+        if (!Array.isArray(security) || security.length !== 2) {
+            add(
+                "error",
+                "DeviceEngagement.1",
+                "Security must be [cipherSuiteIdentifier, EDeviceKeyBytes]",
+            );
+        } else {
+            const [suite, keyBytes] = security;
+            result.security = { cipherSuite: suite, eDeviceKey: null };
+            if (suite !== 1)
+                add(
+                    "error",
+                    "DeviceEngagement.1[0]",
+                    `Unknown cipher suite ${suite} (expected 1)`,
+                );
+            if (
+                !(keyBytes instanceof CBOR.Tagged) ||
+                keyBytes.tag !== 24 ||
+                !isBytes(keyBytes.value)
+            ) {
+                add(
+                    "error",
+                    "DeviceEngagement.1[1]",
+                    "EDeviceKeyBytes must be #6.24(bstr .cbor COSE_Key)",
+                );
+            } else {
+                try {
+                    const key = CBOR.decode(new Uint8Array(keyBytes.value));
+                    const kty = getKey(key, 1);
+                    const crv = getKey(key, -1);
+                    let curveName = `crv ${crv}`;
+                    try {
+                        const curve = window.SessionCrypto.sessionCurve(crv);
+                        curveName = curve.name;
+                        const x = getKey(key, -2);
+                        const y = getKey(key, -3);
+                        if (kty !== curve.kty)
+                            add(
+                                "error",
+                                "DeviceEngagement.1[1]",
+                                `kty ${kty} does not match ${curve.name}`,
+                            );
+                        if (
+                            !isBytes(x) ||
+                            x.byteLength !== curve.size ||
+                            (curve.kty === 2 &&
+                                (!isBytes(y) || y.byteLength !== curve.size))
+                        )
+                            add(
+                                "error",
+                                "DeviceEngagement.1[1]",
+                                `Invalid ${curve.name} coordinates`,
+                            );
+                    } catch (e) {
+                        add("error", "DeviceEngagement.1[1]", e.message);
+                    }
+                    result.security.eDeviceKey = { kty, crv, curveName };
+                } catch (e) {
+                    add(
+                        "error",
+                        "DeviceEngagement.1[1]",
+                        `EDeviceKey is not valid CBOR: ${e.message}`,
+                    );
+                }
+            }
+        }
+
+        // 2: DeviceRetrievalMethods = [+ DeviceRetrievalMethod]
+        const methods = getKey(de, 2);
+        if (methods !== undefined) {
+            if (!Array.isArray(methods) || !methods.length)
+                add(
+                    "error",
+                    "DeviceEngagement.2",
+                    "DeviceRetrievalMethods must be a non-empty array",
+                );
+            else
+                result.deviceRetrievalMethods = methods.map((m, i) =>
+                    decodeRetrievalMethod(m, `DeviceEngagement.2[${i}]`, add),
+                );
+        }
+
+        // 3: ServerRetrievalMethods = { ? "webApi": [...], ? "oidc": [...] }
+        const server = getKey(de, 3);
+        if (server !== undefined) {
+            if (!isMap(server)) {
+                add(
+                    "error",
+                    "DeviceEngagement.3",
+                    "ServerRetrievalMethods must be a map",
+                );
+            } else {
+                for (const [name, value] of mapEntries(server)) {
+                    const path = `DeviceEngagement.3.${name}`;
+                    if (name !== "webApi" && name !== "oidc")
+                        add("warning", path, "Unknown server retrieval method");
+                    const ok =
+                        Array.isArray(value) &&
+                        value.length === 3 &&
+                        isUint(value[0]) &&
+                        typeof value[1] === "string" &&
+                        typeof value[2] === "string";
+                    if (!ok)
+                        add("error", path, "Must be [version, url, token]");
+                    result.serverRetrievalMethods.push({
+                        name,
+                        version: ok ? value[0] : null,
+                        url: ok ? value[1] : null,
+                        token: ok ? value[2] : null,
+                        supported: READER_SUPPORT.serverRetrieval,
+                    });
+                }
+            }
+        }
+
+        // 4: ProtocolInfo (RFU)
+        const protocolInfo = getKey(de, 4);
+        if (protocolInfo !== undefined) {
+            result.protocolInfo = displayValue(protocolInfo);
+            add(
+                "warning",
+                "DeviceEngagement.4",
+                "ProtocolInfo is reserved for future use",
+            );
+        }
+
+        // 5: OriginInfos = [* OriginInfo]
+        const origins = getKey(de, 5);
+        if (origins !== undefined) {
+            if (!Array.isArray(origins)) {
+                add(
+                    "error",
+                    "DeviceEngagement.5",
+                    "OriginInfos must be an array",
+                );
+            } else {
+                origins.forEach((o, i) => {
+                    const path = `DeviceEngagement.5[${i}]`;
+                    if (!isMap(o)) {
+                        add("error", path, "OriginInfo must be a map");
+                        return;
+                    }
+                    const cat = getKey(o, "cat");
+                    const type = getKey(o, "type");
+                    const details =
+                        getKey(o, "details") ?? getKey(o, "Details");
+                    if (!isUint(cat))
+                        add("error", `${path}.cat`, "cat must be a uint");
+                    if (!isUint(type))
+                        add("error", `${path}.type`, "type must be a uint");
+                    if (details === undefined)
+                        add("error", `${path}.details`, "details is required");
+                    result.originInfos.push({
+                        cat,
+                        catName: ORIGIN_CATEGORIES[cat] || `category ${cat}`,
+                        type,
+                        details:
+                            details === undefined
+                                ? null
+                                : displayValue(details),
+                    });
+                });
+            }
+        }
+
+        // 6: Capabilities (2nd edition)
+        const capabilities = getKey(de, 6);
+        if (capabilities !== undefined) {
+            if (!isMap(capabilities)) {
+                add(
+                    "error",
+                    "DeviceEngagement.6",
+                    "Capabilities must be a map",
+                );
+            } else {
+                for (const [key, value] of mapEntries(capabilities)) {
+                    result.capabilities.push({
+                        key,
+                        name: CAPABILITIES[key] || null,
+                        value: displayValue(value),
+                    });
+                    if (CAPABILITIES[key] && typeof value !== "boolean")
+                        add(
+                            "error",
+                            `DeviceEngagement.6.${key}`,
+                            `${CAPABILITIES[key]} must be a bool`,
+                        );
+                }
+            }
+            if (version === "1.0")
+                add(
+                    "warning",
+                    "DeviceEngagement.0",
+                    'Capabilities are a 2nd-edition field; version should be "1.1"',
+                );
+        }
+
+        // Anything else: integer keys are RFU, tstr keys vendor-defined
+        for (const [key, value] of mapEntries(de)) {
+            if ([0, 1, 2, 3, 4, 5, 6].includes(key)) continue;
+            result.extraKeys.push({ key, value: displayValue(value) });
+            add(
+                "warning",
+                `DeviceEngagement.${key}`,
+                typeof key === "number"
+                    ? "Reserved key"
+                    : "Vendor-specific key",
+            );
+        }
+        if (
+            !result.deviceRetrievalMethods.length &&
+            !result.serverRetrievalMethods.length
+        )
+            add(
+                "warning",
+                "DeviceEngagement",
+                "No retrieval method; one must come from the handover (e.g. NFC carrier records)",
+            );
+
+        result.valid = !findings.some((f) => f.severity === "error");
+        return result;
+    }
+
+    // ==== NFC static handover (ISO 18013-5 8.2.2.1, NFC Forum Connection Handover) ====
+    const NDEF_TNF = {
+        EMPTY: 0,
+        WELL_KNOWN: 1,
+        MEDIA: 2,
+        ABSOLUTE_URI: 3,
+        EXTERNAL: 4,
+        UNKNOWN: 5,
+    };
+    const DE_RECORD_TYPE = "iso.org:18013:deviceengagement";
+    const BLE_OOB_TYPE = "application/vnd.bluetooth.le.oob";
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    // NDEF message → [{ tnf, type, id, payload }]; type and id as strings
+    function parseNdefMessage(bytes) {
+        const buf = new Uint8Array(bytes);
+        const records = [];
+        let i = 0;
+        while (i < buf.length) {
+            const header = buf[i++];
+            if (header & 0x20)
+                throw new Error("Chunked NDEF records are not supported");
+            const shortRecord = (header & 0x10) !== 0;
+            const hasId = (header & 0x08) !== 0;
+            // TYPE LENGTH, PAYLOAD LENGTH (1 or 4 bytes), ID LENGTH
+            if (i + 1 + (shortRecord ? 1 : 4) + (hasId ? 1 : 0) > buf.length)
+                throw new Error("Truncated NDEF record header");
+            const typeLength = buf[i++];
+            let payloadLength;
+            if (shortRecord) payloadLength = buf[i++];
+            else {
+                payloadLength =
+                    ((buf[i] << 24) >>> 0) +
+                    (buf[i + 1] << 16) +
+                    (buf[i + 2] << 8) +
+                    buf[i + 3];
+                i += 4;
+            }
+            const idLength = hasId ? buf[i++] : 0;
+            if (i + typeLength + idLength + payloadLength > buf.length)
+                throw new Error("Truncated NDEF record");
+            const type = buf.subarray(i, (i += typeLength));
+            const id = buf.subarray(i, (i += idLength));
+            const payload = buf.slice(i, (i += payloadLength));
+            records.push({
+                tnf: header & 0x07,
+                type: textDecoder.decode(type),
+                id: idLength ? textDecoder.decode(id) : null,
+                payload,
+            });
+            if (header & 0x40) break; // ME
+        }
+        if (!records.length) throw new Error("Empty NDEF message");
+        return records;
+    }
+
+    // [{ tnf, type, id, payload }] → NDEF message bytes (MB/ME set, short
+    // records where the payload allows)
+    function encodeNdefMessage(records) {
+        const parts = records.map((r, idx) => {
+            const type = textEncoder.encode(r.type || "");
+            const id = r.id ? textEncoder.encode(r.id) : new Uint8Array(0);
+            const payload = new Uint8Array(r.payload || []);
+            const shortRecord = payload.length < 256;
+            let header = r.tnf & 0x07;
+            if (idx === 0) header |= 0x80;
+            if (idx === records.length - 1) header |= 0x40;
+            if (shortRecord) header |= 0x10;
+            if (id.length) header |= 0x08;
+            const out = [header, type.length];
+            if (shortRecord) out.push(payload.length);
+            else
+                out.push(
+                    (payload.length >>> 24) & 0xff,
+                    (payload.length >> 16) & 0xff,
+                    (payload.length >> 8) & 0xff,
+                    payload.length & 0xff,
+                );
+            if (id.length) out.push(id.length);
+            return Uint8Array.from([...out, ...type, ...id, ...payload]);
+        });
+        return window.SessionCrypto.concatUint8(...parts);
+    }
+
+    // Web NFC NDEFMessage (NDEFReader "reading" event) → raw NDEF bytes.
+    // The handover records are well-known, media and external types, whose
+    // data is the raw payload.
+    // Web NFC does not expose the record headers, so they are rebuilt with
+    // encodeNdefMessage: a short record whenever the payload fits in 255
+    // bytes. A wallet that wrote a long record for a short payload gets
+    // different Handover Select bytes here, and its SessionTranscript will not
+    // match; parseNfcHandover the raw NDEF bytes whenever a source has them.
+    function ndefMessageFromWebNfc(message) {
+        const wellKnown = { text: "T", url: "U", "smart-poster": "Sp" };
+        const records = Array.from(message?.records || []).map((r) => {
+            const payload = r.data
+                ? new Uint8Array(
+                      r.data.buffer,
+                      r.data.byteOffset,
+                      r.data.byteLength,
+                  )
+                : new Uint8Array(0);
+            const id = r.id || null;
+            const recordType = r.recordType || "";
+            if (recordType === "empty")
+                return { tnf: NDEF_TNF.EMPTY, type: "", id, payload };
+            if (recordType === "mime")
+                return { tnf: NDEF_TNF.MEDIA, type: r.mediaType, id, payload };
+            if (recordType === "unknown")
+                return { tnf: NDEF_TNF.UNKNOWN, type: "", id, payload };
+            if (recordType === "absolute-url")
+                return {
+                    tnf: NDEF_TNF.ABSOLUTE_URI,
+                    type: textDecoder.decode(payload),
+                    id,
+                    payload: new Uint8Array(0),
+                };
+            if (wellKnown[recordType])
+                return {
+                    tnf: NDEF_TNF.WELL_KNOWN,
+                    type: wellKnown[recordType],
+                    id,
+                    payload,
+                };
+            if (recordType.startsWith(":"))
+                return {
+                    tnf: NDEF_TNF.WELL_KNOWN,
+                    type: recordType.slice(1),
+                    id,
+                    payload,
+                };
+            if (recordType.includes(":"))
+                return {
+                    tnf: NDEF_TNF.EXTERNAL,
+                    type: recordType,
+                    id,
+                    payload,
+                };
+            return { tnf: NDEF_TNF.WELL_KNOWN, type: recordType, id, payload };
+        });
+        if (!records.length) throw new Error("Empty NDEF message");
+        return encodeNdefMessage(records);
+    }
+
+    // Bluetooth LE OOB record (CSS Part A): AD structures [len, type, data]
+    function parseBleOob(payload) {
+        const out = { role: null, uuid: null, addr: null, addrType: null };
+        let i = 0;
+        while (i < payload.length) {
+            const len = payload[i];
+            if (!len) break;
+            if (i + 1 + len > payload.length)
+                throw new Error("Truncated Bluetooth LE OOB record");
+            const adType = payload[i + 1];
+            const data = payload.subarray(i + 2, i + 1 + len);
+            i += 1 + len;
+            if (adType === 0x1c) out.role = data[0];
+            // Incomplete / complete list of 128-bit UUIDs, little-endian
+            else if ((adType === 0x06 || adType === 0x07) && !out.uuid)
+                out.uuid = asUuidString(data.slice(0, 16).reverse());
+            // LE Bluetooth device address: 6 bytes little-endian + type
+            else if (adType === 0x1b && data.length >= 7) {
+                out.addr = Array.from(data.slice(0, 6).reverse())
+                    .map((b) => b.toString(16).padStart(2, "0"))
+                    .join(":");
+                out.addrType = data[6] ? "random" : "public";
+            }
+        }
+        return out;
+    }
+
+    // Alternative Carrier record: CPS, carrier data reference, auxiliary refs
+    function parseAlternativeCarrier(payload) {
+        let i = 0;
+        // Length-prefixed reference starting at i
+        const reference = () => {
+            if (i >= payload.length || i + 1 + payload[i] > payload.length)
+                throw new Error("Truncated Alternative Carrier record");
+            const len = payload[i++];
+            return textDecoder.decode(payload.subarray(i, (i += len)));
+        };
+        if (payload.length < 2)
+            throw new Error("Truncated Alternative Carrier record");
+        const powerState = payload[i++] & 0x03;
+        const carrierRef = reference();
+        const auxCount = payload[i++] || 0;
+        const auxRefs = [];
+        for (let n = 0; n < auxCount; n++) auxRefs.push(reference());
+        return { powerState, carrierRef, auxRefs };
+    }
+
+    // Handover Select message → engagement object of parseMdocUriAndDE plus
+    // handover: CBOR NFCHandover = [HandoverSelect, HandoverRequest / null]
+    // (null: static handover), ready for the SessionTranscript
+    function parseNfcHandover(ndefBytes) {
+        const CBOR = getCBOR();
+        if (!CBOR) throw new Error("CBOR library not available");
+        const handoverSelect = new Uint8Array(ndefBytes);
+        const records = parseNdefMessage(handoverSelect);
+        const hs = records[0];
+        if (hs.tnf !== NDEF_TNF.WELL_KNOWN || hs.type !== "Hs")
+            throw new Error("NDEF message is not a Handover Select message");
+        const version = hs.payload[0];
+        const carriers =
+            hs.payload.length > 1
+                ? parseNdefMessage(hs.payload.subarray(1))
+                      .filter(
+                          (r) =>
+                              r.tnf === NDEF_TNF.WELL_KNOWN && r.type === "ac",
+                      )
+                      .map((r) => parseAlternativeCarrier(r.payload))
+                : [];
+        const referenced = (r) =>
+            !carriers.length ||
+            carriers.some(
+                (c) => c.carrierRef === r.id || c.auxRefs.includes(r.id),
+            );
+
+        const deRecord =
+            records.find(
+                (r) =>
+                    r.tnf === NDEF_TNF.EXTERNAL &&
+                    r.type === DE_RECORD_TYPE &&
+                    referenced(r),
+            ) ||
+            records.find(
+                (r) => r.tnf === NDEF_TNF.EXTERNAL && r.type === DE_RECORD_TYPE,
+            );
+        if (!deRecord)
             throw new Error(
-                `Invalid COSE_Key coordinates: x=${x.length}, y=${y.length}`,
+                "DeviceEngagement record missing from Handover Select",
             );
-        return { deBytes, uuid, addr, x, y, coseKey };
+        const bleRecord = records.find(
+            (r) =>
+                r.tnf === NDEF_TNF.MEDIA &&
+                r.type.toLowerCase() === BLE_OOB_TYPE &&
+                referenced(r),
+        );
+        const ble = bleRecord ? parseBleOob(bleRecord.payload) : null;
+
+        const engagement = parseDeviceEngagement(deRecord.payload, {
+            requireBle: !ble?.uuid,
+        });
+        const bstr = (bytes) => new Uint8Array(bytes).buffer;
+        return {
+            ...engagement,
+            // The carrier record is authoritative; the DE copy (if any) is a fallback
+            uuid: ble?.uuid || engagement.uuid,
+            addr: ble?.addr || engagement.addr,
+            bleRole: ble?.role ?? null,
+            bleCarrier: ble,
+            handoverVersion: `${version >> 4}.${version & 0x0f}`,
+            carriers,
+            handoverSelect,
+            handover: new Uint8Array(CBOR.encode([bstr(handoverSelect), null])),
+        };
     }
 
     window.DeviceEngagement = {
@@ -396,5 +1148,13 @@
         extractCborFromMdocUri,
         tryExtractBleOptions,
         parseMdocUriAndDE,
+        parseDeviceEngagement,
+        READER_SUPPORT,
+        decodeDeviceEngagement,
+        parseNdefMessage,
+        encodeNdefMessage,
+        ndefMessageFromWebNfc,
+        parseBleOob,
+        parseNfcHandover,
     };
 })();
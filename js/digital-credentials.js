@@ -0,0 +1,193 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  ISO 18013-7 Annex C: mdoc requests over the W3C Digital Credentials API
+     Exposes window.DigitalCredentials with:
+      PROTOCOL                                         "org-iso-mdoc"
+      isSupported()
+      buildEncryptionInfo(recipientPublicKey, nonce)   → { bytes, base64 }
+      buildSessionTranscript(encryptionInfoB64, origin) → SessionTranscript CBOR
+      decryptResponse(response, recipientKeyPair, sessionTranscript)
+      requestMdoc({ buildDeviceRequest, origin, logger, signal })
+        → { deviceResponse, sessionTranscript, deriveEMacKey }
+     buildDeviceRequest() returns the DeviceRequest CBOR; it runs after the
+     SessionTranscript is published in window.sessionDebug, so reader
+     authentication can sign over it. The response is decrypted with HPKE
+     (js/hpke.js), info = SessionTranscript CBOR. deriveEMacKey is the
+     Verification option for deviceMac; the recipient key stays in here.
+*/
+
+(function () {
+    function getCBOR() {
+        return window.CBOR || self.CBOR || self.cbor;
+    }
+    const PROTOCOL = "org-iso-mdoc";
+    // cbor-web encodes a bare Uint8Array with tag 64; an ArrayBuffer is a plain bstr
+    const bstr = (bytes) => new Uint8Array(bytes).buffer;
+    const getField = (obj, key) =>
+        obj instanceof Map ? obj.get(key) : obj?.[key];
+
+    function base64UrlEncode(bytes) {
+        let s = "";
+        for (const b of bytes) s += String.fromCharCode(b);
+        return btoa(s)
+            .replace(/\+/g, "-")
+            .replace(/\//g, "_")
+            .replace(/=+$/, "");
+    }
+    function base64UrlDecode(str) {
+        const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+        const raw = atob(b64 + "===".slice((b64.length + 3) % 4));
+        const out = new Uint8Array(raw.length);
+        for (let i = 0; i < raw.length; i++) out[i] = raw.charCodeAt(i);
+        return out;
+    }
+
+    function isSupported() {
+        return (
+            typeof window.DigitalCredential !== "undefined" &&
+            !!navigator.credentials?.get
+        );
+    }
+
+    // EncryptionInfo = ["dcapi", { "nonce": bstr, "recipientPublicKey": COSE_Key }]
+    async function buildEncryptionInfo(recipientPublicKey, nonce) {
+        const CBOR = getCBOR();
+        const raw = new Uint8Array(
+            await crypto.subtle.exportKey("raw", recipientPublicKey),
+        );
+        const coseKey = new Map([
+            [1, 2], // kty: EC2
+            [-1, 1], // crv: P-256
+            [-2, bstr(raw.slice(1, 33))],
+            [-3, bstr(raw.slice(33))],
+        ]);
+        const bytes = new Uint8Array(
+            CBOR.encode([
+                "dcapi",
+                { nonce: bstr(nonce), recipientPublicKey: coseKey },
+            ]),
+        );
+        return { bytes, base64: base64UrlEncode(bytes) };
+    }
+
+    // SessionTranscript = [null, null, ["dcapi", SHA-256(dcapiInfo)]],
+    // dcapiInfo = [Base64EncryptionInfo, SerializedOrigin]
+    async function buildSessionTranscript(encryptionInfoB64, origin) {
+        const CBOR = getCBOR();
+        const dcapiInfoHash = await window.SessionCrypto.sha256(
+            CBOR.encode([encryptionInfoB64, origin]),
+        );
+        return new Uint8Array(
+            CBOR.encode([null, null, ["dcapi", bstr(dcapiInfoHash)]]),
+        );
+    }
+
+    // EncryptedResponse = ["dcapi", { "enc": bstr, "cipherText": bstr }]
+    async function decryptResponse(
+        response,
+        recipientKeyPair,
+        sessionTranscript,
+    ) {
+        const CBOR = getCBOR();
+        const bytes =
+            typeof response === "string" ? base64UrlDecode(response) : response;
+        const encrypted = CBOR.decode(bytes);
+        if (!Array.isArray(encrypted) || encrypted[0] !== "dcapi")
+            throw new Error("Response is not an Annex C EncryptedResponse");
+        const enc = getField(encrypted[1], "enc");
+        const cipherText = getField(encrypted[1], "cipherText");
+        if (!enc || !cipherText)
+            throw new Error("EncryptedResponse is missing enc or cipherText");
+        const plaintext = await window.HPKE.open(
+            recipientKeyPair,
+            new Uint8Array(enc),
+            new Uint8Array(cipherText),
+            { info: sessionTranscript },
+        );
+        return CBOR.decode(plaintext);
+    }
+
+    async function requestMdoc(options = {}) {
+        const log = options.logger || console.log;
+        if (!isSupported())
+            throw new Error(
+                "Digital Credentials API not available in this browser",
+            );
+        if (typeof options.buildDeviceRequest !== "function")
+            throw new Error("buildDeviceRequest is required");
+        const origin = options.origin || location.origin;
+
+        const recipientKeyPair = await window.HPKE.generateRecipientKeyPair();
+        const nonce = crypto.getRandomValues(new Uint8Array(16));
+        const encryptionInfo = await buildEncryptionInfo(
+            recipientKeyPair.publicKey,
+            nonce,
+        );
+        const sessionTranscript = await buildSessionTranscript(
+            encryptionInfo.base64,
+            origin,
+        );
+        // Same slots as the BLE flow: reader authentication and holder
+        // verification (deviceSignature and deviceMac) read them from here
+        window.sessionDebug = {
+            sessionTranscript,
+            sessionTranscriptWrapped:
+                window.SessionCrypto.encodeTag24ByteString(sessionTranscript),
+        };
+
+        const deviceRequest = await options.buildDeviceRequest();
+        log(
+            `🌐 Asking the browser for an mdoc (${PROTOCOL}, origin ${origin})…`,
+        );
+        const credential = await navigator.credentials.get({
+            mediation: "required",
+            signal: options.signal,
+            digital: {
+                requests: [
+                    {
+                        protocol: PROTOCOL,
+                        data: {
+                            deviceRequest: base64UrlEncode(deviceRequest),
+                            encryptionInfo: encryptionInfo.base64,
+                        },
+                    },
+                ],
+            },
+        });
+        if (!credential) throw new Error("No credential was returned");
+        if (credential.protocol && credential.protocol !== PROTOCOL)
+            throw new Error(
+                `Unexpected response protocol: ${credential.protocol}`,
+            );
+        const data =
+            typeof credential.data === "string"
+                ? JSON.parse(credential.data)
+                : credential.data;
+        if (!data?.response)
+            throw new Error("Credential response has no response field");
+        log("🔓 Decrypting the HPKE-encrypted DeviceResponse…");
+        const deviceResponse = await decryptResponse(
+            data.response,
+            recipientKeyPair,
+            sessionTranscript,
+        );
+        return {
+            deviceResponse,
+            sessionTranscript,
+            deriveEMacKey: window.SessionCrypto.eMacKeyDeriver(
+                recipientKeyPair.privateKey,
+            ),
+        };
+    }
+
+    window.DigitalCredentials = {
+        PROTOCOL,
+        isSupported,
+        buildEncryptionInfo,
+        buildSessionTranscript,
+        decryptResponse,
+        requestMdoc,
+    };
+})();
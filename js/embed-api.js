@@ -0,0 +1,253 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Cross-origin embedding protocol used by embed.html (iframe or popup)
+     Exposes window.EmbedApi with:
+      MESSAGE                         { READY, REQUEST, RESULT } message types
+      getAllowedOrigins() / setAllowedOrigins(list)
+      normalizeOrigin(value)          "https://host[:port]" or null
+      isOriginAllowed(origin)
+      parseRequestSpec(spec)          → { documents, purpose }
+      toRequestItems(parsed)          items for <mdoc-verifier>.requestItems
+      buildResult(parsed, verified)   verified = <mdoc-verifier> mdoc-verified detail
+      errorMessage(id, code, message)
+
+     Parent → verifier:
+      { type: "mdoc-request", id, request: {
+          documents: [{ docType, namespace?, elements: [..] } |
+                      { docType, nameSpaces: { [ns]: [..] } } |
+                      { requestType: "mdl_minimal" }],
+          intentToRetain?,            default for every document
+          purpose } }
+     Verifier → parent (only to the requesting origin):
+      { type: "mdoc-verifier-ready", version }
+      { type: "mdoc-result", id, result: { valid, verifiedAt, documents: [
+          { docType, valid, claims: { [ns]: { [element]: value } },
+            verification: { issuer, signatureValid, chainValid, integrityValid,
+                            deviceAuthValid, validityValid, deviceSignedValid,
+                            issuerConsistencyValid, testAnchor, validUntil } }] } }
+      { type: "mdoc-result", id, error: { code, message } }
+        codes: origin-not-allowed, invalid-request, busy, declined
+     Only the requested elements are ever returned, never the DeviceResponse.
+*/
+
+(function () {
+    function getCBOR() {
+        return window.CBOR || self.CBOR || self.cbor;
+    }
+    const VERSION = 1;
+    const MESSAGE = {
+        READY: "mdoc-verifier-ready",
+        REQUEST: "mdoc-request",
+        RESULT: "mdoc-result",
+    };
+    const LS_ORIGINS = "mdoc_embed_allowed_origins";
+    const MAX_DOCUMENTS = 5;
+    const MAX_ELEMENTS = 64;
+    const MAX_PURPOSE = 300;
+    const DEFAULT_NAMESPACES = {
+        "org.iso.18013.5.1.mDL": "org.iso.18013.5.1",
+    };
+
+    function normalizeOrigin(value) {
+        try {
+            const url = new URL(String(value).trim());
+            if (url.protocol !== "https:" && url.protocol !== "http:")
+                return null;
+            return url.origin;
+        } catch {
+            return null;
+        }
+    }
+
+    function getAllowedOrigins() {
+        try {
+            const list = JSON.parse(localStorage.getItem(LS_ORIGINS) || "[]");
+            return Array.isArray(list) ? list : [];
+        } catch {
+            return [];
+        }
+    }
+
+    // Returns the normalized list; entries that are not origins are dropped
+    function setAllowedOrigins(list) {
+        const origins = [
+            ...new Set((list || []).map(normalizeOrigin).filter(Boolean)),
+        ];
+        localStorage.setItem(LS_ORIGINS, JSON.stringify(origins));
+        return origins;
+    }
+
+    function isOriginAllowed(origin) {
+        return !!origin && getAllowedOrigins().includes(origin);
+    }
+
+    // Names become object keys below; keys that reach Object.prototype are
+    // refused, and the maps have no prototype anyway
+    const RESERVED_NAMES = new Set(["__proto__", "constructor", "prototype"]);
+    const isName = (v) =>
+        typeof v === "string" &&
+        v.length > 0 &&
+        v.length < 128 &&
+        !RESERVED_NAMES.has(v);
+
+    // Preset request types expand to the exact items RequestBuilder sends
+    function itemsFromRequestType(requestType) {
+        const docRequest =
+            window.RequestBuilder.buildSingleDocRequest(requestType);
+        if (!docRequest) throw new Error(`Unknown requestType ${requestType}`);
+        const items = getCBOR().decode(
+            new Uint8Array(docRequest.itemsRequest.value),
+        );
+        const get = (o, k) => (o instanceof Map ? o.get(k) : o?.[k]);
+        const nameSpaces = {};
+        const ns = get(items, "nameSpaces");
+        for (const [name, elements] of ns instanceof Map
+            ? ns.entries()
+            : Object.entries(ns || {})) {
+            const keys =
+                elements instanceof Map
+                    ? [...elements.keys()]
+                    : Object.keys(elements || {});
+            if (keys.length) nameSpaces[name] = keys;
+        }
+        return { docType: get(items, "docType"), nameSpaces };
+    }
+
+    // Validates the parent's request; throws with a message safe to echo
+    function parseRequestSpec(spec) {
+        if (!spec || typeof spec !== "object")
+            throw new Error("request must be an object");
+        const purpose = String(spec.purpose || "").trim();
+        if (!purpose) throw new Error("purpose is required");
+        if (purpose.length > MAX_PURPOSE)
+            throw new Error(`purpose is longer than ${MAX_PURPOSE} characters`);
+        const docs = spec.documents;
+        if (!Array.isArray(docs) || !docs.length)
+            throw new Error("documents must be a non-empty array");
+        if (docs.length > MAX_DOCUMENTS)
+            throw new Error(`at most ${MAX_DOCUMENTS} documents per request`);
+
+        let elementCount = 0;
+        const documents = docs.map((doc, i) => {
+            let { docType, nameSpaces } = doc || {};
+            if (doc?.requestType)
+                ({ docType, nameSpaces } = itemsFromRequestType(
+                    doc.requestType,
+                ));
+            else if (!nameSpaces && Array.isArray(doc?.elements))
+                nameSpaces = {
+                    [doc.namespace || DEFAULT_NAMESPACES[docType] || docType]:
+                        doc.elements,
+                };
+            if (!isName(docType))
+                throw new Error(`documents[${i}].docType is required`);
+            if (!nameSpaces || typeof nameSpaces !== "object")
+                throw new Error(`documents[${i}] has no elements`);
+            const retain =
+                typeof doc.intentToRetain === "boolean"
+                    ? doc.intentToRetain
+                    : spec.intentToRetain === true;
+            const out = Object.create(null);
+            for (const [ns, elements] of Object.entries(nameSpaces)) {
+                if (!isName(ns) || !Array.isArray(elements))
+                    throw new Error(
+                        `documents[${i}].nameSpaces.${ns} must list element names`,
+                    );
+                for (const el of elements) {
+                    if (!isName(el))
+                        throw new Error(
+                            `documents[${i}] has an invalid element`,
+                        );
+                    (out[ns] ||= Object.create(null))[el] = retain;
+                    elementCount++;
+                }
+            }
+            if (!Object.keys(out).length)
+                throw new Error(`documents[${i}] has no elements`);
+            return { docType, nameSpaces: out, intentToRetain: retain };
+        });
+        if (elementCount > MAX_ELEMENTS)
+            throw new Error(`at most ${MAX_ELEMENTS} elements per request`);
+        return { documents, purpose };
+    }
+
+    // Plain objects again for the CBOR encoder, which reads constructor.name;
+    // Object.fromEntries defines own properties, and the names are checked
+    function toRequestItems(parsed) {
+        return parsed.documents.map(({ docType, nameSpaces }) => ({
+            docType,
+            nameSpaces: Object.fromEntries(
+                Object.entries(nameSpaces).map(([ns, elements]) => [
+                    ns,
+                    { ...elements },
+                ]),
+            ),
+        }));
+    }
+
+    // Keeps only what the consent screen listed: requested documents and
+    // requested elements, with the verification verdict of each document
+    function buildResult(parsed, verified) {
+        const documents = [];
+        verified.claims.forEach((claim, i) => {
+            const requested = parsed.documents.find(
+                (d) => d.docType === claim.docType,
+            );
+            if (!requested) return;
+            const report = verified.report[i] || {};
+            const claims = Object.create(null);
+            for (const [ns, elements] of Object.entries(requested.nameSpaces)) {
+                for (const el of Object.keys(elements)) {
+                    if (claim.nameSpaces[ns]?.[el] === undefined) continue;
+                    (claims[ns] ||= Object.create(null))[el] =
+                        claim.nameSpaces[ns][el];
+                }
+            }
+            documents.push({
+                docType: claim.docType,
+                valid: report.valid === true,
+                claims,
+                verification: {
+                    issuer: report.issuer || null,
+                    signatureValid: report.signatureValid === true,
+                    chainValid: report.chainValid === true,
+                    integrityValid: report.integrityValid === true,
+                    deviceAuthValid: report.deviceAuthValid === true,
+                    validityValid: report.validityValid === true,
+                    deviceSignedValid: report.deviceSignedValid === true,
+                    issuerConsistencyValid:
+                        report.issuerConsistencyValid === true,
+                    testAnchor: report.testAnchor === true,
+                    validUntil: report.validUntil || null,
+                },
+            });
+        });
+        return {
+            // Every requested document must be present and valid
+            valid: parsed.documents.every((r) =>
+                documents.some((d) => d.docType === r.docType && d.valid),
+            ),
+            verifiedAt: new Date().toISOString(),
+            documents,
+        };
+    }
+
+    function errorMessage(id, code, message) {
+        return { type: MESSAGE.RESULT, id, error: { code, message } };
+    }
+
+    window.EmbedApi = {
+        VERSION,
+        MESSAGE,
+        getAllowedOrigins,
+        setAllowedOrigins,
+        normalizeOrigin,
+        isOriginAllowed,
+        parseRequestSpec,
+        toRequestItems,
+        buildResult,
+        errorMessage,
+    };
+})();
@@ -0,0 +1,208 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  HPKE (RFC 9180) base mode for ISO 18013-7 Annex C
+     Single suite: DHKEM(P-256, HKDF-SHA256), HKDF-SHA256, AES-128-GCM
+     Exposes window.HPKE with:
+      SUITE
+      generateRecipientKeyPair()
+      seal(recipientPublicKey, plaintext, { info, aad, ephemeralKeyPair })
+        → { enc, ciphertext }
+      open(recipientKeyPair, enc, ciphertext, { info, aad }) → plaintext
+     Keys are WebCrypto ECDH P-256 CryptoKeys; enc is the uncompressed
+     ephemeral public key (65 bytes). One message per context (seq 0).
+*/
+
+(function () {
+    const enc = new TextEncoder();
+    const SUITE = { kem: 0x0010, kdf: 0x0001, aead: 0x0001 };
+    const Nsecret = 32;
+    const Nk = 16;
+    const Nn = 12;
+
+    const i2osp = (n, len) => {
+        const out = new Uint8Array(len);
+        for (let i = len - 1; i >= 0; i--, n >>>= 8) out[i] = n & 0xff;
+        return out;
+    };
+    const concat = (...arrs) => window.SessionCrypto.concatUint8(...arrs);
+
+    const KEM_SUITE_ID = concat(enc.encode("KEM"), i2osp(SUITE.kem, 2));
+    const HPKE_SUITE_ID = concat(
+        enc.encode("HPKE"),
+        i2osp(SUITE.kem, 2),
+        i2osp(SUITE.kdf, 2),
+        i2osp(SUITE.aead, 2),
+    );
+
+    // An empty salt is a HashLen string of zeros (RFC 5869 2.2); WebCrypto
+    // rejects zero-length HMAC keys
+    function labeledExtract(suiteId, salt, label, ikm) {
+        return window.SessionCrypto.hkdfExtract(
+            salt.length ? salt : new Uint8Array(32),
+            concat(enc.encode("HPKE-v1"), suiteId, enc.encode(label), ikm),
+        );
+    }
+
+    function labeledExpand(suiteId, prk, label, info, length) {
+        return window.SessionCrypto.hkdfExpand(
+            prk,
+            concat(
+                i2osp(length, 2),
+                enc.encode("HPKE-v1"),
+                suiteId,
+                enc.encode(label),
+                info,
+            ),
+            length,
+        );
+    }
+
+    async function exportRaw(publicKey) {
+        return new Uint8Array(await crypto.subtle.exportKey("raw", publicKey));
+    }
+
+    async function ecdh(privateKey, publicKey) {
+        return new Uint8Array(
+            await crypto.subtle.deriveBits(
+                { name: "ECDH", public: publicKey },
+                privateKey,
+                256,
+            ),
+        );
+    }
+
+    async function extractAndExpand(dh, kemContext) {
+        const eaePrk = await labeledExtract(
+            KEM_SUITE_ID,
+            new Uint8Array(0),
+            "eae_prk",
+            dh,
+        );
+        return labeledExpand(
+            KEM_SUITE_ID,
+            eaePrk,
+            "shared_secret",
+            kemContext,
+            Nsecret,
+        );
+    }
+
+    async function keySchedule(sharedSecret, info) {
+        const empty = new Uint8Array(0);
+        const pskIdHash = await labeledExtract(
+            HPKE_SUITE_ID,
+            empty,
+            "psk_id_hash",
+            empty,
+        );
+        const infoHash = await labeledExtract(
+            HPKE_SUITE_ID,
+            empty,
+            "info_hash",
+            info,
+        );
+        // mode_base = 0x00
+        const context = concat(Uint8Array.of(0), pskIdHash, infoHash);
+        const secret = await labeledExtract(
+            HPKE_SUITE_ID,
+            sharedSecret,
+            "secret",
+            empty,
+        );
+        return {
+            key: await labeledExpand(HPKE_SUITE_ID, secret, "key", context, Nk),
+            // seq 0: the nonce is base_nonce itself
+            nonce: await labeledExpand(
+                HPKE_SUITE_ID,
+                secret,
+                "base_nonce",
+                context,
+                Nn,
+            ),
+        };
+    }
+
+    async function aesKey(keyBytes, usage) {
+        return crypto.subtle.importKey(
+            "raw",
+            keyBytes,
+            { name: "AES-GCM" },
+            false,
+            [usage],
+        );
+    }
+
+    function generateRecipientKeyPair() {
+        return crypto.subtle.generateKey(
+            { name: "ECDH", namedCurve: "P-256" },
+            true,
+            ["deriveBits"],
+        );
+    }
+
+    async function seal(recipientPublicKey, plaintext, options = {}) {
+        const info = options.info || new Uint8Array(0);
+        const aad = options.aad || new Uint8Array(0);
+        const ephemeral =
+            options.ephemeralKeyPair || (await generateRecipientKeyPair());
+        const encapsulated = await exportRaw(ephemeral.publicKey);
+        const dh = await ecdh(ephemeral.privateKey, recipientPublicKey);
+        const sharedSecret = await extractAndExpand(
+            dh,
+            concat(encapsulated, await exportRaw(recipientPublicKey)),
+        );
+        const { key, nonce } = await keySchedule(sharedSecret, info);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: "AES-GCM", iv: nonce, additionalData: aad },
+            await aesKey(key, "encrypt"),
+            plaintext,
+        );
+        return { enc: encapsulated, ciphertext: new Uint8Array(ciphertext) };
+    }
+
+    async function open(
+        recipientKeyPair,
+        encapsulated,
+        ciphertext,
+        options = {},
+    ) {
+        const info = options.info || new Uint8Array(0);
+        const aad = options.aad || new Uint8Array(0);
+        const ephemeralPublic = await crypto.subtle.importKey(
+            "raw",
+            encapsulated,
+            { name: "ECDH", namedCurve: "P-256" },
+            false,
+            [],
+        );
+        const dh = await ecdh(recipientKeyPair.privateKey, ephemeralPublic);
+        const sharedSecret = await extractAndExpand(
+            dh,
+            concat(
+                new Uint8Array(encapsulated),
+                await exportRaw(recipientKeyPair.publicKey),
+            ),
+        );
+        const { key, nonce } = await keySchedule(sharedSecret, info);
+        try {
+            return new Uint8Array(
+                await crypto.subtle.decrypt(
+                    { name: "AES-GCM", iv: nonce, additionalData: aad },
+                    await aesKey(key, "decrypt"),
+                    ciphertext,
+                ),
+            );
+        } catch {
+            throw new Error("HPKE decryption failed (wrong key or info)");
+        }
+    }
+
+    window.HPKE = {
+        SUITE,
+        generateRecipientKeyPair,
+        seal,
+        open,
+    };
+})();
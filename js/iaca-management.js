@@ -22,6 +22,22 @@
             parseInt(localStorage.getItem(IACA_VERSION_KEY)) || 0;
         let stored = localStorage.getItem(IACA_STORAGE_KEY);
 
+        // Only index.html carries the default bundle. The other pages
+        // (visitor, embed, unlikability test) read what it stored: migrating
+        // from there would record the data version without the defaults.
+        if (!Array.isArray(window.DEFAULT_IACA_CERTIFICATES)) {
+            try {
+                const iacas = JSON.parse(stored || "[]");
+                iacas.forEach((iaca) => {
+                    if (iaca.active === undefined) iaca.active = true;
+                });
+                return iacas;
+            } catch (e) {
+                console.error("Failed to parse stored IACAs:", e);
+                return [];
+            }
+        }
+
         if (storedVersion < IACA_DATA_VERSION) {
             console.log(
                 `Updating IACA certificates from version ${storedVersion} to ${IACA_DATA_VERSION}`,
@@ -182,7 +198,7 @@
         }
     }
 
-    function addIACA(pem, name = null, isTest = false) {
+    function addIACA(pem, name = null, isTest = false, policy = null) {
         const certInfo = parsePEMCertificate(pem);
         if (!certInfo) throw new Error("Invalid PEM certificate format");
         const iacas = getIACAs();
@@ -214,11 +230,77 @@
             active: true,
             test: isTest,
         };
+        if (policy) Object.assign(newIACA, normalizePolicy(policy));
         iacas.push(newIACA);
         localStorage.setItem(IACA_STORAGE_KEY, JSON.stringify(iacas));
         return newIACA;
     }
 
+    // === Trust policy ===
+    // Each IACA may be restricted to the docTypes and issuing countries it
+    // vouches for; an empty list means unrestricted.
+    function normalizePolicy(policy = {}) {
+        const list = (v) =>
+            (Array.isArray(v) ? v : String(v || "").split(","))
+                .map((x) => String(x).trim())
+                .filter(Boolean);
+        const out = {};
+        if (policy.docTypes !== undefined) out.docTypes = list(policy.docTypes);
+        if (policy.countries !== undefined)
+            out.countries = list(policy.countries).map((c) => c.toUpperCase());
+        if (policy.test !== undefined) out.test = !!policy.test;
+        return out;
+    }
+
+    function getIACAPolicy(iaca) {
+        return {
+            docTypes: Array.isArray(iaca?.docTypes) ? iaca.docTypes : [],
+            countries: Array.isArray(iaca?.countries) ? iaca.countries : [],
+            test: iaca?.test === true,
+        };
+    }
+
+    function setIACAPolicy(index, policy) {
+        const iacas = getIACAs();
+        if (index >= 0 && index < iacas.length) {
+            Object.assign(iacas[index], normalizePolicy(policy));
+            localStorage.setItem(IACA_STORAGE_KEY, JSON.stringify(iacas));
+            return iacas[index];
+        }
+        return null;
+    }
+
+    // context: { docType, country } of the credential being verified
+    function evaluateTrustPolicy(iaca, context = {}) {
+        const policy = getIACAPolicy(iaca);
+        const result = {
+            allowed: true,
+            docTypeAllowed: true,
+            countryAllowed: true,
+            test: policy.test,
+            policy,
+            errors: [],
+        };
+        const { docType = null, country = null } = context || {};
+        if (policy.docTypes.length && !policy.docTypes.includes(docType)) {
+            result.docTypeAllowed = false;
+            result.errors.push(
+                `IACA ${iaca?.name} is a trusted anchor, but not for docType ${docType || "(unknown)"} (allowed: ${policy.docTypes.join(", ")})`,
+            );
+        }
+        if (
+            policy.countries.length &&
+            !policy.countries.includes(String(country || "").toUpperCase())
+        ) {
+            result.countryAllowed = false;
+            result.errors.push(
+                `IACA ${iaca?.name} is a trusted anchor, but not for issuing country ${country || "(unknown)"} (allowed: ${policy.countries.join(", ")})`,
+            );
+        }
+        result.allowed = result.docTypeAllowed && result.countryAllowed;
+        return result;
+    }
+
     // === VICAL (Verified Issuer CA List) import ===
     function derToPem(derBytes) {
         const b64 = btoa(String.fromCharCode(...derBytes));
@@ -330,6 +412,10 @@
                     pem: derToPem(der),
                     name: entry.name,
                     test: !!entry.test,
+                    // VICAL CertificateInfo lists the docTypes the IACA may issue
+                    docTypes: Array.isArray(entry.docType)
+                        ? entry.docType
+                        : undefined,
                 });
 
             // x5c chains (array of base64/base64url DER strings or byte arrays)
@@ -614,8 +700,294 @@
         return 1;
     }
 
+    // === VICAL signer trust anchors ===
+    // Certificates allowed to sign a VICAL, kept apart from the IACA list so
+    // that importing a VICAL can never extend its own trust.
+    const VICAL_SIGNER_STORAGE_KEY = "mdoc_vical_signers";
+
+    function getVicalSigners() {
+        try {
+            const stored = JSON.parse(
+                localStorage.getItem(VICAL_SIGNER_STORAGE_KEY) || "[]",
+            );
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            console.error("Failed to parse stored VICAL signers:", e);
+            return [];
+        }
+    }
+
+    function addVicalSigner(pem, name = null) {
+        const certInfo = parsePEMCertificate(pem);
+        if (!certInfo) throw new Error("Invalid PEM certificate format");
+        const signers = getVicalSigners();
+        const incomingB64 = pemToB64Body(pem);
+        if (signers.some((s) => pemToB64Body(s.pem) === incomingB64))
+            throw new Error("This VICAL signer is already configured");
+        const signer = {
+            name: name || certInfo.subject || "Unknown Certificate",
+            pem: derToPem(certInfo.bytes),
+            subject: certInfo.subjectDN || certInfo.subject || "Unknown",
+            addedAt: new Date().toISOString(),
+        };
+        signers.push(signer);
+        localStorage.setItem(VICAL_SIGNER_STORAGE_KEY, JSON.stringify(signers));
+        return signer;
+    }
+
+    function removeVicalSigner(index) {
+        const signers = getVicalSigners();
+        if (index >= 0 && index < signers.length) {
+            const removed = signers.splice(index, 1);
+            localStorage.setItem(
+                VICAL_SIGNER_STORAGE_KEY,
+                JSON.stringify(signers),
+            );
+            return removed[0];
+        }
+        return null;
+    }
+
+    function updateVicalSignerList() {
+        const listEl = document.getElementById("vicalSignerList");
+        if (!listEl) return;
+        const signers = getVicalSigners();
+        if (signers.length === 0) {
+            listEl.innerHTML =
+                '<div class="muted" style="font-style: italic;">No VICAL signer configured: signed VICALs cannot be verified</div>';
+            return;
+        }
+        const esc = (s) => (window.escapeHtml ? window.escapeHtml(s) : s);
+        let html = '<div style="display: grid; gap: 0.4rem;">';
+        signers.forEach((signer, index) => {
+            let validity = "";
+            try {
+                const cert = window.X509.parseCertificate(
+                    window.X509.pemToDer(signer.pem),
+                );
+                validity = ` • valid until ${cert.notAfter.toISOString().slice(0, 10)}`;
+            } catch {}
+            html += `<div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; padding: 0.4rem 0.6rem; border: 1px solid var(--c-border); border-radius: var(--radius-sm);">
+                <div style="font-size: 0.85rem;"><strong>${esc(signer.name)}</strong><div class="muted" style="font-size: 0.78rem;">${esc(signer.subject)}${validity}</div></div>
+                <button class="secondary" onclick="removeVicalSignerCert(${index})" style="padding: 0.25rem 0.6rem; font-size: 0.8rem;">Remove</button>
+            </div>`;
+        });
+        html += "</div>";
+        listEl.innerHTML = html;
+    }
+
+    function isCoseSign1(root) {
+        return (
+            Array.isArray(root) &&
+            root.length === 4 &&
+            !!normalizeBytesMaybeArray(root[0]) &&
+            !!normalizeBytesMaybeArray(root[2]) &&
+            !!normalizeBytesMaybeArray(root[3])
+        );
+    }
+
+    function headerValue(header, label) {
+        if (!header) return undefined;
+        if (header instanceof Map) return header.get(label);
+        if (typeof header === "object") return header[label];
+        return undefined;
+    }
+
+    // Sig_structure = ["Signature1", protected, h'', payload], encoded by hand
+    // since the CBOR library would tag Uint8Array values as typed arrays
+    function buildSigStructure1(protectedBytes, payload) {
+        const bstrHead = (len) =>
+            len < 24
+                ? [0x40 + len]
+                : len < 0x100
+                  ? [0x58, len]
+                  : len < 0x10000
+                    ? [0x59, len >> 8, len & 0xff]
+                    : [
+                          0x5a,
+                          (len >>> 24) & 0xff,
+                          (len >>> 16) & 0xff,
+                          (len >>> 8) & 0xff,
+                          len & 0xff,
+                      ];
+        const parts = [
+            [0x84, 0x6a],
+            new TextEncoder().encode("Signature1"),
+            bstrHead(protectedBytes.length),
+            protectedBytes,
+            [0x40],
+            bstrHead(payload.length),
+            payload,
+        ];
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let offset = 0;
+        for (const p of parts) {
+            out.set(p, offset);
+            offset += p.length;
+        }
+        return out;
+    }
+
+    // Verifies the VICAL COSE_Sign1 (ISO 18013-5 Annex C) with the x5chain
+    // leaf and chains it to one of the configured VICAL signers.
+    async function verifyVICALSignature(coseSign1, options = {}) {
+        const { now = new Date() } = options || {};
+        const result = {
+            signed: true,
+            valid: false,
+            signatureValid: false,
+            signatureErrors: [],
+            chainTrusted: false,
+            chainErrors: [],
+            chain: null,
+            signer: null,
+            anchor: null,
+            errors: [],
+        };
+        const finish = () => {
+            result.errors = [...result.signatureErrors, ...result.chainErrors];
+            result.valid = result.signatureValid && result.chainTrusted;
+            return result;
+        };
+        const CBOR = getCBOR();
+        const X509 = window.X509;
+        try {
+            const protectedBytes = normalizeBytesMaybeArray(coseSign1[0]);
+            const protectedHeader = protectedBytes.length
+                ? CBOR.decode(protectedBytes)
+                : new Map();
+            const alg = headerValue(protectedHeader, 1);
+            const hash = {
+                [-7]: "SHA-256",
+                [-35]: "SHA-384",
+                [-36]: "SHA-512",
+            }[alg];
+            if (!hash) {
+                result.signatureErrors.push(
+                    `Unsupported VICAL signature alg ${alg}`,
+                );
+                return finish();
+            }
+
+            let x5chain = headerValue(coseSign1[1], 33);
+            if (x5chain === undefined)
+                x5chain = headerValue(protectedHeader, 33);
+            if (!x5chain) {
+                result.signatureErrors.push(
+                    "No x5chain in VICAL signature header",
+                );
+                return finish();
+            }
+            const chain = (Array.isArray(x5chain) ? x5chain : [x5chain]).map(
+                (c) => X509.parseCertificate(normalizeBytesMaybeArray(c)),
+            );
+            const leaf = chain[0];
+            result.signer = leaf.subject.dn;
+
+            const toBeSigned = buildSigStructure1(
+                protectedBytes,
+                normalizeBytesMaybeArray(coseSign1[2]),
+            );
+            const pub = X509.publicKeyForNoble(leaf);
+            const curveLib = pub && window.nobleCurves?.[pub.nobleCurveName];
+            if (!curveLib) {
+                result.signatureErrors.push(
+                    "Unsupported VICAL signer public key",
+                );
+                return finish();
+            }
+            const digest = new Uint8Array(
+                await crypto.subtle.digest(hash, toBeSigned),
+            );
+            try {
+                result.signatureValid = curveLib.verify(
+                    normalizeBytesMaybeArray(coseSign1[3]),
+                    digest,
+                    pub.key,
+                    { prehash: false, lowS: false, format: "compact" },
+                );
+            } catch {
+                result.signatureValid = false;
+            }
+            if (!result.signatureValid)
+                result.signatureErrors.push(
+                    "VICAL COSE_Sign1 signature is invalid",
+                );
+
+            // Same path rules as issuer chains, with the VICAL signer EKU and
+            // the configured VICAL signers as trust anchors
+            const signers = getVicalSigners();
+            if (!signers.length) {
+                result.chainErrors.push(
+                    "No VICAL signer certificate configured",
+                );
+            } else if (!window.Verification?.validateCertificateChain) {
+                result.chainErrors.push("Verification module not loaded");
+            } else {
+                const path = await window.Verification.validateCertificateChain(
+                    chain.map((c) => c.der),
+                    {
+                        validationTime: now,
+                        trustAnchors: signers,
+                        leafExtKeyUsage: X509.OIDS.vicalSigner,
+                        anchorName: "VICAL signer",
+                        leafMayBeAnchor: true,
+                        profile: false,
+                    },
+                );
+                result.chain = path;
+                result.anchor = path.matchedIACA?.name || null;
+                result.chainTrusted = path.valid;
+                result.chainErrors.push(...path.errors);
+            }
+        } catch (e) {
+            (result.signatureValid
+                ? result.chainErrors
+                : result.signatureErrors
+            ).push(`VICAL verification error: ${e.message}`);
+        }
+        return finish();
+    }
+
+    // VICAL header fields (ISO 18013-5 Annex C): version, vicalProvider,
+    // date, vicalIssueID and nextUpdate
+    function extractVICALMetadata(vical) {
+        const get = (k) =>
+            vical instanceof Map
+                ? vical.get(k)
+                : vical && typeof vical === "object" && !Array.isArray(vical)
+                  ? vical[k]
+                  : undefined;
+        const toDate = (v) => {
+            if (v == null) return null;
+            if (v instanceof Date) return v;
+            if (v && v.tag === 0 && v.value != null) v = v.value;
+            const d = new Date(v);
+            return Number.isNaN(d.getTime()) ? null : d;
+        };
+        return {
+            vicalProvider: get("vicalProvider") ?? null,
+            vicalVersion: get("version") ?? get("vicalVersion") ?? null,
+            vicalIssueID: get("vicalIssueID") ?? null,
+            date: toDate(get("date")),
+            nextUpdate: toDate(get("nextUpdate")),
+        };
+    }
+
+    function unverifiedVICALError(verification, metadata) {
+        const reason = verification.errors.length
+            ? verification.errors.join("; ")
+            : "signature not verified";
+        const err = new Error(
+            `VICAL rejected (${reason}). Configure its signer certificate or enable "Import unverified VICAL".`,
+        );
+        err.verification = verification;
+        err.metadata = metadata;
+        return err;
+    }
+
     async function importVICALFromBytes(bytes, opts = {}) {
-        const { markTest = false } = opts || {};
+        const { markTest = false, allowUnverified = false } = opts || {};
         const CBOR = getCBOR();
         if (!CBOR) throw new Error("CBOR library not available");
         let root = CBOR.decode(bytes);
@@ -624,6 +996,25 @@
                 root = CBOR.decode(new Uint8Array(root.value));
             } catch (_) {}
         }
+        // COSE_Sign1 may carry its CBOR tag (18)
+        if (root instanceof CBOR.Tagged && root.tag === 18) root = root.value;
+        let verification;
+        let content = root;
+        if (isCoseSign1(root)) {
+            verification = await verifyVICALSignature(root);
+            try {
+                content = CBOR.decode(normalizeBytesMaybeArray(root[2]));
+            } catch (_) {}
+        } else {
+            verification = {
+                signed: false,
+                valid: false,
+                errors: ["VICAL is not wrapped in a COSE_Sign1"],
+            };
+        }
+        const metadata = extractVICALMetadata(content);
+        if (!verification.valid && !allowUnverified)
+            throw unverifiedVICALError(verification, metadata);
         const entries = decodeVICALRoot(root);
         const candidates = countVICALCandidates(root);
         let imported = 0,
@@ -632,7 +1023,12 @@
         for (const e of entries) {
             try {
                 const isTest = markTest || !!e.test;
-                addIACA(e.pem, e.name || null, isTest);
+                addIACA(
+                    e.pem,
+                    e.name || null,
+                    isTest,
+                    e.docTypes ? { docTypes: e.docTypes } : null,
+                );
                 imported++;
             } catch (err) {
                 if (/already installed/i.test(err.message)) skipped++;
@@ -659,12 +1055,24 @@
             errors,
             unknown,
             candidates,
+            verified: verification.valid,
+            verification,
+            metadata,
         };
     }
 
     // Import from an already-parsed JS object (JSON shape). Mirrors importVICALFromBytes semantics.
     async function importVICALFromObject(rootObject, opts = {}) {
-        const { markTest = false } = opts || {};
+        const { markTest = false, allowUnverified = false } = opts || {};
+        // JSON renderings carry no COSE signature and can never be verified
+        const verification = {
+            signed: false,
+            valid: false,
+            errors: ["JSON VICAL carries no COSE_Sign1 signature"],
+        };
+        const metadata = extractVICALMetadata(rootObject);
+        if (!allowUnverified)
+            throw unverifiedVICALError(verification, metadata);
         const entries = decodeVICALRoot(rootObject);
         const candidates = countVICALCandidates(rootObject);
         let imported = 0,
@@ -673,7 +1081,12 @@
         for (const e of entries) {
             try {
                 const isTest = markTest || !!e.test;
-                addIACA(e.pem, e.name || null, isTest);
+                addIACA(
+                    e.pem,
+                    e.name || null,
+                    isTest,
+                    e.docTypes ? { docTypes: e.docTypes } : null,
+                );
                 imported++;
             } catch (err) {
                 if (/already installed/i.test(err.message)) skipped++;
@@ -693,6 +1106,9 @@
             errors,
             unknown,
             candidates,
+            verified: verification.valid,
+            verification,
+            metadata,
         };
     }
 
@@ -708,7 +1124,10 @@
                     bytes[i] = raw.charCodeAt(i);
                 return await importVICALFromBytes(bytes, opts);
             }
-        } catch (_) {}
+        } catch (e) {
+            // A rejected signature is final; other errors fall back to fetch
+            if (e && e.verification) throw e;
+        }
 
         // Helper: sleep with Promise
         const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -843,7 +1262,9 @@
                     for (let i = 0; i < raw.length; i++)
                         bytes[i] = raw.charCodeAt(i);
                     return await importVICALFromBytes(bytes, opts);
-                } catch (_) {}
+                } catch (e) {
+                    if (e && e.verification) throw e;
+                }
             }
             // Minimal JWS support: if it looks like a JWT, decode the payload and try JSON
             const parts = text.trim().split(".");
@@ -864,7 +1285,9 @@
                     );
                     const obj = JSON.parse(payloadText);
                     return await importVICALFromObject(obj, opts);
-                } catch (_) {}
+                } catch (e) {
+                    if (e && e.verification) throw e;
+                }
             }
             // Give up with a helpful error
             throw new Error(
@@ -993,6 +1416,61 @@
                             }
                         }
                     } catch {}
+                    let profileHtml = "";
+                    try {
+                        const lint = window.CertProfile?.lintCertificate(
+                            certInfo.bytes,
+                            "iaca",
+                        );
+                        if (lint) {
+                            const esc = (t) =>
+                                window.escapeHtml ? window.escapeHtml(t) : t;
+                            const items = lint.findings
+                                .map(
+                                    (f) =>
+                                        `<li style="color: ${f.severity === "error" ? "#991b1b" : "#92400e"};">${f.severity === "error" ? "✗" : "⚠️"} ${esc(f.rule)}: ${esc(f.message)}</li>`,
+                                )
+                                .join("");
+                            profileHtml = `<div style="margin-bottom: 0.5rem;">
+                  <strong>Annex B profile:</strong> <span style="color: ${lint.conformant ? "#059669" : "#991b1b"};">${
+                      lint.conformant
+                          ? `✓ Conformant${lint.warnings ? ` (${lint.warnings} warning${lint.warnings > 1 ? "s" : ""})` : ""}`
+                          : `✗ ${lint.errors} error${lint.errors > 1 ? "s" : ""}${lint.warnings ? `, ${lint.warnings} warning${lint.warnings > 1 ? "s" : ""}` : ""}`
+                  }</span>
+                  ${items ? `<ul style="margin: 0.25rem 0 0; padding-left: 1.1rem; font-size: 0.8rem;">${items}</ul>` : ""}
+                </div>`;
+                        }
+                    } catch (e) {
+                        console.warn("Annex B profile check failed:", e);
+                    }
+                    const policy = getIACAPolicy(iaca);
+                    const esc = (t) =>
+                        window.escapeHtml ? window.escapeHtml(t) : t;
+                    // escapeHtml leaves quotes alone; these go in value="…"
+                    const escAttr = (t) =>
+                        String(t)
+                            .replace(/&/g, "&amp;")
+                            .replace(/"/g, "&quot;")
+                            .replace(/</g, "&lt;");
+                    const policyHtml = `<div style="margin-bottom: 0.5rem;">
+                  <strong>Trust policy:</strong>
+                  <div style="color: #1e293b; font-size: 0.8rem; margin-top: 0.25rem;">DocTypes: ${policy.docTypes.length ? esc(policy.docTypes.join(", ")) : "any"}</div>
+                  <div style="color: #1e293b; font-size: 0.8rem;">Issuing countries: ${policy.countries.length ? esc(policy.countries.join(", ")) : "any"}</div>
+                  <div style="color: #1e293b; font-size: 0.8rem;">Environment: ${policy.test ? "test" : "production"}</div>
+                  <form id="iaca-policy-form-${index}" onsubmit="event.preventDefault(); saveIACAPolicy(${index});" style="display: none; margin-top: 0.5rem; padding: 0.5rem; background: #f1f5f9; border-radius: 6px; font-size: 0.8rem;">
+                    <label style="display: block; margin-bottom: 0.35rem;">DocTypes (comma-separated, empty = any)
+                      <input name="docTypes" value="${escAttr(policy.docTypes.join(", "))}" style="display: block; width: 100%; margin-top: 0.15rem;">
+                    </label>
+                    <label style="display: block; margin-bottom: 0.35rem;">Issuing countries (ISO 3166-1 alpha-2, comma-separated, empty = any)
+                      <input name="countries" value="${escAttr(policy.countries.join(", "))}" style="display: block; width: 100%; margin-top: 0.15rem;">
+                    </label>
+                    <label style="display: block; margin-bottom: 0.5rem;">
+                      <input type="checkbox" name="test"${policy.test ? " checked" : ""}> Test/development anchor
+                    </label>
+                    <button type="submit" style="padding: 0.35rem 0.65rem; font-size: 0.85rem; background: #7c3aed;">Save</button>
+                    <button type="button" onclick="cancelIACAPolicy(${index})" style="padding: 0.35rem 0.65rem; font-size: 0.85rem; background: #64748b;">Cancel</button>
+                  </form>
+                </div>`;
                     const defaultBadge = isDefault
                         ? '<div style="font-size: 0.8rem; color: #059669; margin: 0.25rem 0 0.5rem;">✓ Default certificate</div>'
                         : "";
@@ -1028,6 +1506,8 @@
                 </div>`
                         : ""
                 }
+                ${profileHtml}
+                ${policyHtml}
                 <div style="margin-bottom: 0.5rem;">
                   <strong>SHA-256 Fingerprint:</strong> 
                   <div style="font-family: 'SFMono-Regular','JetBrains Mono',ui-monospace,monospace; font-size: 0.75rem; color: #1e293b; margin-top: 0.25rem; word-break: break-all;">${hexThumbprint}</div>
@@ -1039,6 +1519,9 @@
                   <button onclick="copyIACAPEM(${index})" style="padding: 0.35rem 0.65rem; font-size: 0.85rem; background: #059669;">
                     📋 Copy PEM
                   </button>
+                  <button onclick="editIACAPolicy(${index})" style="padding: 0.35rem 0.65rem; font-size: 0.85rem; background: #7c3aed;">
+                    🛡️ Edit Trust Policy
+                  </button>
                 </div>
               </div>
             </div>
@@ -1177,6 +1660,43 @@
             document.body.appendChild(modal);
         }
     };
+    // Inline form in the details panel; Cancel restores the stored values
+    window.editIACAPolicy = function (index) {
+        const form = document.getElementById(`iaca-policy-form-${index}`);
+        if (form) form.style.display = "block";
+    };
+    window.cancelIACAPolicy = function (index) {
+        const form = document.getElementById(`iaca-policy-form-${index}`);
+        if (!form) return;
+        form.reset();
+        form.style.display = "none";
+    };
+    window.saveIACAPolicy = function (index) {
+        const form = document.getElementById(`iaca-policy-form-${index}`);
+        if (!form) return;
+        const updated = setIACAPolicy(index, {
+            docTypes: form.elements.docTypes.value,
+            countries: form.elements.countries.value,
+            test: form.elements.test.checked,
+        });
+        if (updated) {
+            (window.log || console.log)(
+                `🛡️ Updated trust policy for IACA: ${updated.name}`,
+            );
+            updateIACAList();
+        }
+    };
+    window.removeVicalSignerCert = function (index) {
+        if (confirm("Remove this VICAL signer certificate?")) {
+            const removed = removeVicalSigner(index);
+            if (removed) {
+                (window.log || console.log)(
+                    `🗑️ Removed VICAL signer: ${removed.name}`,
+                );
+                updateVicalSignerList();
+            }
+        }
+    };
     window.copyIACAPEM = async function (index) {
         const iacas = getIACAs();
         if (index >= 0 && index < iacas.length) {
@@ -1202,12 +1722,21 @@
         addIACA,
         removeIACA,
         toggleIACAStatus,
+        getIACAPolicy,
+        setIACAPolicy,
+        evaluateTrustPolicy,
         parsePEMCertificate,
         pemToCryptoKey,
         updateIACAList,
         importVICALFromBytes,
         importVICALFromUri,
         importVICALFromFile,
+        getVicalSigners,
+        addVicalSigner,
+        removeVicalSigner,
+        updateVicalSignerList,
+        verifyVICALSignature,
+        extractVICALMetadata,
         resetToDefaults,
     };
 })();
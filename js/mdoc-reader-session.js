@@ -0,0 +1,539 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Reader-side ISO 18013-5 session engine shared by the verifier pages
+     Exposes window.MdocReaderSession with:
+      create({ transport, logger, chunkSize, buildDeviceRequest, verify,
+               verifyOptions, keepOpen, allowMissingIdent })
+      verifyDocuments(model, { trustAnchors, deriveEMacKey })
+                                                → { allValid, results }
+      isDocumentValid(result)                   every check of one
+                                                verifyCredentialSignature result passed
+
+     A session runs engagement → connection → request → response over any
+     js/transport.js transport (BLE by default, ?transport=loopback):
+      engage(input)            "mdoc:" URI, NFC handover NDEF bytes, or the
+                               result of DeviceEngagement.parseMdocUriAndDE /
+                               parseNfcHandover → engagement
+      connect()                link up + session start; the BLE Ident is checked
+                               against the engagement → { identStatus }. A
+                               missing, unreadable or mismatching Ident fails
+                               the connection; allowMissingIdent lets a wallet
+                               without the characteristic through ("absent")
+      request(deviceRequest)   DeviceRequest bytes (default: buildDeviceRequest(session));
+                               the first one goes in SessionEstablishment, later
+                               ones in SessionData
+      verify(model, { trustAnchors })
+                               verifyDocuments() for a response of this session,
+                               which can check deviceMac
+      start()                  connect() then request()
+      end()                    SessionData status 20, then close the link
+      dispose()                detach from the transport
+      state                    SessionEstablishment.SESSION_STATES key
+      engagement, transport
+      on(event, handler) / off(event, handler)
+
+     Events (handlers may be async and are awaited in order):
+      engaged           { engagement, source }
+      connected         { identStatus }
+      requestSent       { bytes, counter }
+      responseReceived  { deviceResponse, model, counter, status }
+      verified          { deviceResponse, model, allValid, results }  when verify is on
+      ended             { by: "reader" | "wallet" | "link", status }
+      error             Error with .phase (engage, connect, request, response, wallet)
+      state             { state, previous, detail }
+
+     After a response the session ends itself unless keepOpen is set.
+*/
+
+(function () {
+    function getCBOR() {
+        return window.CBOR || self.CBOR || self.cbor;
+    }
+    const getField = (obj, key) =>
+        obj instanceof Map ? obj.get(key) : obj?.[key];
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+    function toBytes(v) {
+        if (v instanceof getCBOR().Tagged) v = v.value;
+        if (v instanceof Uint8Array) return v;
+        if (ArrayBuffer.isView(v))
+            return new Uint8Array(v.buffer, v.byteOffset, v.byteLength);
+        if (v instanceof ArrayBuffer) return new Uint8Array(v);
+        return null;
+    }
+
+    // Same acceptance rule for every page: each check of
+    // Verification.verifyCredentialSignature must have passed explicitly, so
+    // a check that did not run counts as a failure. chainValid includes the
+    // IACA trust policy.
+    function isDocumentValid(res) {
+        return (
+            res?.signatureValid === true &&
+            res.chainValid === true &&
+            res.claims?.allMatched === true &&
+            res.mdocAuthValid === true &&
+            res.validityValid === true &&
+            res.deviceSignedValid === true &&
+            res.issuerConsistencyValid === true
+        );
+    }
+
+    // A response without documents verifies nothing and is not valid
+    async function verifyDocuments(model, verifyOptions = {}) {
+        const docs = Array.isArray(model?.documents) ? model.documents : [];
+        if (!docs.length) return { allValid: false, results: [] };
+        if (
+            typeof window.Verification?.verifyCredentialSignature !== "function"
+        )
+            return {
+                allValid: false,
+                results: [],
+                error: "Verification module not loaded",
+            };
+        const results = [];
+        let allValid = true;
+        for (const doc of docs) {
+            try {
+                const res = await window.Verification.verifyCredentialSignature(
+                    doc,
+                    verifyOptions,
+                );
+                results.push(res);
+                if (!isDocumentValid(res)) allValid = false;
+            } catch (e) {
+                allValid = false;
+                results.push({
+                    signatureValid: false,
+                    errors: [String(e?.message || e)],
+                });
+            }
+        }
+        return { allValid, results };
+    }
+
+    function create(options = {}) {
+        const log = options.logger || console.log;
+        const transport =
+            options.transport || window.Transport.create({ logger: log });
+        const chunkSize = () =>
+            (typeof options.chunkSize === "function"
+                ? options.chunkSize()
+                : options.chunkSize) || 185;
+
+        const listeners = {
+            engaged: [],
+            connected: [],
+            requestSent: [],
+            responseReceived: [],
+            verified: [],
+            ended: [],
+            error: [],
+            state: [],
+        };
+
+        let engagement = null;
+        let readerKeyPair = null;
+        // Verification option for deviceMac; EReaderKey stays in the session
+        let deriveEMacKey = null;
+        let skReader = null;
+        let skDevice = null;
+        let readerCounter = 0;
+        let deviceCounter = 0;
+
+        async function emit(event, payload) {
+            for (const handler of [...listeners[event]]) {
+                try {
+                    await handler(payload);
+                } catch (e) {
+                    console.warn(
+                        `MdocReaderSession ${event} handler failed:`,
+                        e,
+                    );
+                }
+            }
+        }
+
+        const lifecycle = window.SessionEstablishment.createSessionLifecycle(
+            (state, previous, detail) =>
+                void emit("state", { state, previous, detail }),
+        );
+
+        async function fail(phase, error) {
+            const err = error instanceof Error ? error : new Error(error);
+            err.phase = phase;
+            log(`❌ ${err.message}`);
+            lifecycle.transition("error", err.message);
+            if (!listeners.error.length) console.error(err);
+            await emit("error", err);
+            return err;
+        }
+
+        function resetKeys() {
+            readerKeyPair = null;
+            deriveEMacKey = null;
+            skReader = null;
+            skDevice = null;
+            window.skDevice = null;
+            readerCounter = 0;
+            deviceCounter = 0;
+        }
+
+        // The session is over: drop the link without another End signal
+        async function closed(by, status) {
+            const wasOpen =
+                lifecycle.state !== "terminated" && lifecycle.state !== "error";
+            if (wasOpen) lifecycle.transition("terminated", `Ended by ${by}`);
+            resetKeys();
+            try {
+                await transport.close({ notifyPeer: false });
+            } catch {}
+            if (wasOpen) await emit("ended", { by, status });
+        }
+
+        async function handleStatus(status) {
+            const description =
+                window.SessionEstablishment.describeSessionStatus(status);
+            if (status === 20) {
+                log("🛑 Wallet ended the session (SessionData status 20)");
+                await closed("wallet", status);
+                return;
+            }
+            await fail(
+                "wallet",
+                `Wallet reported ${description} (status ${status})`,
+            );
+            await closed("wallet", status);
+        }
+
+        async function decryptDeviceResponse(data) {
+            // The mdoc counter advances with every message it sends, whether
+            // or not we manage to decrypt it
+            deviceCounter++;
+            try {
+                return await window.WalletResponse.decryptSessionEstablishmentDataToObject(
+                    data,
+                    deviceCounter,
+                );
+            } catch (e) {
+                // Some wallets send COSE_Encrypt0 instead of raw AES-GCM
+                if (data[0] >= 0x80 && data[0] <= 0x9f)
+                    return window.WalletResponse.decryptCoseEncrypt0ToObject(
+                        data,
+                    );
+                throw e;
+            }
+        }
+
+        async function onMessage(bytes) {
+            if (!skDevice) {
+                log("⚠️ Ignoring wallet message received before the request");
+                return;
+            }
+            let decoded;
+            try {
+                decoded = getCBOR().decode(bytes);
+            } catch (e) {
+                await fail(
+                    "response",
+                    `Wallet message is not CBOR: ${e.message}`,
+                );
+                return;
+            }
+            // SessionData status (10, 11, 20). With data present the data is
+            // processed first; a status-only message needs no decryption.
+            const status = getField(decoded, "status");
+            const data = toBytes(getField(decoded, "data"));
+            if (!data || !data.length) {
+                if (status !== undefined) await handleStatus(status);
+                else await fail("response", "Wallet message has no data");
+                return;
+            }
+
+            let deviceResponse;
+            try {
+                deviceResponse = await decryptDeviceResponse(data);
+            } catch (e) {
+                await fail(
+                    "response",
+                    `Could not decrypt the DeviceResponse: ${e.message}`,
+                );
+                return;
+            }
+            const model =
+                window.WalletResponse.buildResponseViewModel(deviceResponse);
+            lifecycle.transition("established");
+            log(
+                `📥 DeviceResponse received (${model.documents?.length || 0} document(s))`,
+            );
+            await emit("responseReceived", {
+                deviceResponse,
+                model,
+                counter: deviceCounter,
+                status,
+            });
+            if (options.verify !== false) {
+                const verification = await session.verify(
+                    model,
+                    options.verifyOptions,
+                );
+                await emit("verified", {
+                    deviceResponse,
+                    model,
+                    ...verification,
+                });
+            }
+
+            if (status !== undefined) await handleStatus(status);
+            else if (!options.keepOpen) await session.end();
+        }
+
+        async function onEnd() {
+            log(
+                `🛑 Wallet ended the session${transport.kind === "ble" ? " (BLE state 0x02)" : ""}`,
+            );
+            await closed("wallet");
+        }
+
+        async function onClose() {
+            await closed("link");
+        }
+
+        transport.on("message", onMessage);
+        transport.on("end", onEnd);
+        transport.on("close", onClose);
+
+        const session = {
+            transport,
+            get engagement() {
+                return engagement;
+            },
+            get state() {
+                return lifecycle.state;
+            },
+
+            on(event, handler) {
+                if (!listeners[event])
+                    throw new Error(`Unknown session event: ${event}`);
+                listeners[event].push(handler);
+                return session;
+            },
+            off(event, handler) {
+                const list = listeners[event] || [];
+                const i = list.indexOf(handler);
+                if (i >= 0) list.splice(i, 1);
+                return session;
+            },
+
+            async engage(input, source = "QR") {
+                if (transport.isConnected()) await session.end();
+                resetKeys();
+                try {
+                    if (typeof input === "string")
+                        engagement = window.DeviceEngagement.parseMdocUriAndDE(
+                            input.trim(),
+                        );
+                    else if (input instanceof Uint8Array)
+                        engagement =
+                            window.DeviceEngagement.parseNfcHandover(input);
+                    else if (input?.deBytes) engagement = input;
+                    else throw new Error("Unsupported engagement payload");
+                } catch (e) {
+                    engagement = null;
+                    throw await fail("engage", e);
+                }
+                if (!lifecycle.can("engaged")) lifecycle.reset();
+                lifecycle.transition("engaged", source);
+                await emit("engaged", { engagement, source });
+                return engagement;
+            },
+
+            async connect() {
+                if (!engagement) throw new Error("No wallet engaged");
+                const target = { serviceUUID: engagement.uuid };
+                try {
+                    // The Ident characteristic must match the engagement
+                    if (
+                        !engagement.eDeviceKeyBytes &&
+                        !options.allowMissingIdent
+                    )
+                        throw new Error(
+                            "Device Engagement has no EDeviceKeyBytes; the BLE Ident cannot be checked",
+                        );
+                    const expectedIdent = engagement.eDeviceKeyBytes
+                        ? await window.SessionCrypto.deriveBleIdent(
+                              engagement.eDeviceKeyBytes,
+                          )
+                        : null;
+                    const connectOptions = {
+                        expectedIdent,
+                        allowMissingIdent: !!options.allowMissingIdent,
+                        defaultChunk: chunkSize(),
+                    };
+                    let result;
+                    try {
+                        result = await transport.connect(
+                            target,
+                            connectOptions,
+                        );
+                    } catch (e) {
+                        // Cached GATT objects may be stale: reset and retry once
+                        console.warn(
+                            "Connect failed, retrying after reset:",
+                            e,
+                        );
+                        try {
+                            await transport.close({ notifyPeer: false });
+                        } catch {}
+                        await sleep(300);
+                        result = await transport.connect(
+                            target,
+                            connectOptions,
+                        );
+                    }
+                    const identStatus = result?.identStatus || "unchecked";
+                    if (expectedIdent && identStatus === "absent")
+                        log(
+                            "⚠️ Wallet does not expose the BLE Ident characteristic; peripheral identity not verified",
+                        );
+                    await emit("connected", { identStatus });
+                    return { identStatus };
+                } catch (e) {
+                    throw await fail("connect", e);
+                }
+            },
+
+            async request(deviceRequest) {
+                try {
+                    if (!engagement) throw new Error("No wallet engaged");
+                    // Built only once the SessionTranscript exists: reader
+                    // authentication signs over it
+                    const resolveRequest = async () => {
+                        const bytes = await (deviceRequest === undefined
+                            ? options.buildDeviceRequest?.(session)
+                            : deviceRequest);
+                        if (!(bytes instanceof Uint8Array))
+                            throw new Error("DeviceRequest bytes required");
+                        return bytes;
+                    };
+
+                    let message;
+                    if (!skReader) {
+                        const SE = window.SessionEstablishment;
+                        SE.resetReaderCoseKeyCache();
+                        // A replay peer supplies the captured EReaderKey so
+                        // its recorded replies decrypt
+                        readerKeyPair = transport.peer?.readerKeyPair
+                            ? await window.SessionCrypto.importEphemeralKeyPair(
+                                  transport.peer.readerKeyPair,
+                              )
+                            : await SE.makeReaderEphemeralKeyPair(
+                                  engagement.crv,
+                              );
+                        await SE.exportReaderPublicToCoseKey(readerKeyPair);
+                        deriveEMacKey = window.SessionCrypto.eMacKeyDeriver(
+                            readerKeyPair.privateKey,
+                        );
+                        const handover = engagement.handover || null;
+                        const built =
+                            await SE.buildLegacySessionEstablishmentWithData({
+                                deBytes: engagement.deBytes,
+                                mdocPubKey: {
+                                    x: engagement.x,
+                                    y: engagement.y,
+                                    crv: engagement.crv,
+                                },
+                                readerKeyPair,
+                                transcriptAAD: await SE.buildTranscriptAAD(
+                                    engagement.deBytes,
+                                    handover,
+                                ),
+                                handover,
+                                buildRequestByType: resolveRequest,
+                                CBOR: getCBOR(),
+                            });
+                        skReader = built.keys.readerKey;
+                        skDevice = built.keys.deviceKey;
+                        // WalletResponse decrypts with the page-wide key
+                        window.skDevice = skDevice;
+                        readerCounter = 1;
+                        message = built.message;
+                        lifecycle.transition("established");
+                    } else {
+                        message =
+                            await window.SessionEstablishment.buildSessionDataWithRequest(
+                                {
+                                    request: await resolveRequest(),
+                                    skReader,
+                                    counter: ++readerCounter,
+                                },
+                            );
+                    }
+                    await transport.send(message, { chunkSize: chunkSize() });
+                    lifecycle.transition("awaiting_response");
+                    await emit("requestSent", {
+                        bytes: message,
+                        counter: readerCounter,
+                    });
+                    return message;
+                } catch (e) {
+                    throw await fail("request", e);
+                }
+            },
+
+            // verifyDocuments with this session's deviceMac key derivation
+            verify(model, verifyOptions = {}) {
+                return verifyDocuments(model, {
+                    ...verifyOptions,
+                    deriveEMacKey,
+                });
+            },
+
+            async start() {
+                await session.connect();
+                return session.request();
+            },
+
+            async end() {
+                const open =
+                    !!skReader &&
+                    lifecycle.state !== "terminated" &&
+                    lifecycle.state !== "error";
+                try {
+                    if (open && transport.isConnected())
+                        await transport.send(
+                            window.SessionEstablishment.buildSessionTermination(),
+                            { chunkSize: chunkSize() },
+                        );
+                } catch (e) {
+                    console.warn("Failed to send session termination:", e);
+                }
+                resetKeys();
+                if (open) {
+                    lifecycle.transition("terminated", "Ended by reader");
+                }
+                try {
+                    // Signals End to the peer (BLE state 0x02), then disconnects
+                    await transport.close({ notifyPeer: true });
+                } catch (e) {
+                    console.warn("Error disconnecting wallet:", e);
+                }
+                if (open) await emit("ended", { by: "reader" });
+            },
+
+            dispose() {
+                transport.off("message", onMessage);
+                transport.off("end", onEnd);
+                transport.off("close", onClose);
+            },
+        };
+        return session;
+    }
+
+    window.MdocReaderSession = {
+        create,
+        verifyDocuments,
+        isDocumentValid,
+    };
+})();
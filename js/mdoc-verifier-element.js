@@ -0,0 +1,640 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  <mdoc-verifier> custom element: engagement (QR camera, pasted URI, NFC),
+  BLE session, DeviceRequest, verification and a compact result view
+     Needs the scripts loaded by visitor.html (jsQR, cbor, noble-curves,
+     session-crypto, ble-transport, transport, session-establishment, x509,
+     cert-profile, verification, iaca-management, device-engagement,
+     wallet-response, request-builder, mdoc-reader-session) before this one.
+     Without iaca-management.js and a trust-anchors attribute, no issuer
+     chain validates. reader-authentication.js is optional.
+
+     Attributes:
+      request-types       RequestBuilder presets, e.g. "mdl_minimal pid_age"
+                          (default mdl_minimal when no doctype is given)
+      doctype             docType of an explicit request
+      namespace           namespace of the elements (default: the docType,
+                          org.iso.18013.5.1 for the mDL)
+      elements            element identifiers, space or comma separated
+      intent-to-retain    boolean; the elements will be kept by the reader
+      reader-auth         "off", or "stored" (default: ReaderAuth settings)
+      reader-auth-key     URL of the reader private key (PKCS#8 PEM)
+      reader-auth-chain   URL of the reader certificate chain (PEM)
+      trust-anchors       URL of a PEM bundle of IACA certificates
+                          (default: the IACAs configured in the verifier)
+      chunk-size          BLE write size (default 185)
+     Properties:
+      readerAuth          { keyPem, certsPem } or false; overrides the
+                          reader-auth attributes
+      trustAnchors        PEM strings or { name, pem }; overrides trust-anchors
+      requestItems        [{ docType, nameSpaces: { [ns]: { [element]:
+                          intentToRetain } } }]; overrides the request
+                          attributes
+      session             the MdocReaderSession in use
+     Methods:
+      engage(payload)     "mdoc:" URI or NFC handover bytes, then connect
+      reset()             end the session and clear the result
+     Events (bubbling, composed):
+      mdoc-engaged, mdoc-connected, mdoc-request-sent
+      mdoc-verified       { valid, claims, report, deviceResponse }
+      mdoc-ended          { by }
+      mdoc-error          { phase, message }
+     claims = [{ docType, nameSpaces: { [ns]: { [element]: value } } }],
+     values as WalletResponse.convertToJSON (bytes → { _type, _base64 }).
+*/
+
+(function () {
+    const DEFAULT_NAMESPACES = {
+        "org.iso.18013.5.1.mDL": "org.iso.18013.5.1",
+    };
+    const PEM_CERT =
+        /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+    const splitList = (value) =>
+        String(value || "")
+            .split(/[\s,]+/)
+            .filter(Boolean);
+
+    async function fetchText(url) {
+        const res = await fetch(url, { cache: "no-store" });
+        if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+        return res.text();
+    }
+
+    function anchorFromPem(pem, index) {
+        let name = `Trust anchor ${index + 1}`;
+        try {
+            const cert = window.X509.parseCertificate(
+                window.X509.pemToDer(pem),
+            );
+            name = cert.subject.get("CN") || name;
+        } catch {}
+        return { name, pem };
+    }
+
+    // Per-document verdict: MdocReaderSession.isDocumentValid, the rule the
+    // verifier pages apply. testAnchor: the issuer chains to an IACA marked
+    // as a test anchor in its trust policy
+    function buildReport(model, results) {
+        return (model.documents || []).map((doc, i) => {
+            const res = results[i] || {};
+            const policy = res.trustPolicy;
+            return {
+                docType: doc.docType,
+                valid: window.MdocReaderSession.isDocumentValid(res),
+                issuer: res.chainInfo?.matchedIACA?.name || null,
+                signatureValid: res.signatureValid === true,
+                chainValid: res.chainValid === true,
+                integrityValid: res.claims?.allMatched === true,
+                deviceAuthValid: res.mdocAuthValid === true,
+                validityValid: res.validityValid === true,
+                deviceSignedValid: res.deviceSignedValid === true,
+                issuerConsistencyValid: res.issuerConsistencyValid === true,
+                trustPolicy: policy
+                    ? {
+                          allowed: policy.allowed,
+                          docTypes: policy.policy.docTypes,
+                          countries: policy.policy.countries,
+                          test: policy.test,
+                      }
+                    : null,
+                testAnchor: res.testAnchor === true,
+                validUntil: doc.signature?.mso?.validUntil || null,
+                errors: res.errors || [],
+            };
+        });
+    }
+
+    function buildClaims(model) {
+        return (model.documents || []).map((doc) => {
+            // Names come from the wallet: maps without a prototype
+            const nameSpaces = Object.create(null);
+            for (const [ns, entries] of Object.entries(
+                doc.issuerSigned?.nameSpaces || {},
+            )) {
+                nameSpaces[ns] = Object.create(null);
+                for (const entry of entries)
+                    nameSpaces[ns][entry.elementIdentifier] = entry.raw;
+            }
+            return { docType: doc.docType, nameSpaces };
+        });
+    }
+
+    const STYLE = `
+        :host {
+            display: block;
+            font-family: var(--font-body, system-ui, sans-serif);
+            color: var(--c-text, #1a1d23);
+        }
+        .card {
+            border: 1px solid var(--c-border-strong, rgba(15, 23, 42, 0.14));
+            border-radius: var(--radius-md, 12px);
+            background: var(--c-surface, #fff);
+            padding: 14px;
+        }
+        .request {
+            font-size: 0.85rem;
+            color: var(--c-text-secondary, #5e6577);
+        }
+        .row {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+            margin-top: 10px;
+        }
+        input {
+            flex: 1;
+            min-width: 0;
+            padding: 6px 8px;
+            font-family: var(--font-mono, monospace);
+        }
+        button {
+            padding: 6px 12px;
+            border: 0;
+            border-radius: var(--radius-sm, 8px);
+            background: var(--c-accent, #2563eb);
+            color: #fff;
+            cursor: pointer;
+        }
+        button.secondary {
+            background: var(--c-surface-alt, #f7f8fa);
+            color: inherit;
+            border: 1px solid var(--c-border-strong, rgba(15, 23, 42, 0.14));
+        }
+        video {
+            width: 100%;
+            max-height: 260px;
+            margin-top: 10px;
+            border-radius: var(--radius-sm, 8px);
+            background: #000;
+        }
+        .status {
+            margin-top: 10px;
+            font-size: 0.85rem;
+            color: var(--c-text-secondary, #5e6577);
+        }
+        .verdict {
+            margin-top: 10px;
+            padding: 8px 10px;
+            border-radius: var(--radius-sm, 8px);
+            font-weight: 600;
+        }
+        .verdict.ok {
+            background: var(--c-green-subtle, rgba(5, 150, 105, 0.08));
+            color: var(--c-green, #059669);
+        }
+        .verdict.ko {
+            background: rgba(220, 38, 38, 0.08);
+            color: #dc2626;
+        }
+        .doc {
+            margin-top: 10px;
+        }
+        .doc h4 {
+            margin: 0 0 4px;
+            font-size: 0.9rem;
+        }
+        .checks {
+            font-size: 0.8rem;
+            color: var(--c-text-secondary, #5e6577);
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+        }
+        td {
+            padding: 3px 4px;
+            border-top: 1px solid var(--c-border, rgba(15, 23, 42, 0.08));
+            vertical-align: top;
+        }
+        td:first-child {
+            color: var(--c-text-secondary, #5e6577);
+            width: 40%;
+        }
+        img {
+            max-width: 96px;
+            border-radius: 4px;
+        }
+    `;
+
+    class MdocVerifierElement extends HTMLElement {
+        constructor() {
+            super();
+            this.readerAuth = undefined;
+            this.trustAnchors = undefined;
+            this._requestItems = null;
+            this.session = null;
+            this._cache = {};
+            this._scanning = false;
+            this._nfcAbort = null;
+            const root = this.attachShadow({ mode: "open" });
+            root.innerHTML = `
+                <style>${STYLE}</style>
+                <div class="card" part="card">
+                    <div class="request" part="request"></div>
+                    <div class="row">
+                        <button type="button" data-action="scan">Scan QR</button>
+                        <button type="button" data-action="nfc" class="secondary" style="display: none">Tap NFC</button>
+                    </div>
+                    <video playsinline muted style="display: none"></video>
+                    <div class="row">
+                        <input type="text" placeholder="mdoc:…" aria-label="Device Engagement URI" />
+                        <button type="button" data-action="paste" class="secondary">Connect</button>
+                    </div>
+                    <div class="status" part="status" role="status">Idle</div>
+                    <div class="result" part="result"></div>
+                </div>`;
+            this._el = {
+                request: root.querySelector(".request"),
+                video: root.querySelector("video"),
+                input: root.querySelector("input"),
+                status: root.querySelector(".status"),
+                result: root.querySelector(".result"),
+                nfc: root.querySelector('[data-action="nfc"]'),
+            };
+            if ("NDEFReader" in window) this._el.nfc.style.display = "";
+            root.addEventListener("click", (e) => {
+                const action = e.target?.dataset?.action;
+                if (action === "scan") this._startCamera();
+                else if (action === "nfc") this._startNfc();
+                else if (action === "paste")
+                    this.engage(this._el.input.value, "manual");
+            });
+        }
+
+        static get observedAttributes() {
+            return ["request-types", "doctype", "namespace", "elements"];
+        }
+
+        get requestItems() {
+            return this._requestItems;
+        }
+
+        set requestItems(items) {
+            this._requestItems =
+                Array.isArray(items) && items.length ? items : null;
+            this._renderRequest();
+        }
+
+        connectedCallback() {
+            this._renderRequest();
+        }
+
+        attributeChangedCallback() {
+            this._renderRequest();
+        }
+
+        disconnectedCallback() {
+            this._stopCamera();
+            this._nfcAbort?.abort();
+            if (this.session) {
+                void this.session.end();
+                this.session.dispose();
+                this.session = null;
+            }
+        }
+
+        _emit(type, detail) {
+            this.dispatchEvent(
+                new CustomEvent(type, {
+                    detail,
+                    bubbles: true,
+                    composed: true,
+                }),
+            );
+        }
+
+        _setStatus(text) {
+            this._el.status.textContent = text;
+        }
+
+        _itemsRequest() {
+            const docType = this.getAttribute("doctype");
+            const elements = splitList(this.getAttribute("elements"));
+            if (!docType || !elements.length) return null;
+            const namespace =
+                this.getAttribute("namespace") ||
+                DEFAULT_NAMESPACES[docType] ||
+                docType;
+            const retain = this.hasAttribute("intent-to-retain");
+            const fields = {};
+            for (const el of elements) fields[el] = retain;
+            return { docType, nameSpaces: { [namespace]: fields } };
+        }
+
+        _requestTypes() {
+            const types = splitList(this.getAttribute("request-types"));
+            return types.length || this._itemsRequest()
+                ? types
+                : ["mdl_minimal"];
+        }
+
+        _renderRequest() {
+            if (this._requestItems) {
+                this._el.request.textContent = `Requests: ${this._requestItems
+                    .map(
+                        (d) =>
+                            `${d.docType} (${Object.values(d.nameSpaces).flatMap(Object.keys).join(", ")})`,
+                    )
+                    .join("; ")}`;
+                return;
+            }
+            const items = this._itemsRequest();
+            const types = this._requestTypes();
+            this._el.request.textContent =
+                types.length || !items
+                    ? `Requests: ${types.join(", ")}`
+                    : `Requests from ${items.docType}: ${Object.keys(Object.values(items.nameSpaces)[0]).join(", ")}`;
+        }
+
+        async _readerAuthConfig() {
+            if (this.readerAuth !== undefined) return this.readerAuth;
+            if (this.getAttribute("reader-auth") === "off") return false;
+            const keyUrl = this.getAttribute("reader-auth-key");
+            const chainUrl = this.getAttribute("reader-auth-chain");
+            if (!keyUrl && !chainUrl) return undefined;
+            if (!keyUrl || !chainUrl)
+                throw new Error(
+                    "reader-auth-key and reader-auth-chain must be set together",
+                );
+            const cacheKey = `${keyUrl}\n${chainUrl}`;
+            if (this._cache.readerAuthKey !== cacheKey) {
+                this._cache.readerAuth = {
+                    keyPem: await fetchText(keyUrl),
+                    certsPem: await fetchText(chainUrl),
+                };
+                this._cache.readerAuthKey = cacheKey;
+            }
+            return this._cache.readerAuth;
+        }
+
+        async _trustAnchors() {
+            if (Array.isArray(this.trustAnchors))
+                return this.trustAnchors.map((a, i) =>
+                    typeof a === "string" ? anchorFromPem(a, i) : a,
+                );
+            const url = this.getAttribute("trust-anchors");
+            if (!url) return undefined;
+            if (this._cache.anchorsUrl !== url) {
+                const pems = (await fetchText(url)).match(PEM_CERT) || [];
+                if (!pems.length)
+                    throw new Error(`${url}: no PEM certificate found`);
+                this._cache.anchors = pems.map(anchorFromPem);
+                this._cache.anchorsUrl = url;
+            }
+            return this._cache.anchors;
+        }
+
+        async _buildDeviceRequest() {
+            const options = { readerAuth: await this._readerAuthConfig() };
+            if (this._requestItems)
+                return window.RequestBuilder.buildRequestForItems(
+                    this._requestItems,
+                    options,
+                );
+            const items = this._itemsRequest();
+            const types = this._requestTypes();
+            if (types.length || !items)
+                return window.RequestBuilder.buildRequestByType(types, options);
+            return window.RequestBuilder.buildRequestForItems([items], options);
+        }
+
+        _ensureSession() {
+            if (this.session) return this.session;
+            const session = window.MdocReaderSession.create({
+                logger: (msg) => console.log(msg),
+                chunkSize: () =>
+                    parseInt(this.getAttribute("chunk-size"), 10) || 185,
+                buildDeviceRequest: () => this._buildDeviceRequest(),
+                // Verification runs here, with the element's trust anchors
+                verify: false,
+            });
+            session.on("engaged", ({ source }) => {
+                this._setStatus(`Wallet engaged (${source})`);
+                this._emit("mdoc-engaged", { source });
+            });
+            session.on("connected", ({ identStatus }) => {
+                this._setStatus("Connected, sending request…");
+                this._emit("mdoc-connected", { identStatus });
+            });
+            session.on("requestSent", () => {
+                this._setStatus("Waiting for the wallet…");
+                this._emit("mdoc-request-sent", {});
+            });
+            session.on("responseReceived", (event) =>
+                this._handleResponse(event),
+            );
+            session.on("ended", ({ by }) => {
+                if (by !== "reader")
+                    this._setStatus("Wallet ended the session");
+                this._emit("mdoc-ended", { by });
+            });
+            session.on("error", (e) => {
+                this._setStatus(`Error: ${e.message}`);
+                this._emit("mdoc-error", {
+                    phase: e.phase,
+                    message: e.message,
+                });
+            });
+            this.session = session;
+            return session;
+        }
+
+        async _handleResponse({ deviceResponse, model }) {
+            this._setStatus("Verifying…");
+            let trustAnchors;
+            try {
+                trustAnchors = await this._trustAnchors();
+            } catch (e) {
+                this._setStatus(`Trust anchors: ${e.message}`);
+                this._emit("mdoc-error", {
+                    phase: "verify",
+                    message: e.message,
+                });
+                return;
+            }
+            const { results } = await this.session.verify(model, {
+                trustAnchors,
+            });
+            const report = buildReport(model, results);
+            const claims = buildClaims(model);
+            const valid = report.length > 0 && report.every((r) => r.valid);
+            this._renderResult(model, report, valid);
+            this._setStatus(
+                report.length ? "Done" : "The wallet returned no document",
+            );
+            this._emit("mdoc-verified", {
+                valid,
+                claims,
+                report,
+                deviceResponse,
+            });
+        }
+
+        _renderResult(model, report, valid) {
+            const result = this._el.result;
+            result.replaceChildren();
+            const verdict = document.createElement("div");
+            verdict.className = `verdict ${valid ? "ok" : "ko"}`;
+            verdict.setAttribute("part", "verdict");
+            verdict.textContent = valid ? "✓ Verified" : "✗ Not verified";
+            result.append(verdict);
+
+            model.documents.forEach((doc, i) => {
+                const r = report[i];
+                const box = document.createElement("div");
+                box.className = "doc";
+                const title = document.createElement("h4");
+                title.textContent = doc.docType;
+                const checks = document.createElement("div");
+                checks.className = "checks";
+                const mark = (ok) => (ok ? "✓" : "✗");
+                checks.textContent = [
+                    `${mark(r.signatureValid)} signature`,
+                    `${mark(r.chainValid)} issuer${r.issuer ? ` (${r.issuer})` : ""}`,
+                    `${mark(r.integrityValid)} integrity`,
+                    `${mark(r.deviceAuthValid)} device auth`,
+                    `${mark(r.validityValid)} validity`,
+                    `${mark(r.deviceSignedValid)} device-signed elements`,
+                    `${mark(r.issuerConsistencyValid)} issuer data`,
+                    ...(r.testAnchor ? ["⚠ test trust anchor"] : []),
+                ].join(" · ");
+                const table = document.createElement("table");
+                for (const entries of Object.values(
+                    doc.issuerSigned?.nameSpaces || {},
+                )) {
+                    for (const entry of entries) {
+                        const row = table.insertRow();
+                        row.insertCell().textContent = entry.label;
+                        const cell = row.insertCell();
+                        if (entry.binary?.dataUri) {
+                            const img = document.createElement("img");
+                            img.src = entry.binary.dataUri;
+                            img.alt = entry.label;
+                            cell.append(img);
+                        } else {
+                            cell.textContent = entry.text;
+                        }
+                    }
+                }
+                box.append(title, checks, table);
+                result.append(box);
+            });
+        }
+
+        async engage(payload, source = "QR") {
+            this._el.result.replaceChildren();
+            const session = this._ensureSession();
+            if (typeof payload === "string") {
+                payload = payload.trim();
+                if (!payload) return this._setStatus("No payload");
+                this._el.input.value = payload;
+            }
+            try {
+                await session.engage(payload, source);
+                this._setStatus("Connecting…");
+                await session.start();
+            } catch (e) {
+                // Reported through the session "error" event
+                console.warn("mdoc-verifier: session failed", e);
+            }
+        }
+
+        async reset() {
+            this._stopCamera();
+            if (this.session) await this.session.end();
+            this._el.result.replaceChildren();
+            this._setStatus("Idle");
+        }
+
+        async _startCamera() {
+            if (this._scanning) return this._stopCamera();
+            const video = this._el.video;
+            try {
+                video.srcObject = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: "environment" },
+                });
+                await video.play();
+            } catch (e) {
+                return this._setStatus(`Camera error: ${e.message}`);
+            }
+            video.style.display = "";
+            this._scanning = true;
+            this._setStatus("Scanning…");
+            const canvas = document.createElement("canvas");
+            const ctx = canvas.getContext("2d", { willReadFrequently: true });
+            const tick = () => {
+                if (!this._scanning) return;
+                if (video.videoWidth) {
+                    canvas.width = video.videoWidth;
+                    canvas.height = video.videoHeight;
+                    ctx.drawImage(video, 0, 0);
+                    const img = ctx.getImageData(
+                        0,
+                        0,
+                        canvas.width,
+                        canvas.height,
+                    );
+                    const code = window.jsQR(img.data, img.width, img.height, {
+                        inversionAttempts: "dontInvert",
+                    });
+                    if (code?.data) {
+                        this._stopCamera();
+                        this.engage(code.data, "camera");
+                        return;
+                    }
+                }
+                requestAnimationFrame(tick);
+            };
+            requestAnimationFrame(tick);
+        }
+
+        _stopCamera() {
+            this._scanning = false;
+            const video = this._el.video;
+            for (const track of video.srcObject?.getTracks() || [])
+                track.stop();
+            video.srcObject = null;
+            video.style.display = "none";
+        }
+
+        async _startNfc() {
+            this._nfcAbort?.abort();
+            const controller = new AbortController();
+            this._nfcAbort = controller;
+            try {
+                const reader = new NDEFReader();
+                reader.addEventListener(
+                    "reading",
+                    (event) => {
+                        controller.abort(); // one tap per engagement
+                        let ndefBytes;
+                        try {
+                            ndefBytes =
+                                window.DeviceEngagement.ndefMessageFromWebNfc(
+                                    event.message,
+                                );
+                        } catch (e) {
+                            return this._setStatus(
+                                `NFC message error: ${e.message}`,
+                            );
+                        }
+                        this.engage(ndefBytes, "NFC");
+                    },
+                    { signal: controller.signal },
+                );
+                await reader.scan({ signal: controller.signal });
+                this._setStatus("Hold the wallet against this device…");
+            } catch (e) {
+                this._setStatus(`NFC error: ${e.message}`);
+            }
+        }
+    }
+
+    if (!customElements.get("mdoc-verifier"))
+        customElements.define("mdoc-verifier", MdocVerifierElement);
+    window.MdocVerifierElement = MdocVerifierElement;
+})();
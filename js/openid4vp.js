@@ -0,0 +1,370 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  OpenID4VP 1.0 (mso_mdoc, DCQL) over the W3C Digital Credentials API
+     Exposes window.OpenID4VP with:
+      PROTOCOLS                                { unsigned, signed }
+      buildDcqlQuery(requestTypes)             from the requestType selections
+      jwkThumbprint(jwk)                       RFC 7638, SHA-256
+      buildSessionTranscript(origin, nonce, thumbprint)
+      decryptJwe(compact, privateKey)          ECDH-ES + A128GCM/A256GCM
+      buildRequest({ requestTypes, signed, encrypt, origin })
+        → { protocol, data, context }
+      parseResponse(data, context)             → [{ id, deviceResponse }]
+      requestMdoc({ requestTypes, signed, encrypt, origin, logger, signal })
+        → { deviceResponse, presentations, sessionTranscript, deriveEMacKey }
+     deriveEMacKey (Verification option for deviceMac) is null unless the
+     response was encrypted. Signed requests use the reader authentication key and chain
+     (ReaderAuth.signJws), client_id x509_hash:<SHA-256 of the leaf>.
+*/
+
+(function () {
+    function getCBOR() {
+        return window.CBOR || self.CBOR || self.cbor;
+    }
+    const PROTOCOLS = {
+        unsigned: "openid4vp-v1-unsigned",
+        signed: "openid4vp-v1-signed",
+    };
+    const ENC_KEY_BITS = { A128GCM: 128, A256GCM: 256 };
+    // ES256, ES384, ES512, EdDSA
+    const COSE_ALGS = [-7, -35, -36, -8];
+    const utf8 = new TextEncoder();
+    // cbor-web encodes a bare Uint8Array with tag 64; an ArrayBuffer is a plain bstr
+    const bstr = (bytes) => new Uint8Array(bytes).buffer;
+
+    function base64UrlEncode(bytes) {
+        let s = "";
+        for (const b of bytes) s += String.fromCharCode(b);
+        return btoa(s)
+            .replace(/\+/g, "-")
+            .replace(/\//g, "_")
+            .replace(/=+$/, "");
+    }
+    function base64UrlDecode(str) {
+        const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+        const raw = atob(b64 + "===".slice((b64.length + 3) % 4));
+        const out = new Uint8Array(raw.length);
+        for (let i = 0; i < raw.length; i++) out[i] = raw.charCodeAt(i);
+        return out;
+    }
+    const sha256 = (bytes) => window.SessionCrypto.sha256(bytes);
+
+    // One credential query per selected request type, with the same
+    // namespaces, elements and intent-to-retain flags as the DeviceRequest
+    function buildDcqlQuery(requestTypes) {
+        const CBOR = getCBOR();
+        const credentials = [];
+        for (const requestType of requestTypes) {
+            const docRequest =
+                window.RequestBuilder.buildSingleDocRequest(requestType);
+            if (!docRequest) continue;
+            const items = CBOR.decode(
+                new Uint8Array(docRequest.itemsRequest.value),
+            );
+            const claims = [];
+            for (const [namespace, elements] of Object.entries(
+                items.nameSpaces,
+            )) {
+                for (const [element, intentToRetain] of Object.entries(
+                    elements,
+                )) {
+                    claims.push({
+                        path: [namespace, element],
+                        intent_to_retain: !!intentToRetain,
+                    });
+                }
+            }
+            credentials.push({
+                id: requestType.replace(/[^A-Za-z0-9_-]/g, "_"),
+                format: "mso_mdoc",
+                meta: { doctype_value: items.docType },
+                claims,
+            });
+        }
+        if (!credentials.length)
+            throw new Error("No documents selected for the DCQL query");
+        return { credentials };
+    }
+
+    async function jwkThumbprint(jwk) {
+        // Required members only, in lexicographic order
+        const canonical = JSON.stringify({
+            crv: jwk.crv,
+            kty: jwk.kty,
+            x: jwk.x,
+            y: jwk.y,
+        });
+        return sha256(utf8.encode(canonical));
+    }
+
+    // SessionTranscript = [null, null, OpenID4VPDCAPIHandover]
+    // OpenID4VPDCAPIHandover = ["OpenID4VPDCAPIHandover", SHA-256(HandoverInfo)]
+    // HandoverInfo = [origin, nonce, jwkThumbprint / null]
+    async function buildSessionTranscript(origin, nonce, thumbprint) {
+        const CBOR = getCBOR();
+        const infoHash = await sha256(
+            CBOR.encode([origin, nonce, thumbprint ? bstr(thumbprint) : null]),
+        );
+        return new Uint8Array(
+            CBOR.encode([
+                null,
+                null,
+                ["OpenID4VPDCAPIHandover", bstr(infoHash)],
+            ]),
+        );
+    }
+
+    // Compact JWE, alg ECDH-ES (direct key agreement, RFC 7518 4.6)
+    async function decryptJwe(compact, privateKey) {
+        const parts = compact.split(".");
+        if (parts.length !== 5)
+            throw new Error("Response is not a compact JWE");
+        const [protectedB64, encryptedKey, ivB64, ciphertextB64, tagB64] =
+            parts;
+        const header = JSON.parse(
+            new TextDecoder().decode(base64UrlDecode(protectedB64)),
+        );
+        if (header.alg !== "ECDH-ES" || encryptedKey)
+            throw new Error(`Unsupported JWE alg: ${header.alg}`);
+        const keyBits = ENC_KEY_BITS[header.enc];
+        if (!keyBits) throw new Error(`Unsupported JWE enc: ${header.enc}`);
+        if (!header.epk) throw new Error("JWE header has no epk");
+
+        const epk = await crypto.subtle.importKey(
+            "jwk",
+            {
+                kty: header.epk.kty,
+                crv: header.epk.crv,
+                x: header.epk.x,
+                y: header.epk.y,
+            },
+            { name: "ECDH", namedCurve: header.epk.crv },
+            false,
+            [],
+        );
+        const z = new Uint8Array(
+            await crypto.subtle.deriveBits(
+                { name: "ECDH", public: epk },
+                privateKey,
+                256,
+            ),
+        );
+        // Concat KDF (NIST SP 800-56A): one SHA-256 round covers 256 bits
+        const u32 = (n) => {
+            const b = new Uint8Array(4);
+            new DataView(b.buffer).setUint32(0, n, false);
+            return b;
+        };
+        const lengthPrefixed = (bytes) =>
+            window.SessionCrypto.concatUint8(u32(bytes.length), bytes);
+        const otherInfo = window.SessionCrypto.concatUint8(
+            lengthPrefixed(utf8.encode(header.enc)),
+            lengthPrefixed(
+                header.apu ? base64UrlDecode(header.apu) : new Uint8Array(0),
+            ),
+            lengthPrefixed(
+                header.apv ? base64UrlDecode(header.apv) : new Uint8Array(0),
+            ),
+            u32(keyBits),
+        );
+        const derived = await sha256(
+            window.SessionCrypto.concatUint8(u32(1), z, otherInfo),
+        );
+        const key = await crypto.subtle.importKey(
+            "raw",
+            derived.slice(0, keyBits / 8),
+            { name: "AES-GCM" },
+            false,
+            ["decrypt"],
+        );
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                {
+                    name: "AES-GCM",
+                    iv: base64UrlDecode(ivB64),
+                    additionalData: utf8.encode(protectedB64),
+                },
+                key,
+                window.SessionCrypto.concatUint8(
+                    base64UrlDecode(ciphertextB64),
+                    base64UrlDecode(tagB64),
+                ),
+            );
+        } catch {
+            throw new Error("JWE decryption failed");
+        }
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    async function buildRequest(options = {}) {
+        const { requestTypes, signed = false, encrypt = true } = options;
+        const origin = options.origin || location.origin;
+        const nonce = base64UrlEncode(
+            crypto.getRandomValues(new Uint8Array(16)),
+        );
+        const request = {
+            response_type: "vp_token",
+            response_mode: encrypt ? "dc_api.jwt" : "dc_api",
+            nonce,
+            dcql_query: buildDcqlQuery(requestTypes),
+            client_metadata: {
+                vp_formats_supported: {
+                    mso_mdoc: {
+                        issuerauth_alg_values: COSE_ALGS,
+                        deviceauth_alg_values: COSE_ALGS,
+                    },
+                },
+            },
+        };
+
+        const context = { origin, nonce, encKeyPair: null, thumbprint: null };
+        if (encrypt) {
+            context.encKeyPair = await crypto.subtle.generateKey(
+                { name: "ECDH", namedCurve: "P-256" },
+                true,
+                ["deriveBits"],
+            );
+            const { kty, crv, x, y } = await crypto.subtle.exportKey(
+                "jwk",
+                context.encKeyPair.publicKey,
+            );
+            context.thumbprint = await jwkThumbprint({ kty, crv, x, y });
+            request.client_metadata.jwks = {
+                keys: [
+                    {
+                        kty,
+                        crv,
+                        x,
+                        y,
+                        use: "enc",
+                        alg: "ECDH-ES",
+                        kid: base64UrlEncode(context.thumbprint),
+                    },
+                ],
+            };
+            request.client_metadata.encrypted_response_enc_values_supported =
+                Object.keys(ENC_KEY_BITS);
+        }
+
+        if (!signed)
+            return { protocol: PROTOCOLS.unsigned, data: request, context };
+
+        const chain = window.ReaderAuth?.getChainDer?.() || [];
+        if (!chain.length)
+            throw new Error(
+                "Signed requests need a reader authentication key and certificate",
+            );
+        const leafHash = await sha256(new Uint8Array(chain[0]));
+        const jws = await window.ReaderAuth.signJws(
+            {
+                client_id: `x509_hash:${base64UrlEncode(leafHash)}`,
+                expected_origins: [origin],
+                ...request,
+            },
+            { typ: "oauth-authz-req+jwt" },
+        );
+        return { protocol: PROTOCOLS.signed, data: { request: jws }, context };
+    }
+
+    // vp_token = { <credential query id>: [base64url DeviceResponse, ...] }
+    async function parseResponse(data, context) {
+        let payload =
+            typeof data === "string" ? JSON.parse(data) : { ...(data || {}) };
+        if (payload.response) {
+            if (!context.encKeyPair)
+                throw new Error("Encrypted response to an unencrypted request");
+            payload = await decryptJwe(
+                payload.response,
+                context.encKeyPair.privateKey,
+            );
+        } else if (context.encKeyPair) {
+            throw new Error("Wallet did not encrypt the response");
+        }
+        const vpToken =
+            typeof payload.vp_token === "string"
+                ? JSON.parse(payload.vp_token)
+                : payload.vp_token;
+        if (!vpToken || typeof vpToken !== "object")
+            throw new Error("Response has no vp_token");
+        const CBOR = getCBOR();
+        const presentations = [];
+        for (const [id, value] of Object.entries(vpToken)) {
+            for (const presentation of [].concat(value)) {
+                presentations.push({
+                    id,
+                    deviceResponse: CBOR.decode(base64UrlDecode(presentation)),
+                });
+            }
+        }
+        return presentations;
+    }
+
+    async function requestMdoc(options = {}) {
+        const log = options.logger || console.log;
+        if (!window.DigitalCredentials?.isSupported())
+            throw new Error(
+                "Digital Credentials API not available in this browser",
+            );
+        const { protocol, data, context } = await buildRequest(options);
+        const sessionTranscript = await buildSessionTranscript(
+            context.origin,
+            context.nonce,
+            context.thumbprint,
+        );
+        // Same slots as the BLE flow, read by holder verification
+        window.sessionDebug = {
+            sessionTranscript,
+            sessionTranscriptWrapped:
+                window.SessionCrypto.encodeTag24ByteString(sessionTranscript),
+        };
+
+        log(
+            `🌐 Asking the browser for an mdoc (${protocol}, ${data.request ? "signed" : "unsigned"} request${context.encKeyPair ? ", encrypted response" : ""})…`,
+        );
+        const credential = await navigator.credentials.get({
+            mediation: "required",
+            signal: options.signal,
+            digital: { requests: [{ protocol, data }] },
+        });
+        if (!credential) throw new Error("No credential was returned");
+        if (credential.protocol && credential.protocol !== protocol)
+            throw new Error(
+                `Unexpected response protocol: ${credential.protocol}`,
+            );
+        if (context.encKeyPair) log("🔓 Decrypting the JWE response…");
+        const presentations = await parseResponse(credential.data, context);
+        log(`📦 vp_token carries ${presentations.length} mdoc presentation(s)`);
+
+        // One DeviceResponse per credential query; merge for display
+        const deviceResponse = { version: "1.0", documents: [], status: 0 };
+        for (const { deviceResponse: dr } of presentations) {
+            const docs =
+                dr instanceof Map ? dr.get("documents") : dr?.documents;
+            deviceResponse.documents.push(...(docs || []));
+        }
+        return {
+            deviceResponse,
+            presentations,
+            sessionTranscript,
+            deriveEMacKey: context.encKeyPair
+                ? window.SessionCrypto.eMacKeyDeriver(
+                      context.encKeyPair.privateKey,
+                  )
+                : null,
+        };
+    }
+
+    window.OpenID4VP = {
+        PROTOCOLS,
+        buildDcqlQuery,
+        jwkThumbprint,
+        buildSessionTranscript,
+        decryptJwe,
+        buildRequest,
+        parseResponse,
+        requestMdoc,
+    };
+})();
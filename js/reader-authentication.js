@@ -3,8 +3,9 @@
   Author: Nicolas Chalanset
 
   Reader Authentication (ISO 18013-5)
-  - Manage reader private key (PKCS#8 EC) and certificate chain (PEM)
+  - Manage reader private key (PKCS#8 EC or EdDSA) and certificate chain (PEM)
   - Build ReaderAuthentication structure and COSE_Sign1 with x5chain
+  - Sign JWS request objects with the same key (x5c header)
   - Expose minimal UI helpers via window.ReaderAuth
 */
 
@@ -96,6 +97,37 @@
         return { key, namedCurve: "P-384" };
     }
 
+    // RFC 8410 OneAsymmetricKey for Ed25519/Ed448: privateKey is an
+    // OCTET STRING wrapping the raw seed. Returns null for other keys.
+    function parsePkcs8OkpPrivateKey(pem) {
+        const X509 = window.X509;
+        if (!X509) return null;
+        const blocks = parsePemBlocks(pem);
+        const pkcs8 = blocks.find((b) => b.type.includes("PRIVATE KEY"));
+        if (!pkcs8) return null;
+        try {
+            const u8 = pkcs8.bytes;
+            const top = X509.readTLV(u8, 0);
+            const version = X509.readTLV(u8, top.start);
+            const algId = X509.readTLV(u8, version.end);
+            const oidTlv = X509.readTLV(u8, algId.start);
+            const okp =
+                X509.OKP_CURVES[
+                    X509.decodeOID(u8.slice(oidTlv.start, oidTlv.end))
+                ];
+            if (!okp) return null;
+            const outer = X509.readTLV(u8, algId.end);
+            const inner = X509.readTLV(u8, outer.start);
+            return {
+                curve: okp.name,
+                nobleCurveName: okp.noble,
+                seed: u8.slice(inner.start, inner.end),
+            };
+        } catch (_) {
+            return null;
+        }
+    }
+
     function derToRawEcdsa(sig, sizeBytes) {
         // Accept both DER (ASN.1 SEQUENCE) and raw P1363 (r||s)
         const u8 = sig instanceof Uint8Array ? sig : new Uint8Array(sig);
@@ -204,9 +236,10 @@
     }
 
     function coseAlgForCurve(curve) {
-        // COSE alg values: -7 ES256, -35 ES384
+        // COSE alg values: -7 ES256, -35 ES384, -8 EdDSA
         if (!curve) return null;
         const c = ("" + curve).toUpperCase();
+        if (c.startsWith("ED")) return -8;
         if (c.includes("384")) return -35;
         return -7; // default P-256
     }
@@ -217,11 +250,65 @@
                 return { hash: "SHA-256", size: 32, namedCurve: "P-256" };
             case -35:
                 return { hash: "SHA-384", size: 48, namedCurve: "P-384" };
+            case -8:
+                throw new Error(
+                    "Certificate has an EdDSA key but the private key is not Ed25519/Ed448",
+                );
             default:
                 throw new Error("Unsupported COSE alg: " + alg);
         }
     }
 
+    // Resolve the configured private key to a COSE alg and a signer
+    // returning the raw signature (r||s for ECDSA, R||S for EdDSA)
+    async function loadSigner(keyPem, curveHint) {
+        const okp = parsePkcs8OkpPrivateKey(keyPem);
+        if (okp) {
+            const curveLib = window.nobleCurves?.[okp.nobleCurveName];
+            if (!curveLib)
+                throw new Error(
+                    `Curve ${okp.curve} not available in @noble/curves`,
+                );
+            return {
+                alg: -8,
+                sign: async (tbs) =>
+                    curveLib.sign(new Uint8Array(tbs), okp.seed),
+            };
+        }
+
+        // Import EC private key with proper namedCurve
+        let privKey, namedCurve;
+        if (curveHint) {
+            const algTmp = coseAlgForCurve(curveHint);
+            const params = webcryptoParamsForAlg(algTmp);
+            namedCurve = params.namedCurve;
+            privKey = await importPkcs8EcPrivateKey(keyPem, namedCurve);
+        } else {
+            const res = await importPkcs8EcPrivateKeyAuto(keyPem);
+            privKey = res.key;
+            namedCurve = res.namedCurve;
+        }
+
+        // Finalize alg/hash/size from the actual imported key
+        const alg = coseAlgForCurve(namedCurve);
+        const { hash, size } = webcryptoParamsForAlg(alg);
+        return {
+            alg,
+            // Browsers may return DER or raw P1363, normalize to raw r||s
+            sign: async (tbs) =>
+                derToRawEcdsa(
+                    new Uint8Array(
+                        await crypto.subtle.sign(
+                            { name: "ECDSA", hash },
+                            privKey,
+                            tbs,
+                        ),
+                    ),
+                    size,
+                ),
+        };
+    }
+
     async function buildReaderAuthenticationBytes(
         sessionTranscriptCbor,
         itemsRequestCbor,
@@ -243,8 +330,11 @@
         return raBytesTagged; // bytes to use as detached payload
     }
 
-    async function signReaderAuthentication(itemsRequestCbor) {
-        if (!loadEnabled()) throw new Error("Reader authentication disabled");
+    // config: { keyPem, certsPem } to sign with a key other than the stored
+    // one (embedded readers); the stored enable switch does not apply then
+    async function signReaderAuthentication(itemsRequestCbor, config = null) {
+        if (!config && !loadEnabled())
+            throw new Error("Reader authentication disabled");
         const CBOR = getCBOR();
         if (!CBOR) throw new Error("CBOR library not available");
         // SessionTranscript bytes were prepared earlier during session setup
@@ -253,27 +343,12 @@
             throw new Error("SessionTranscript not available yet");
 
         // Determine curve/alg from first certificate if possible; fallback to key autodetect
-        const chainPem = loadChainPem();
+        const chainPem = config ? config.certsPem || "" : loadChainPem();
         const curveHint = detectCurveFromCertPem(chainPem);
 
-        // Import private key with proper namedCurve
-        const keyPem = loadKeyPem();
+        const keyPem = config ? config.keyPem || "" : loadKeyPem();
         if (!keyPem) throw new Error("No private key configured");
-        let privKey, namedCurve;
-        if (curveHint) {
-            const algTmp = coseAlgForCurve(curveHint);
-            const params = webcryptoParamsForAlg(algTmp);
-            namedCurve = params.namedCurve;
-            privKey = await importPkcs8EcPrivateKey(keyPem, namedCurve);
-        } else {
-            const res = await importPkcs8EcPrivateKeyAuto(keyPem);
-            privKey = res.key;
-            namedCurve = res.namedCurve;
-        }
-
-        // Finalize alg/hash/size from the actual imported key
-        const alg = coseAlgForCurve(namedCurve);
-        const { hash, size } = webcryptoParamsForAlg(alg);
+        const { alg, sign } = await loadSigner(keyPem, curveHint);
 
         // Build detached content: ReaderAuthenticationBytes
         const raDetached = await buildReaderAuthenticationBytes(
@@ -293,11 +368,7 @@
         ];
         const tbs = CBOR.encode(sigStructure);
 
-        // Sign via WebCrypto; browsers may return DER or raw P1363, normalize to raw r||s
-        const sigBytes = new Uint8Array(
-            await crypto.subtle.sign({ name: "ECDSA", hash }, privKey, tbs),
-        );
-        const sig = derToRawEcdsa(sigBytes, size);
+        const sig = await sign(tbs);
         if (window.DEBUG_VERBOSE) {
             console.log(`[ReaderAuth] normalized sig len=${sig.length}`);
         }
@@ -327,6 +398,48 @@
         return cose; // return structure (not encoded) so caller can embed in CBOR
     }
 
+    const JWS_ALGS = { [-7]: "ES256", [-35]: "ES384", [-8]: "EdDSA" };
+
+    function base64Url(bytes) {
+        let s = "";
+        for (const b of bytes) s += String.fromCharCode(b);
+        return btoa(s)
+            .replace(/\+/g, "-")
+            .replace(/\//g, "_")
+            .replace(/=+$/, "");
+    }
+
+    // Configured certificate chain as DER, leaf first
+    function getChainDer() {
+        return firstCertDerArray(loadChainPem());
+    }
+
+    // Compact JWS over a JSON payload with the reader key, x5c from the
+    // configured chain (OpenID4VP signed requests)
+    async function signJws(payload, header = {}) {
+        const keyPem = loadKeyPem();
+        if (!keyPem) throw new Error("No private key configured");
+        const chainPem = loadChainPem();
+        const x5 = firstCertDerArray(chainPem);
+        if (!x5.length) throw new Error("No certificate(s) configured for x5c");
+        const { alg, sign } = await loadSigner(
+            keyPem,
+            detectCurveFromCertPem(chainPem),
+        );
+        const enc = new TextEncoder();
+        const fullHeader = {
+            alg: JWS_ALGS[alg],
+            ...header,
+            // x5c is standard base64, not base64url (RFC 7515 4.1.6)
+            x5c: x5.map((der) =>
+                btoa(String.fromCharCode(...new Uint8Array(der))),
+            ),
+        };
+        const signingInput = `${base64Url(enc.encode(JSON.stringify(fullHeader)))}.${base64Url(enc.encode(JSON.stringify(payload)))}`;
+        const sig = await sign(enc.encode(signingInput));
+        return `${signingInput}.${base64Url(sig)}`;
+    }
+
     function isEnabled() {
         return loadEnabled();
     }
@@ -359,5 +472,7 @@
         setOrgName,
         getConfig,
         signReaderAuthentication,
+        getChainDer,
+        signJws,
     };
 })();
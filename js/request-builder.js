@@ -13,7 +13,9 @@
     }
     const log = window.log || console.log;
 
-    async function buildRequestByType(requestTypes) {
+    // options.readerAuth: omitted → ReaderAuth's stored settings, false →
+    // no reader authentication, { keyPem, certsPem } → sign with that key
+    async function buildRequestByType(requestTypes, options = {}) {
         const CBOR = getCBOR();
         if (!CBOR) throw new Error("CBOR library not available");
         if (!requestTypes) {
@@ -36,7 +38,38 @@
             `→ Device Request with ${deviceRequest.docRequests.length} document(s)`,
         );
 
-        // Optionally add Reader Authentication per spec (inside each DocRequest)
+        await addReaderAuthentication(deviceRequest, options.readerAuth);
+        return CBOR.encode(deviceRequest);
+    }
+
+    // DeviceRequest for explicit items, e.g. from an embedding page:
+    // [{ docType, nameSpaces: { [namespace]: { [element]: intentToRetain } } }]
+    async function buildRequestForItems(items, options = {}) {
+        const CBOR = getCBOR();
+        if (!CBOR) throw new Error("CBOR library not available");
+        if (!Array.isArray(items) || !items.length)
+            throw new Error("At least one document must be requested");
+        const deviceRequest = { version: "1.0", docRequests: [] };
+        for (const { docType, nameSpaces } of items) {
+            if (!docType || !nameSpaces || !Object.keys(nameSpaces).length)
+                throw new Error("Each document needs a docType and nameSpaces");
+            const itemsRequest = { docType, nameSpaces, requestInfo: {} };
+            deviceRequest.docRequests.push({
+                itemsRequest: new CBOR.Tagged(24, CBOR.encode(itemsRequest)),
+            });
+        }
+        log(
+            `→ Device Request with ${deviceRequest.docRequests.length} document(s)`,
+        );
+        await addReaderAuthentication(deviceRequest, options.readerAuth);
+        return CBOR.encode(deviceRequest);
+    }
+
+    // Reader Authentication per spec (inside each DocRequest)
+    async function addReaderAuthentication(deviceRequest, readerAuth) {
+        if (readerAuth === false) return;
+        const config =
+            readerAuth && typeof readerAuth === "object" ? readerAuth : null;
         try {
             console.log("Checking Reader Authentication status...");
             const ra = window.ReaderAuth;
@@ -49,14 +82,16 @@
                 "ReaderAuth.signReaderAuthentication:",
                 !!(ra && typeof ra.signReaderAuthentication === "function"),
             );
-            if (ra && ra.isEnabled && ra.isEnabled()) {
+            if (ra && (config || (ra.isEnabled && ra.isEnabled()))) {
                 let addedCount = 0;
                 for (const dr of deviceRequest.docRequests) {
                     if (dr && dr.itemsRequest && dr.itemsRequest.tag === 24) {
                         const itemsCbor = dr.itemsRequest.value; // raw ItemsRequest CBOR
                         try {
-                            const cose =
-                                await ra.signReaderAuthentication(itemsCbor);
+                            const cose = await ra.signReaderAuthentication(
+                                itemsCbor,
+                                config,
+                            );
                             dr.readerAuth = cose; // Per ISO 18013-5: readerAuth is inside DocRequest
                             addedCount++;
                         } catch (signErr) {
@@ -83,8 +118,6 @@
                 e.message || e,
             );
         }
-
-        return CBOR.encode(deviceRequest);
     }
 
     function buildSingleDocRequest(requestType) {
@@ -485,6 +518,7 @@
 
     window.RequestBuilder = {
         buildRequestByType,
+        buildRequestForItems,
         buildSingleDocRequest,
     };
     // Maintain backward-compatible globals
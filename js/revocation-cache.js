@@ -0,0 +1,236 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Revocation cache: Token Status Lists, Identifier Lists and CRLs kept in
+  IndexedDB, keyed by their original URI (without the CORS proxy)
+     Needs js/revocation-ttl.js. Exposes window.RevocationCache with:
+      ACCEPT                       Accept header for revocation resources
+      proxyUri(uri) / originalUri(uri)
+      fetchResponse(uri, { accept, issuer, forceRefresh })
+                                   Response from the cache while fresh, else
+                                   from the network; an expired copy is used
+                                   when the network fails. Headers:
+                                   x-mdoc-fetched-at, x-mdoc-expires-at,
+                                   x-mdoc-cache (fresh | network | stale)
+      responseInfo(res)            { fetchedAt, expiresAt, stale }
+      prefetch(uris, { issuer })   [{ uri, ok, expiresAt, error }]
+      prefetchForIssuers(iacas)    every cached list whose signer the
+                                   given IACAs issued
+      list()                       records without their bytes
+      remove(uri), clear()
+     issuer is the DN of the certificate that issued the list signer, so
+     entries can be matched against IACA subjects.
+*/
+
+(function () {
+    const DB_NAME = "mdoc-revocation-cache";
+    const STORE = "resources";
+    const ACCEPT =
+        'application/statuslist+cwt, application/identifierlist+cwt, application/cose; cose-type="cose-sign1", application/cbor, application/json, application/pkix-crl, application/octet-stream, text/plain';
+    const CORS_PROXY = "https://cors-anywhere.com/";
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise)
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(DB_NAME, 1);
+                req.onupgradeneeded = () =>
+                    req.result.createObjectStore(STORE, { keyPath: "uri" });
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        return dbPromise;
+    }
+
+    async function tx(mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const t = db.transaction(STORE, mode);
+            const req = fn(t.objectStore(STORE));
+            t.oncomplete = () => resolve(req?.result);
+            t.onerror = () => reject(t.error);
+            // Quota errors and explicit aborts end here without onerror
+            t.onabort = () =>
+                reject(t.error || new Error("IndexedDB transaction aborted"));
+        });
+    }
+
+    const getRecord = (uri) => tx("readonly", (s) => s.get(uri));
+    const putRecord = (record) => tx("readwrite", (s) => s.put(record));
+
+    // Cross-origin lists go through the CORS proxy, as elsewhere in the app
+    function proxyUri(uri) {
+        try {
+            const parsed = new URL(uri, location.href);
+            if (parsed.origin === location.origin) return uri;
+            if (parsed.href.startsWith(CORS_PROXY)) return uri;
+            return CORS_PROXY + parsed.href;
+        } catch {
+            return uri;
+        }
+    }
+
+    function originalUri(uri) {
+        return typeof uri === "string" && uri.startsWith(CORS_PROXY)
+            ? uri.slice(CORS_PROXY.length)
+            : uri;
+    }
+
+    function kindOf(bytes, contentType) {
+        if (/identifierlist/i.test(contentType)) return "IdentifierList";
+        if (/statuslist/i.test(contentType)) return "StatusList";
+        if (/pkix-crl/i.test(contentType)) return "CRL";
+        const head = new TextDecoder().decode(bytes.slice(0, 64));
+        if (/-----BEGIN (X509 )?CRL-----/.test(head)) return "CRL";
+        return "Unknown";
+    }
+
+    function toResponse(record, state) {
+        return new Response(record.bytes, {
+            status: 200,
+            headers: {
+                "content-type": record.contentType || "",
+                "x-mdoc-fetched-at": String(record.fetchedAt),
+                "x-mdoc-expires-at": String(record.expiresAt),
+                "x-mdoc-cache": state,
+            },
+        });
+    }
+
+    function responseInfo(res) {
+        const fetchedAt = Number(res?.headers.get("x-mdoc-fetched-at"));
+        if (!fetchedAt)
+            return { fetchedAt: null, expiresAt: null, stale: false };
+        const expiresAt = Number(res.headers.get("x-mdoc-expires-at")) || null;
+        return {
+            fetchedAt,
+            expiresAt,
+            stale: res.headers.get("x-mdoc-cache") === "stale",
+        };
+    }
+
+    async function fetchResponse(uri, options = {}) {
+        const key = originalUri(uri);
+        const cached = await getRecord(key).catch(() => null);
+        if (cached && !options.forceRefresh && cached.expiresAt > Date.now())
+            return toResponse(cached, "fresh");
+        let res;
+        try {
+            // "reload" also tells the service worker to skip its fresh copy
+            res = await fetch(proxyUri(key), {
+                headers: { Accept: options.accept || ACCEPT },
+                ...(options.forceRefresh ? { cache: "reload" } : {}),
+            });
+        } catch (e) {
+            if (cached) return toResponse(cached, "stale");
+            throw e;
+        }
+        if (!res.ok) return cached ? toResponse(cached, "stale") : res;
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        const contentType = res.headers.get("content-type") || "";
+        // The service worker may have answered from its own cache
+        const fetchedAt =
+            Number(res.headers.get("x-mdoc-fetched-at")) || Date.now();
+        const record = {
+            uri: key,
+            bytes,
+            contentType,
+            fetchedAt,
+            expiresAt: window.RevocationTtl.expiresAt(bytes, {
+                contentType,
+                headers: res.headers,
+                fetchedAt,
+            }),
+            kind: kindOf(bytes, contentType),
+            issuer: options.issuer || cached?.issuer || null,
+        };
+        await putRecord(record).catch((e) =>
+            console.warn("[RevocationCache] store failed", e),
+        );
+        return toResponse(
+            record,
+            res.headers.get("x-mdoc-cache") === "stale" ? "stale" : "network",
+        );
+    }
+
+    async function prefetch(uris, options = {}) {
+        const results = [];
+        for (const uri of [...new Set(uris.map(originalUri))]) {
+            try {
+                const res = await fetchResponse(uri, {
+                    issuer: options.issuer,
+                    forceRefresh: true,
+                });
+                const info = responseInfo(res);
+                results.push({
+                    uri,
+                    ok: res.ok && !info.stale,
+                    expiresAt: info.expiresAt,
+                    error: res.ok
+                        ? info.stale
+                            ? "network failed, kept the previous copy"
+                            : null
+                        : `HTTP ${res.status}`,
+                });
+            } catch (e) {
+                results.push({ uri, ok: false, error: e.message || String(e) });
+            }
+        }
+        return results;
+    }
+
+    // Only lists a credential pointed to: the IACAs' own CRL distribution
+    // points are not read by chain validation, so they are not fetched
+    async function prefetchForIssuers(iacas) {
+        const cached = await list();
+        const results = [];
+        for (const iaca of iacas || []) {
+            let cert;
+            try {
+                cert = window.X509.parseCertificate(
+                    window.X509.pemToDer(iaca.pem),
+                );
+            } catch {
+                continue;
+            }
+            const issuer = cert.subject.dn;
+            // Entries left by earlier versions that did fetch them are skipped
+            const uris = cached
+                .filter(
+                    (r) =>
+                        r.issuer === issuer &&
+                        !cert.crlDistributionPoints.includes(r.uri),
+                )
+                .map((r) => r.uri);
+            if (uris.length)
+                results.push(...(await prefetch(uris, { issuer })));
+        }
+        return results;
+    }
+
+    async function list() {
+        const records = (await tx("readonly", (s) => s.getAll())) || [];
+        return records.map(({ bytes, ...rest }) => ({
+            ...rest,
+            size: bytes?.length || 0,
+        }));
+    }
+
+    const remove = (uri) => tx("readwrite", (s) => s.delete(originalUri(uri)));
+    const clear = () => tx("readwrite", (s) => s.clear());
+
+    window.RevocationCache = {
+        ACCEPT,
+        proxyUri,
+        originalUri,
+        fetchResponse,
+        responseInfo,
+        prefetch,
+        prefetchForIssuers,
+        list,
+        remove,
+        clear,
+    };
+})();
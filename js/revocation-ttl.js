@@ -0,0 +1,163 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  How long a fetched revocation resource (Token Status List, Identifier List,
+  CRL) may be used before it must be fetched again
+     Loaded by sw.js (importScripts) as well as by pages; needs js/cbor.min.js.
+     Exposes self.RevocationTtl with:
+      DEFAULT_TTL_MS
+      expiresAt(bytes, { contentType, headers, fetchedAt })
+                                 ms timestamp, from the first source found:
+                                 exp / ttl claims of a JWT or CWT token,
+                                 nextUpdate of a CRL, HTTP Cache-Control
+                                 max-age or Expires, then DEFAULT_TTL_MS
+*/
+
+(function () {
+    function getCBOR() {
+        return self.CBOR || self.cbor;
+    }
+    const DEFAULT_TTL_MS = 60 * 60 * 1000;
+    // CWT claim keys (RFC 8392, draft-ietf-oauth-status-list)
+    const CWT_EXP = 4;
+    const CWT_TTL = 65534;
+
+    const get = (obj, key) =>
+        obj instanceof Map ? obj.get(key) : obj ? obj[key] : undefined;
+
+    function b64ToBytes(b64) {
+        const bin = atob(b64.replace(/-/g, "+").replace(/_/g, "/"));
+        return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+    }
+
+    // exp and ttl are in seconds; the earlier deadline wins
+    function fromClaims(exp, ttl, fetchedAt) {
+        const candidates = [];
+        if (typeof exp === "number") candidates.push(exp * 1000);
+        if (typeof ttl === "number") candidates.push(fetchedAt + ttl * 1000);
+        return candidates.length ? Math.min(...candidates) : null;
+    }
+
+    function fromJwt(text, fetchedAt) {
+        const parts = text.trim().split(".");
+        if (parts.length !== 3) return null;
+        try {
+            const payload = JSON.parse(
+                new TextDecoder().decode(b64ToBytes(parts[1])),
+            );
+            return fromClaims(payload.exp, payload.ttl, fetchedAt);
+        } catch {
+            return null;
+        }
+    }
+
+    function fromCwt(bytes, fetchedAt) {
+        const CBOR = getCBOR();
+        if (!CBOR) return null;
+        try {
+            let sign1 = CBOR.decode(bytes);
+            if (sign1 instanceof CBOR.Tagged) sign1 = sign1.value;
+            if (!Array.isArray(sign1) || sign1.length !== 4) return null;
+            const claims = CBOR.decode(new Uint8Array(sign1[2]));
+            return fromClaims(
+                get(claims, CWT_EXP),
+                get(claims, CWT_TTL),
+                fetchedAt,
+            );
+        } catch {
+            return null;
+        }
+    }
+
+    // Minimal DER walk: CertificateList → TBSCertList → nextUpdate
+    function readTlv(bytes, off) {
+        const tag = bytes[off];
+        let len = bytes[off + 1];
+        let hdr = 2;
+        if (len & 0x80) {
+            const n = len & 0x7f;
+            len = 0;
+            for (let i = 0; i < n; i++) len = len * 256 + bytes[off + 2 + i];
+            hdr += n;
+        }
+        return { tag, start: off + hdr, end: off + hdr + len };
+    }
+
+    function parseDerTime(tag, text) {
+        const m =
+            tag === 0x17
+                ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text)
+                : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\.\d+)?Z$/.exec(
+                      text,
+                  );
+        if (!m) return null;
+        let year = Number(m[1]);
+        if (tag === 0x17) year += year < 50 ? 2000 : 1900;
+        return Date.UTC(year, m[2] - 1, m[3], m[4], m[5], m[6]);
+    }
+
+    function crlNextUpdate(der) {
+        try {
+            const list = readTlv(der, 0);
+            const tbs = readTlv(der, list.start);
+            let off = tbs.start;
+            // version INTEGER is optional
+            if (der[off] === 0x02) off = readTlv(der, off).end;
+            off = readTlv(der, off).end; // signature AlgorithmIdentifier
+            off = readTlv(der, off).end; // issuer Name
+            off = readTlv(der, off).end; // thisUpdate
+            if (off >= tbs.end || (der[off] !== 0x17 && der[off] !== 0x18))
+                return null;
+            const next = readTlv(der, off);
+            return parseDerTime(
+                next.tag,
+                String.fromCharCode(...der.slice(next.start, next.end)),
+            );
+        } catch {
+            return null;
+        }
+    }
+
+    function fromCrl(bytes, text) {
+        const pem =
+            text &&
+            /-----BEGIN (?:X509 )?CRL-----([\s\S]+?)-----END (?:X509 )?CRL-----/.exec(
+                text,
+            );
+        if (pem) return crlNextUpdate(b64ToBytes(pem[1].replace(/\s+/g, "")));
+        return bytes[0] === 0x30 ? crlNextUpdate(bytes) : null;
+    }
+
+    function fromHttp(headers, fetchedAt) {
+        if (!headers) return null;
+        const maxAge = /max-age=(\d+)/i.exec(
+            headers.get("cache-control") || "",
+        );
+        if (maxAge) return fetchedAt + Number(maxAge[1]) * 1000;
+        const expires = Date.parse(headers.get("expires") || "");
+        return Number.isNaN(expires) ? null : expires;
+    }
+
+    function expiresAt(bytes, options = {}) {
+        const fetchedAt = options.fetchedAt ?? Date.now();
+        const contentType = (options.contentType || "").toLowerCase();
+        let text = null;
+        try {
+            text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+        } catch {}
+        const isCrl = /pkix-crl/.test(contentType);
+        const fromBody = isCrl
+            ? fromCrl(bytes, text)
+            : ((text ? fromJwt(text, fetchedAt) : null) ??
+              fromCwt(bytes, fetchedAt) ??
+              fromCrl(bytes, text));
+        return (
+            fromBody ??
+            fromHttp(options.headers, fetchedAt) ??
+            fetchedAt + DEFAULT_TTL_MS
+        );
+    }
+
+    self.RevocationTtl = { DEFAULT_TTL_MS, expiresAt };
+})();
@@ -20,24 +20,159 @@
       .join(" ");
   }
 
-  async function importMdocPubKeyXY(x, y) {
-    const u = new Uint8Array(1 + x.length + y.length);
-    u[0] = 0x04;
-    u.set(x, 1);
-    u.set(y, 1 + x.length);
+  // EDeviceKey curves allowed by ISO 18013-5 9.1.5.2, keyed by COSE crv.
+  // WebCrypto handles the NIST curves; the others go through @noble/curves.
+  // Brainpool is accepted under the IANA labels (256, 258, 259) and under
+  // the 8..10 labels also used by Verification.coseKeyToNoblePublicKey.
+  const SESSION_CURVES = {
+    1: { name: "P-256", kty: 2, size: 32, webcrypto: "P-256" },
+    2: { name: "P-384", kty: 2, size: 48, webcrypto: "P-384" },
+    3: { name: "P-521", kty: 2, size: 66, webcrypto: "P-521" },
+    4: { name: "X25519", kty: 1, size: 32, noble: "x25519" },
+    5: { name: "X448", kty: 1, size: 56, noble: "x448" },
+    8: { name: "brainpoolP256r1", kty: 2, size: 32, noble: "brainpoolP256r1" },
+    9: { name: "brainpoolP384r1", kty: 2, size: 48, noble: "brainpoolP384r1" },
+    10: { name: "brainpoolP512r1", kty: 2, size: 64, noble: "brainpoolP512r1" },
+    256: {
+      name: "brainpoolP256r1",
+      kty: 2,
+      size: 32,
+      noble: "brainpoolP256r1",
+    },
+    258: {
+      name: "brainpoolP384r1",
+      kty: 2,
+      size: 48,
+      noble: "brainpoolP384r1",
+    },
+    259: {
+      name: "brainpoolP512r1",
+      kty: 2,
+      size: 64,
+      noble: "brainpoolP512r1",
+    },
+  };
+
+  function sessionCurve(crv) {
+    const curve = SESSION_CURVES[crv == null ? 1 : crv];
+    if (!curve) throw new Error(`Unsupported EDeviceKey curve: crv ${crv}`);
+    const lib = curve.noble && window.nobleCurves?.[curve.noble];
+    if (curve.noble && !lib)
+      throw new Error(`Curve ${curve.name} not available in @noble/curves`);
+    return { crv: crv == null ? 1 : crv, ...curve, lib };
+  }
+
+  // Ephemeral ECDH key pair on the curve of the given crv. NIST curves are
+  // CryptoKeyPairs; noble curves use { type: "noble", curve, bytes } halves.
+  async function generateEphemeralKeyPair(crv = 1) {
+    const curve = sessionCurve(crv);
+    if (curve.webcrypto) {
+      const kp = await crypto.subtle.generateKey(
+        { name: "ECDH", namedCurve: curve.webcrypto },
+        true,
+        ["deriveBits"]
+      );
+      kp.crv = curve.crv;
+      return kp;
+    }
+    const priv = curve.lib.utils.randomSecretKey();
+    return nobleKeyPair(curve, priv);
+  }
+
+  function nobleKeyPair(curve, priv) {
+    // Weierstrass curves: uncompressed 0x04||X||Y, like WebCrypto "raw"
+    const pub =
+      curve.kty === 1
+        ? curve.lib.getPublicKey(priv)
+        : curve.lib.getPublicKey(priv, false);
+    return {
+      crv: curve.crv,
+      privateKey: { type: "noble", curve, bytes: priv },
+      publicKey: { type: "noble", curve, bytes: pub },
+    };
+  }
+
+  // Raw public key: 0x04||X||Y for EC2, the u-coordinate for OKP
+  async function exportEphemeralPublicKey(keyPair) {
+    if (keyPair.publicKey?.type === "noble") return keyPair.publicKey.bytes;
+    return new Uint8Array(
+      await crypto.subtle.exportKey("raw", keyPair.publicKey)
+    );
+  }
+
+  // JSON-safe form of an ephemeral key pair (used by the replay capture)
+  async function exportEphemeralKeyPair(keyPair) {
+    const crv = keyPair.crv || 1;
+    if (keyPair.privateKey?.type === "noble")
+      return { crv, d: Array.from(keyPair.privateKey.bytes) };
+    return {
+      crv,
+      privateKey: await crypto.subtle.exportKey("jwk", keyPair.privateKey),
+      publicKey: await crypto.subtle.exportKey("jwk", keyPair.publicKey),
+    };
+  }
+
+  async function importEphemeralKeyPair(saved) {
+    const curve = sessionCurve(saved.crv || 1);
+    if (saved.d) return nobleKeyPair(curve, new Uint8Array(saved.d));
+    const algorithm = { name: "ECDH", namedCurve: curve.webcrypto };
+    return {
+      crv: curve.crv,
+      privateKey: await crypto.subtle.importKey(
+        "jwk",
+        saved.privateKey,
+        algorithm,
+        true,
+        ["deriveBits"]
+      ),
+      publicKey: await crypto.subtle.importKey(
+        "jwk",
+        saved.publicKey,
+        algorithm,
+        true,
+        []
+      ),
+    };
+  }
+
+  async function importMdocPubKeyXY(x, y, crv = 1) {
+    const curve = sessionCurve(crv);
+    let u = x;
+    if (curve.kty === 2) {
+      if (!y) throw new Error(`${curve.name} EDeviceKey missing y coordinate`);
+      u = new Uint8Array(1 + x.length + y.length);
+      u[0] = 0x04;
+      u.set(x, 1);
+      u.set(y, 1 + x.length);
+    }
+    if (curve.noble) return { type: "noble", curve, bytes: u };
     return crypto.subtle.importKey(
       "raw",
       u,
-      { name: "ECDH", namedCurve: "P-256" },
+      { name: "ECDH", namedCurve: curve.webcrypto },
       true,
       []
     );
   }
   async function deriveSharedSecretBits(privKey, pubKey) {
+    if (privKey?.type === "noble" || pubKey?.type === "noble") {
+      if (privKey?.type !== "noble" || pubKey?.type !== "noble")
+        throw new Error("EReaderKey and EDeviceKey are on different curves");
+      const curve = privKey.curve;
+      if (curve.name !== pubKey.curve.name)
+        throw new Error(
+          `EReaderKey (${curve.name}) and EDeviceKey (${pubKey.curve.name}) are on different curves`
+        );
+      const shared = curve.lib.getSharedSecret(privKey.bytes, pubKey.bytes);
+      // ECDH output is the x-coordinate (drop the compressed-point prefix)
+      return curve.kty === 1 ? shared : shared.slice(1);
+    }
+    const namedCurve = pubKey.algorithm?.namedCurve || "P-256";
+    const bits = { "P-256": 256, "P-384": 384, "P-521": 528 }[namedCurve];
     const sharedSecret = await crypto.subtle.deriveBits(
       { name: "ECDH", public: pubKey },
       privKey,
-      256
+      bits || 256
     );
     return sharedSecret; // ArrayBuffer
   }
@@ -158,21 +293,23 @@
     ]);
   }
 
+  function encodeUintHead(major, n) {
+    if (n < 24) return [major | n];
+    if (n < 256) return [major | 24, n];
+    return [major | 25, n >> 8, n & 0xff];
+  }
+  // Deterministic COSE_Key: {1: kty, -1: crv, -2: x[, -3: y]}
   function encodeCoseKeyManually(coseKey) {
-    const result = [];
-    result.push(0xa4);
-    result.push(0x01);
-    result.push(0x02);
-    result.push(0x20);
-    result.push(0x01);
+    const kty = coseKey.get(1);
+    const crv = coseKey.get(-1);
     const x = coseKey.get(-2);
-    result.push(0x21);
-    result.push(0x58, 0x20);
-    result.push(...x);
     const y = coseKey.get(-3);
-    result.push(0x22);
-    result.push(0x58, 0x20);
-    result.push(...y);
+    const result = [];
+    result.push(y ? 0xa4 : 0xa3);
+    result.push(0x01, ...encodeUintHead(0x00, kty));
+    result.push(0x20, ...encodeUintHead(0x00, crv));
+    result.push(0x21, ...encodeUintHead(0x40, x.length), ...x);
+    if (y) result.push(0x22, ...encodeUintHead(0x40, y.length), ...y);
     return new Uint8Array(result);
   }
   function encodeTag24ByteString(data) {
@@ -194,9 +331,46 @@
     return { readerKey, deviceKey };
   }
 
+  // EMacKey for deviceMac (ISO 18013-5 9.1.3.5): salt = SHA-256(SessionTranscriptBytes)
+  async function deriveEMacKey(sharedSecret, transcriptHash) {
+    const prk = await hkdfExtract(transcriptHash, sharedSecret);
+    return hkdfExpand(prk, enc.encode("EMacKey"), 32);
+  }
+
+  // Binds deriveEMacKey to the reader's ephemeral private key. Holder
+  // verification gets this function, never the key: it is called with the
+  // MSO SDeviceKey { x, y, crv } and the SessionTranscriptBytes.
+  function eMacKeyDeriver(readerPrivateKey) {
+    return async (deviceKey, sessionTranscriptBytes) => {
+      const devicePub = await importMdocPubKeyXY(
+        deviceKey.x,
+        deviceKey.y,
+        deviceKey.crv
+      );
+      const shared = await deriveSharedSecretBits(readerPrivateKey, devicePub);
+      return deriveEMacKey(
+        new Uint8Array(shared),
+        await sha256(sessionTranscriptBytes)
+      );
+    };
+  }
+
+  // BLE Ident (ISO 18013-5 8.3.3.1.1.4): HKDF-SHA256 with no salt,
+  // IKM = EDeviceKeyBytes, info = "BLEIdent", 16 bytes
+  async function deriveBleIdent(eDeviceKeyBytes) {
+    const prk = await hkdfExtract(new Uint8Array(32), eDeviceKeyBytes);
+    return hkdfExpand(prk, enc.encode("BLEIdent"), 16);
+  }
+
   window.SessionCrypto = {
     hex,
     concatUint8,
+    SESSION_CURVES,
+    sessionCurve,
+    generateEphemeralKeyPair,
+    exportEphemeralPublicKey,
+    exportEphemeralKeyPair,
+    importEphemeralKeyPair,
     importMdocPubKeyXY,
     deriveSharedSecretBits,
     hkdfExtract,
@@ -207,5 +381,8 @@
     encodeCoseKeyManually,
     encodeTag24ByteString,
     deriveSessionKey,
+    deriveEMacKey,
+    eMacKeyDeriver,
+    deriveBleIdent,
   };
 })();
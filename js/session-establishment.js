@@ -10,14 +10,12 @@
             .join(" ");
     }
 
-    let _readerCoseKeyCached = null; // Map with integer labels {-2:x,-3:y}
+    let _readerCoseKeyCached = null; // Map with integer labels {1:kty,-1:crv,-2:x[,-3:y]}
 
-    async function makeReaderEphemeralKeyPair() {
-        return crypto.subtle.generateKey(
-            { name: "ECDH", namedCurve: "P-256" },
-            true,
-            ["deriveBits"],
-        );
+    // EReaderKey must be on the curve of the wallet's EDeviceKey (crv label
+    // from the Device Engagement); defaults to P-256
+    async function makeReaderEphemeralKeyPair(crv = 1) {
+        return window.SessionCrypto.generateEphemeralKeyPair(crv);
     }
 
     function buildReaderCoseKey() {
@@ -30,26 +28,29 @@
     }
 
     async function exportReaderPublicToCoseKey(readerKeyPair) {
-        const raw = new Uint8Array(
-            await crypto.subtle.exportKey("raw", readerKeyPair.publicKey),
-        ); // 0x04||X||Y
-        const x = raw.slice(1, 33);
-        const y = raw.slice(33, 65);
+        const curve = window.SessionCrypto.sessionCurve(readerKeyPair.crv);
+        // 0x04||X||Y (EC2) or the u-coordinate (OKP)
+        const raw =
+            await window.SessionCrypto.exportEphemeralPublicKey(readerKeyPair);
+        const x = curve.kty === 1 ? raw : raw.slice(1, 1 + curve.size);
+        const y = curve.kty === 1 ? null : raw.slice(1 + curve.size);
         const fingerprint = hex(x.slice(0, 4));
 
         // Store as Map - encoding handled via SessionCrypto helpers
         _readerCoseKeyCached = new Map([
-            [1, 2], // kty: EC2
-            [-1, 1], // crv: P-256
+            [1, curve.kty], // kty: EC2 or OKP
+            [-1, curve.crv], // crv: same label as the EDeviceKey
             [-2, x], // x coordinate (Uint8Array)
-            [-3, y], // y coordinate (Uint8Array)
         ]);
+        if (y) _readerCoseKeyCached.set(-3, y); // y coordinate (EC2 only)
 
         return { fingerprint, x, y };
     }
 
     // Build transcript AAD (SHA-256(tag(24, bstr(SessionTranscript))))
-    async function buildTranscriptAAD(deBytes) {
+    // handover: encoded Handover CBOR (NFC handover from
+    // DeviceEngagement.parseNfcHandover); omitted for QR engagement
+    async function buildTranscriptAAD(deBytes, handover = null) {
         if (!deBytes) throw new Error("DeviceEngagement bytes required");
         if (!window.SessionCrypto)
             throw new Error("SessionCrypto not available");
@@ -60,7 +61,7 @@
         const eReaderKeyBytes =
             window.SessionCrypto.encodeTag24ByteString(coseKeyEncoded);
 
-        // SessionTranscript = [ tag(24, DeviceEngagement), EReaderKeyBytes, null ]
+        // SessionTranscript = [ tag(24, DeviceEngagement), EReaderKeyBytes, Handover ]
         const result = [];
         // array(3)
         result.push(0x83);
@@ -72,8 +73,9 @@
         result.push(...deBytes);
         // EReaderKeyBytes (already tag(24,bstr(.cbor COSE_Key)))
         result.push(...eReaderKeyBytes);
-        // Handover (BLE via QR) = null
-        result.push(0xf6);
+        // Handover: null for QR, [HandoverSelect, HandoverRequest / null] for NFC
+        if (handover) result.push(...handover);
+        else result.push(0xf6);
 
         const trCbor = new Uint8Array(result);
 
@@ -98,9 +100,10 @@
     async function buildLegacySessionEstablishmentWithData(opts) {
         const {
             deBytes,
-            mdocPubKey, // {x,y}
+            mdocPubKey, // {x,y,crv}
             readerKeyPair,
             transcriptAAD, // optional
+            handover, // optional, NFC engagement
             skReader, // optional
             buildRequestByType, // function returning Uint8Array
             CBOR: CBORRef,
@@ -127,12 +130,13 @@
             const mdocPub = await window.SessionCrypto.importMdocPubKeyXY(
                 mdocPubKey.x,
                 mdocPubKey.y,
+                mdocPubKey.crv,
             );
             const shared = await window.SessionCrypto.deriveSharedSecretBits(
                 readerKeyPair.privateKey,
                 mdocPub,
             );
-            aad = await buildTranscriptAAD(deBytes);
+            aad = await buildTranscriptAAD(deBytes, handover);
             keys = await window.SessionCrypto.deriveSessionKey(
                 new Uint8Array(shared),
                 aad,
@@ -184,6 +188,121 @@
         return { message: final, keys, transcriptAAD: aad };
     }
 
+    function encodeBstrHead(len) {
+        if (len < 24) return [0x40 + len];
+        if (len < 256) return [0x58, len];
+        if (len < 65536) return [0x59, (len >> 8) & 0xff, len & 0xff];
+        return [
+            0x5a,
+            (len >>> 24) & 0xff,
+            (len >> 16) & 0xff,
+            (len >> 8) & 0xff,
+            len & 0xff,
+        ];
+    }
+
+    // Build SessionData {"data": bstr} for a follow-up DeviceRequest on an
+    // established session. The reader's message counter starts at 1 with the
+    // SessionEstablishment message, so follow-ups use 2, 3, ...
+    async function buildSessionDataWithRequest(opts) {
+        const { request, skReader, counter } = opts || {};
+        if (!request || !skReader || !counter)
+            throw new Error("Missing inputs for SessionData build");
+        if (!window.SessionCrypto)
+            throw new Error("SessionCrypto not available");
+
+        const encryptedRequest = await window.SessionCrypto.aesGcmEncryptRaw(
+            request,
+            skReader,
+            new Uint8Array(8), // reader identifier 0x00 x8
+            counter,
+        );
+        const result = [0xa1]; // map(1)
+        result.push(0x64, ...Array.from("data").map((c) => c.charCodeAt(0)));
+        result.push(...encodeBstrHead(encryptedRequest.length));
+        result.push(...encryptedRequest);
+        return new Uint8Array(result);
+    }
+
+    // SessionData status codes (ISO 18013-5 Table 20). 10 and 11 also end
+    // the session.
+    const SESSION_STATUS = {
+        10: "Error: session encryption",
+        11: "Error: CBOR decoding",
+        20: "Session termination",
+    };
+
+    function describeSessionStatus(status) {
+        return SESSION_STATUS[status] || `Unknown status ${status}`;
+    }
+
+    // SessionData {"status": 20}: the reader ends the session
+    function buildSessionTermination() {
+        const result = [0xa1]; // map(1)
+        result.push(0x66, ...Array.from("status").map((c) => c.charCodeAt(0)));
+        result.push(0x14); // uint 20
+        return new Uint8Array(result);
+    }
+
+    // Session lifecycle as seen by the reader. Transitions not listed here
+    // are rejected so the page cannot, say, send a request on a closed session.
+    const SESSION_STATES = {
+        idle: "Idle",
+        engaged: "Engaged",
+        established: "Established",
+        awaiting_response: "Awaiting response",
+        terminated: "Terminated",
+        error: "Error",
+    };
+    const SESSION_TRANSITIONS = {
+        idle: ["engaged"],
+        engaged: ["engaged", "established", "terminated", "error"],
+        established: ["awaiting_response", "terminated", "error"],
+        awaiting_response: ["established", "terminated", "error"],
+        terminated: ["idle", "engaged"],
+        error: ["idle", "engaged", "terminated"],
+    };
+
+    // Returns { state, detail, history, can(to), transition(to, detail), reset() };
+    // onChange(state, previous, detail) runs after every transition
+    function createSessionLifecycle(onChange) {
+        const lifecycle = {
+            state: "idle",
+            detail: null,
+            history: [],
+            can(to) {
+                return (SESSION_TRANSITIONS[lifecycle.state] || []).includes(
+                    to,
+                );
+            },
+            transition(to, detail = null) {
+                if (!SESSION_STATES[to])
+                    throw new Error(`Unknown session state: ${to}`);
+                if (!lifecycle.can(to)) {
+                    console.warn(
+                        `Ignoring session transition ${lifecycle.state} → ${to}`,
+                    );
+                    return false;
+                }
+                const previous = lifecycle.state;
+                lifecycle.state = to;
+                lifecycle.detail = detail;
+                lifecycle.history.push({ state: to, detail, at: Date.now() });
+                if (typeof onChange === "function")
+                    onChange(to, previous, detail);
+                return true;
+            },
+            reset() {
+                lifecycle.state = "idle";
+                lifecycle.detail = null;
+                lifecycle.history = [];
+                if (typeof onChange === "function")
+                    onChange("idle", null, null);
+            },
+        };
+        return lifecycle;
+    }
+
     window.SessionEstablishment = {
         makeReaderEphemeralKeyPair,
         exportReaderPublicToCoseKey,
@@ -191,5 +310,11 @@
         resetReaderCoseKeyCache,
         buildTranscriptAAD,
         buildLegacySessionEstablishmentWithData,
+        buildSessionDataWithRequest,
+        SESSION_STATUS,
+        describeSessionStatus,
+        buildSessionTermination,
+        SESSION_STATES,
+        createSessionLifecycle,
     };
 })();
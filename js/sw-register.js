@@ -0,0 +1,97 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Registers sw.js and asks before switching to a new version
+     Exposes window.AppUpdate with:
+      registration               the ServiceWorkerRegistration, once known
+      checkForUpdate()           fetch sw.js again; also runs hourly and when
+                                 the page becomes visible
+      applyUpdate()              activate the waiting version, then reload
+     A banner offers "Reload" / "Later" when a new version has been
+     precached. Nothing reloads without the user asking for it.
+*/
+
+(function () {
+    const UPDATE_INTERVAL_MS = 60 * 60 * 1000;
+    let registration = null;
+    let reloading = false;
+    let banner = null;
+
+    function showBanner() {
+        if (banner) return;
+        banner = document.createElement("div");
+        banner.setAttribute("role", "status");
+        banner.style.cssText =
+            "position: fixed; right: 1rem; bottom: 1rem; z-index: 1000; display: flex; gap: 0.65rem; align-items: center; padding: 0.75rem 1rem; border-radius: 12px; background: var(--c-navy-800, #0f172a); color: #f8fafc; font-family: var(--font-body, system-ui, sans-serif); font-size: 0.85rem; box-shadow: 0 8px 30px rgba(0, 0, 0, 0.2)";
+        const text = document.createElement("span");
+        text.textContent = "A new version of the verifier is available.";
+        const reload = document.createElement("button");
+        reload.textContent = "Reload";
+        reload.onclick = applyUpdate;
+        const later = document.createElement("button");
+        later.textContent = "Later";
+        later.className = "secondary";
+        later.onclick = () => {
+            banner.remove();
+            banner = null;
+        };
+        banner.append(text, reload, later);
+        document.body.appendChild(banner);
+    }
+
+    function watch(worker) {
+        worker.addEventListener("statechange", () => {
+            // The first install has nothing to replace
+            if (
+                worker.state === "installed" &&
+                navigator.serviceWorker.controller
+            )
+                showBanner();
+        });
+    }
+
+    function applyUpdate() {
+        const waiting = registration?.waiting;
+        if (!waiting) return;
+        reloading = true;
+        waiting.postMessage({ type: "SKIP_WAITING" });
+    }
+
+    function checkForUpdate() {
+        return registration?.update().catch(() => {});
+    }
+
+    async function register() {
+        if (!("serviceWorker" in navigator)) return;
+        try {
+            registration = await navigator.serviceWorker.register("sw.js");
+        } catch (e) {
+            console.warn("Service worker registration failed:", e);
+            return;
+        }
+        if (registration.waiting && navigator.serviceWorker.controller)
+            showBanner();
+        if (registration.installing) watch(registration.installing);
+        registration.addEventListener("updatefound", () =>
+            watch(registration.installing),
+        );
+        navigator.serviceWorker.addEventListener("controllerchange", () => {
+            if (reloading) location.reload();
+        });
+        setInterval(checkForUpdate, UPDATE_INTERVAL_MS);
+        document.addEventListener("visibilitychange", () => {
+            if (document.visibilityState === "visible") checkForUpdate();
+        });
+    }
+
+    window.addEventListener("load", register);
+
+    window.AppUpdate = {
+        get registration() {
+            return registration;
+        },
+        checkForUpdate,
+        applyUpdate,
+    };
+})();
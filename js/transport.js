@@ -0,0 +1,304 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Reader-side transports for ISO 18013-5 session messages
+     Exposes window.Transport with:
+      create({ kind, ble, peer, logger })  kind: "ble" | "loopback" (default from ?transport=)
+      createBleTransport({ ble, logger })
+      createLoopbackTransport({ peer })
+      createReplayPeer(messages, { readerKeyPair, ident })
+      setLoopbackPeer(peer) / getLoopbackPeer()
+      selectedKind()
+
+     Every transport has the same surface:
+      kind
+      connect(target, { expectedIdent, allowMissingIdent, defaultChunk })
+                                                        link up + session start; resolves { identStatus }
+      send(bytes, { chunkSize })                        one complete message
+      receive({ timeoutMs })                            next message from the peer
+      close({ notifyPeer })                             signal End (default) and drop the link
+      isConnected()
+      on(event, handler) / off(event, handler)
+     Events: "message" (bytes, { reason }), "end" (peer signalled End), "close"
+
+     A loopback peer is a plain object with optional hooks, each given an api
+     { send(bytes), end(), close() } for talking back to the reader:
+      onConnect(api, target)
+      onMessage(bytes, api)
+      onEnd(api)                  reader signalled End
+      ident                       Uint8Array compared with expectedIdent, like BLE;
+                                  without one, connect() fails unless allowMissingIdent
+*/
+
+(function () {
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+    // Listener registry plus a receive() queue for messages nobody awaited
+    function createBase(kind) {
+        const listeners = { message: [], end: [], close: [] };
+        const queue = [];
+        const waiters = [];
+
+        const transport = {
+            kind,
+            on(event, handler) {
+                if (!listeners[event])
+                    throw new Error(`Unknown transport event: ${event}`);
+                listeners[event].push(handler);
+                return transport;
+            },
+            off(event, handler) {
+                const list = listeners[event] || [];
+                const i = list.indexOf(handler);
+                if (i >= 0) list.splice(i, 1);
+                return transport;
+            },
+            receive({ timeoutMs = 0 } = {}) {
+                if (queue.length) return Promise.resolve(queue.shift());
+                return new Promise((resolve, reject) => {
+                    const waiter = { resolve, reject, timer: null };
+                    if (timeoutMs > 0)
+                        waiter.timer = setTimeout(() => {
+                            waiters.splice(waiters.indexOf(waiter), 1);
+                            reject(
+                                new Error(
+                                    `No message from peer within ${timeoutMs} ms`,
+                                ),
+                            );
+                        }, timeoutMs);
+                    waiters.push(waiter);
+                });
+            },
+        };
+
+        async function emit(event, ...args) {
+            for (const handler of [...listeners[event]]) {
+                try {
+                    await handler(...args);
+                } catch (e) {
+                    console.warn(`Transport ${event} handler failed:`, e);
+                }
+            }
+        }
+
+        async function deliver(bytes, reason) {
+            const waiter = waiters.shift();
+            if (waiter) {
+                clearTimeout(waiter.timer);
+                waiter.resolve(bytes);
+            } else if (!listeners.message.length) {
+                queue.push(bytes);
+            }
+            await emit("message", bytes, { reason });
+        }
+
+        function dropPending(reason) {
+            queue.length = 0;
+            for (const waiter of waiters.splice(0)) {
+                clearTimeout(waiter.timer);
+                waiter.reject(new Error(reason));
+            }
+        }
+
+        return { transport, emit, deliver, dropPending };
+    }
+
+    // ISO 18013-5 mdoc peripheral server mode over window.BLE
+    function createBleTransport(options = {}) {
+        const ble = options.ble || window.BLE;
+        const log = options.logger || console.log;
+        const { transport, emit, deliver, dropPending } = createBase("ble");
+
+        transport.connect = async (target = {}, opts = {}) => {
+            if (!ble || typeof ble.connect !== "function")
+                throw new Error("BLE module not available");
+            ble.init({
+                onAssembled: (bytes, reason) => deliver(bytes, reason),
+                onStateEnd: () => emit("end"),
+                defaultChunk: opts.defaultChunk,
+            });
+            if (!ble.isConnected()) {
+                if (!target.serviceUUID)
+                    throw new Error(
+                        "Service UUID missing (scan QR or use override)",
+                    );
+                // Throws (and disconnects) on an Ident mismatch
+                await ble.connect(target.serviceUUID, {
+                    expectedIdent: opts.expectedIdent,
+                    allowMissingIdent: opts.allowMissingIdent,
+                });
+                await sleep(500); // Wait for connection to stabilize
+            }
+            log("🎬 Starting session (state 0x01)...");
+            await ble.writeState(0x01);
+            await sleep(300);
+            return { identStatus: ble.getIdentStatus?.() || "unchecked" };
+        };
+
+        transport.send = async (bytes, { chunkSize } = {}) => {
+            await ble.sendFragmented(bytes, chunkSize);
+        };
+
+        transport.close = async ({ notifyPeer = true } = {}) => {
+            try {
+                if (notifyPeer && ble.isConnected()) {
+                    await ble.writeState(0x02);
+                    await sleep(120);
+                }
+            } catch (e) {
+                console.warn("Failed to send state 0x02 before disconnect:", e);
+            }
+            try {
+                ble.disconnect();
+            } catch (e) {
+                console.warn("BLE disconnect failed:", e);
+            }
+            dropPending("Transport closed");
+            await emit("close");
+        };
+
+        transport.isConnected = () => !!ble?.isConnected?.();
+
+        return transport;
+    }
+
+    let registeredPeer = null;
+
+    function setLoopbackPeer(peer) {
+        registeredPeer = peer || null;
+    }
+
+    // In-memory link to a scripted peer; messages are whole (no fragmentation)
+    // and delivered asynchronously, as they would be over a real link
+    function createLoopbackTransport(options = {}) {
+        const { transport, emit, deliver, dropPending } =
+            createBase("loopback");
+        let connected = false;
+        let peer = null;
+
+        const api = {
+            send(bytes) {
+                if (!connected) return;
+                const copy = new Uint8Array(bytes);
+                setTimeout(() => deliver(copy, "loopback"), 0);
+            },
+            end() {
+                if (!connected) return;
+                setTimeout(() => emit("end"), 0);
+            },
+            close() {
+                if (!connected) return;
+                connected = false;
+                dropPending("Peer closed the link");
+                setTimeout(() => emit("close"), 0);
+            },
+        };
+
+        transport.connect = async (target = {}, opts = {}) => {
+            peer = options.peer || registeredPeer;
+            if (!peer)
+                throw new Error(
+                    "No loopback peer registered (Transport.setLoopbackPeer)",
+                );
+            transport.peer = peer;
+            let identStatus = "unchecked";
+            if (opts.expectedIdent) {
+                if (!peer.ident) {
+                    if (!opts.allowMissingIdent)
+                        throw new Error(
+                            "Loopback peer has no Ident; it cannot be checked against the scanned Device Engagement",
+                        );
+                    identStatus = "absent";
+                } else if (
+                    peer.ident.length !== opts.expectedIdent.length ||
+                    peer.ident.some((b, i) => b !== opts.expectedIdent[i])
+                )
+                    throw new Error(
+                        "Loopback Ident mismatch: peer does not match the scanned Device Engagement",
+                    );
+                else identStatus = "verified";
+            }
+            if (!connected) {
+                connected = true;
+                await peer.onConnect?.(api, target);
+            }
+            return { identStatus };
+        };
+
+        transport.send = async (bytes) => {
+            if (!connected) throw new Error("Device not connected");
+            const copy = new Uint8Array(bytes);
+            setTimeout(async () => {
+                try {
+                    await peer.onMessage?.(copy, api);
+                } catch (e) {
+                    console.warn("Loopback peer failed:", e);
+                }
+            }, 0);
+        };
+
+        transport.close = async ({ notifyPeer = true } = {}) => {
+            if (!connected) return;
+            connected = false;
+            if (notifyPeer) {
+                try {
+                    await peer.onEnd?.(api);
+                } catch (e) {
+                    console.warn("Loopback peer onEnd failed:", e);
+                }
+            }
+            dropPending("Transport closed");
+            await emit("close");
+        };
+
+        transport.isConnected = () => connected;
+
+        return transport;
+    }
+
+    // Replays captured wallet messages: the n-th reader message is answered
+    // with messages[n] (a Uint8Array or an array of them). readerKeyPair is
+    // the exported EReaderKey of the capture, needed to decrypt the replies.
+    function createReplayPeer(
+        messages,
+        { readerKeyPair = null, ident = null } = {},
+    ) {
+        let index = 0;
+        return {
+            readerKeyPair,
+            ident,
+            onMessage(bytes, api) {
+                const reply = messages[index++];
+                if (!reply) return;
+                for (const m of Array.isArray(reply) ? reply : [reply])
+                    api.send(m);
+            },
+        };
+    }
+
+    function selectedKind() {
+        try {
+            const kind = new URLSearchParams(location.search).get("transport");
+            if (kind === "loopback") return "loopback";
+        } catch {}
+        return "ble";
+    }
+
+    function create(options = {}) {
+        const kind = options.kind || selectedKind();
+        if (kind === "loopback") return createLoopbackTransport(options);
+        if (kind === "ble") return createBleTransport(options);
+        throw new Error(`Unknown transport: ${kind}`);
+    }
+
+    window.Transport = {
+        create,
+        createBleTransport,
+        createLoopbackTransport,
+        createReplayPeer,
+        setLoopbackPeer,
+        getLoopbackPeer: () => registeredPeer,
+        selectedKind,
+    };
+})();
@@ -16,12 +16,11 @@
     const getCBOR = () => window.CBOR || self.CBOR || self.cbor;
     const getActiveIACAs = (...args) =>
         window.IacaManager?.getActiveIACAs?.(...args) || [];
-    const pemToCryptoKey = (...args) =>
-        window.IacaManager?.pemToCryptoKey?.(...args);
 
     // Extract public key from X.509 certificate (DER format)
     // Supports NIST curves (P-256, P-384) via Web Crypto API
     // Supports Brainpool curves (P-256r1, P-320r1, P-384r1, P-512r1) via @noble/curves
+    // Supports EdDSA (Ed25519, Ed448) OKP keys via @noble/curves
     async function extractPublicKeyFromCert(certDer, quiet = false) {
         try {
             console.log(
@@ -31,6 +30,19 @@
 
             const cert = new Uint8Array(certDer);
 
+            const okpKey = okpPublicKeyFromCert(cert);
+            if (okpKey) {
+                if (!window.nobleCurves?.[okpKey.nobleCurveName]) {
+                    if (!quiet)
+                        console.error(
+                            `❌ Curve ${okpKey.curve} not available in @noble/curves`,
+                        );
+                    return null;
+                }
+                console.log(`✅ ${okpKey.curve} public key extracted`);
+                return okpKey;
+            }
+
             const curveOIDs = {
                 "P-256": [0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07],
                 "P-384": [0x2b, 0x81, 0x04, 0x00, 0x22],
@@ -178,6 +190,19 @@
         }
     }
 
+    // OKP keys have no curve parameter to scan for: read the SPKI instead
+    function okpPublicKeyFromCert(certDer) {
+        if (!window.X509) return null;
+        try {
+            const pub = window.X509.publicKeyForNoble(
+                window.X509.parseCertificate(certDer),
+            );
+            return pub?.kty === "OKP" ? pub : null;
+        } catch {
+            return null;
+        }
+    }
+
     function derSignatureToRaw(derSig, expectedLength = 64) {
         try {
             if (derSig[0] !== 0x30) {
@@ -244,6 +269,10 @@
                 brainpoolP512r1: [
                     0x2b, 0x24, 0x03, 0x03, 0x02, 0x08, 0x01, 0x01, 0x0d,
                 ],
+                // Checked last (with tag and length): an EC key certificate
+                // issued by an EdDSA CA also carries these as signatureAlgorithm
+                Ed25519: [0x06, 0x03, 0x2b, 0x65, 0x70],
+                Ed448: [0x06, 0x03, 0x2b, 0x65, 0x71],
             };
             const findOID = (oid) => {
                 for (let i = 0; i <= cert.length - oid.length; i++) {
@@ -608,7 +637,7 @@
                     return {
                         algName: "EdDSA",
                         hash: "NONE",
-                        sigLen: 64,
+                        sigLen: name.includes("ed448") ? 114 : 64,
                         curveLabel: name.includes("ed448")
                             ? "Ed448"
                             : "Ed25519",
@@ -632,6 +661,10 @@
                     algName = "ES256";
                     hashAlg = "SHA-256";
                     expectedSigLength = 64;
+                } else if (alg === -8) {
+                    algName = "EdDSA";
+                    hashAlg = "NONE";
+                    expectedSigLength = 64;
                 }
                 const pkCurve = publicKey?.nobleCurveName || "";
                 const mapped = specAlgFromCurve(pkCurve);
@@ -733,7 +766,9 @@
                 isValid = false;
             }
 
-            if (!isValid) {
+            // PureEdDSA has no prehash or low-S variants to fall back to
+            const isEdDSA = algName === "EdDSA";
+            if (!isValid && !isEdDSA) {
                 try {
                     const hashCandidates = [
                         hashAlg || "SHA-256",
@@ -1067,825 +1102,374 @@
         }
     }
 
-    async function validateCertificateChain(issuerCertBytes) {
+    // Human-readable label for a parsed certificate
+    function certLabel(cert) {
+        return (
+            cert?.subject?.get("CN") || cert?.subject?.dn || "(unnamed cert)"
+        );
+    }
+
+    // Extensions understood by the path validator; any other critical
+    // extension makes the certificate unusable (RFC 5280 4.2)
+    const HANDLED_EXTENSIONS = new Set([
+        "2.5.29.19", // basicConstraints
+        "2.5.29.15", // keyUsage
+        "2.5.29.37", // extKeyUsage
+        "2.5.29.14", // subjectKeyIdentifier
+        "2.5.29.35", // authorityKeyIdentifier
+        "2.5.29.17", // subjectAltName
+        "2.5.29.18", // issuerAltName
+        "2.5.29.31", // cRLDistributionPoints
+        "2.5.29.32", // certificatePolicies
+    ]);
+
+    function namesChain(child, parent) {
+        if (window.X509.bytesEqual(child.issuer.raw, parent.subject.raw))
+            return true;
+        // Tolerate string-type differences (PrintableString vs UTF8String)
+        return (
+            child.issuer.dn.toLowerCase() === parent.subject.dn.toLowerCase()
+        );
+    }
+
+    function keyIdsCompatible(child, parent) {
+        if (!child.authorityKeyIdentifier || !parent.subjectKeyIdentifier)
+            return true;
+        return (
+            child.authorityKeyIdentifier.toLowerCase() ===
+            parent.subjectKeyIdentifier.toLowerCase()
+        );
+    }
+
+    // RFC 5280 path validation for an mdoc issuer chain.
+    // certs: x5chain as a single DER certificate or an array (leaf first).
+    // options.validationTime: Date used for validity checks (MSO signing time).
+    // options.trustAnchors: [{ name, pem, ... }] instead of the stored IACAs.
+    // Other signers (VICAL) reuse the same rules with:
+    //   options.leafExtKeyUsage  EKU the leaf must carry (default: mdoc DS)
+    //   options.anchorName       what the anchors are called in errors
+    //   options.leafMayBeAnchor  a leaf that is itself an anchor is trusted
+    //   options.profile          false to skip the Annex B DS/IACA lint
+    // Returns { valid, matchedIACA, chain, path, checks, profile, validationTime, errors }
+    async function validateCertificateChain(certs, options = {}) {
         const result = {
             valid: false,
             matchedIACA: null,
             chain: [],
+            path: [],
+            checks: [],
+            profile: [],
+            validationTime: null,
             errors: [],
         };
-        const DEBUG_VERBOSE =
-            typeof window !== "undefined" && window.DEBUG_VERBOSE === true;
-
-        try {
-            console.log(
-                "=== VALIDATING ISSUER CERTIFICATE AGAINST IACA ROOTS ===",
-            );
-
-            const activeIACAs = getActiveIACAs();
-
-            if (activeIACAs.length === 0) {
-                result.errors.push(
-                    "No active IACA certificates available for validation",
-                );
-                return result;
-            }
-
-            console.log(
-                `Testing issuer certificate against ${activeIACAs.length} active IACA(s)`,
-            );
-
-            if (DEBUG_VERBOSE) console.log("Parsing issuer certificate...");
-            const parsedCert = parseX509Certificate(issuerCertBytes);
-
-            if (!parsedCert) {
+        const anchorName = options.anchorName || "IACA";
+        const leafEku =
+            options.leafExtKeyUsage || window.X509?.OIDS.mdlDocumentSigner;
+        const addCheck = (cert, role, check, ok, detail = "") => {
+            result.checks.push({
+                certificate: certLabel(cert),
+                role,
+                check,
+                ok: !!ok,
+                detail,
+            });
+            if (!ok)
                 result.errors.push(
-                    "Failed to parse issuer certificate (invalid X.509 format)",
-                );
-                return result;
-            }
-
-            console.log("✓ Parsed issuer certificate");
-            if (DEBUG_VERBOSE) {
-                console.log(
-                    "  TBS length:",
-                    parsedCert.tbsCertificate.length,
-                    "bytes",
-                );
-                console.log(
-                    "  Signature length:",
-                    parsedCert.signature.length,
-                    "bytes",
-                );
-            }
-
-            function parseCertSignatureAlgorithmOID(certBytes) {
-                try {
-                    let pos = 0;
-                    if (certBytes[pos++] !== 0x30) return null;
-                    if (certBytes[pos] & 0x80) {
-                        const n = certBytes[pos++] & 0x7f;
-                        for (let i = 0; i < n; i++) pos++;
-                    } else {
-                        pos++;
-                    }
-                    if (certBytes[pos++] !== 0x30) return null;
-                    if (certBytes[pos] & 0x80) {
-                        const n = certBytes[pos++] & 0x7f;
-                        let tbsLen = 0;
-                        for (let i = 0; i < n; i++)
-                            tbsLen = (tbsLen << 8) | certBytes[pos++];
-                        pos += tbsLen;
-                    } else {
-                        const tbsLen = certBytes[pos++];
-                        pos += tbsLen;
-                    }
-                    if (certBytes[pos++] !== 0x30) return null;
-                    let sigAlgLen = 0;
-                    if (certBytes[pos] & 0x80) {
-                        const n = certBytes[pos++] & 0x7f;
-                        for (let i = 0; i < n; i++)
-                            sigAlgLen = (sigAlgLen << 8) | certBytes[pos++];
-                    } else {
-                        sigAlgLen = certBytes[pos++];
-                    }
-                    if (certBytes[pos++] !== 0x06) return null;
-                    let oidLen = certBytes[pos++];
-                    const oidBytes = certBytes.slice(pos, pos + oidLen);
-                    function decodeOID(bytes) {
-                        if (!bytes || bytes.length === 0) return "";
-                        const out = [];
-                        const first = bytes[0];
-                        out.push(Math.floor(first / 40));
-                        out.push(first % 40);
-                        let value = 0;
-                        for (let i = 1; i < bytes.length; i++) {
-                            const b = bytes[i];
-                            value = (value << 7) | (b & 0x7f);
-                            if ((b & 0x80) === 0) {
-                                out.push(value);
-                                value = 0;
-                            }
-                        }
-                        return out.join(".");
-                    }
-                    const oidStr = decodeOID(oidBytes);
-                    return { oidStr, oidBytes: new Uint8Array(oidBytes) };
-                } catch (e) {
-                    console.warn(
-                        "Failed to parse signatureAlgorithm OID:",
-                        e.message,
-                    );
-                    return null;
-                }
-            }
-            const sigAlg = parseCertSignatureAlgorithmOID(issuerCertBytes);
-            if (sigAlg) {
-                console.log(`  Signature Algorithm: ${sigAlg.oidStr}`);
-                if (DEBUG_VERBOSE)
-                    console.log(`  OID hex: ${hex(sigAlg.oidBytes)}`);
-            } else {
-                console.log("  Signature Algorithm OID: unavailable");
-            }
-
-            const aki = extractAuthorityKeyIdentifier(issuerCertBytes);
-            console.log(
-                "  Authority Key Identifier (AKI):",
-                aki || "not found",
-            );
-
-            const certSigLength = parsedCert.signature.length;
-            const hashFromOID =
-                sigAlg?.oidStr === "1.2.840.10045.4.3.1"
-                    ? "SHA-224"
-                    : sigAlg?.oidStr === "1.2.840.10045.4.3.2"
-                      ? "SHA-256"
-                      : sigAlg?.oidStr === "1.2.840.10045.4.3.3"
-                        ? "SHA-384"
-                        : sigAlg?.oidStr === "1.2.840.10045.4.3.4"
-                          ? "SHA-512"
-                          : "SHA-256";
-            const algName = hashFromOID.replace("SHA-", "ES");
-            console.log(`  Using hash: ${hashFromOID}`);
-            if (DEBUG_VERBOSE)
-                console.log(
-                    `  Certificate signature length: ${certSigLength} bytes`,
-                );
-
-            const expectedCurves =
-                certSigLength === 96
-                    ? ["p384", "brainpoolP384r1"]
-                    : ["p256", "brainpoolP256r1"];
-
-            console.log(`  Expected IACA curves: ${expectedCurves.join(", ")}`);
-
-            let matchingIACAs = activeIACAs;
-
-            if (aki) {
-                console.log(`🔍 Searching for IACA with matching SKI...`);
-                const iacasWithSKI = [];
-
-                for (const iaca of activeIACAs) {
-                    try {
-                        const b64 = iaca.pem
-                            .replace(/-----BEGIN CERTIFICATE-----/, "")
-                            .replace(/-----END CERTIFICATE-----/, "")
-                            .replace(/\s+/g, "");
-                        const binaryString = atob(b64);
-                        const iacaBytes = new Uint8Array(binaryString.length);
-                        for (let i = 0; i < binaryString.length; i++) {
-                            iacaBytes[i] = binaryString.charCodeAt(i);
-                        }
-
-                        const ski = extractSubjectKeyIdentifier(iacaBytes);
-
-                        if (ski) {
-                            console.log(`  ${iaca.name}: SKI = ${ski}`);
-                            if (ski.toLowerCase() === aki.toLowerCase()) {
-                                console.log(
-                                    `  ✅ MATCH! This IACA signed the DS certificate`,
-                                );
-                                iacasWithSKI.push(iaca);
-                            }
-                        } else {
-                            console.log(`  ${iaca.name}: No SKI found`);
-                        }
-                    } catch (e) {
-                        console.warn(
-                            `  ${iaca.name}: Error extracting SKI:`,
-                            e.message,
-                        );
-                    }
-                }
-
-                if (iacasWithSKI.length > 0) {
-                    matchingIACAs = iacasWithSKI;
-                    console.log(
-                        `✓ Found ${matchingIACAs.length} IACA(s) with matching SKI`,
-                    );
-                } else {
-                    console.warn(
-                        "⚠️ No IACA found with matching SKI, will try all IACAs",
-                    );
-                }
-            }
-
-            for (const iaca of matchingIACAs) {
-                console.log(
-                    `Testing IACA: ${iaca.name}${matchingIACAs.length === 1 ? " (matched by AKI/SKI)" : ""}`,
-                );
-
-                try {
-                    const iacaB64 = iaca.pem
-                        .replace(/-----BEGIN CERTIFICATE-----/, "")
-                        .replace(/-----END CERTIFICATE-----/, "")
-                        .replace(/\s+/g, "");
-                    const iacaBinaryString = atob(iacaB64);
-                    const iacaCertBytes = new Uint8Array(
-                        iacaBinaryString.length,
-                    );
-                    for (let i = 0; i < iacaBinaryString.length; i++) {
-                        iacaCertBytes[i] = iacaBinaryString.charCodeAt(i);
-                    }
-
-                    const iacaPublicKey = await pemToCryptoKey(iaca.pem);
-
-                    if (!iacaPublicKey) {
-                        console.log(
-                            `  ✗ Failed to import IACA public key (missing or invalid certificate)`,
-                        );
-                        result.errors.push(
-                            `${iaca.name}: IACA certificate missing or invalid`,
-                        );
-                        continue;
-                    }
-
-                    console.log(
-                        `  ✓ Imported IACA public key (curve: ${iacaPublicKey.nobleCurveName})`,
-                    );
-
-                    if (!iacaPublicKey || iacaPublicKey.type !== "noble") {
-                        console.log("  ✗ Invalid IACA public key format");
-                        result.errors.push(`${iaca.name}: Invalid key format`);
-                        continue;
-                    }
-
-                    if (
-                        !expectedCurves.includes(iacaPublicKey.nobleCurveName)
-                    ) {
-                        console.log(
-                            `  ⊘ Skipping: IACA curve ${iacaPublicKey.nobleCurveName} incompatible with ${algName} signature (${certSigLength} bytes)`,
-                        );
-                        continue;
-                    }
-
-                    if (!window.nobleCurves) {
-                        console.log("  ✗ @noble/curves library not loaded");
-                        result.errors.push(
-                            `${iaca.name}: Crypto library not available`,
-                        );
-                        continue;
-                    }
-
-                    const curveLib =
-                        window.nobleCurves[iacaPublicKey.nobleCurveName];
-                    if (!curveLib) {
-                        console.log(
-                            `  ✗ Curve ${iacaPublicKey.nobleCurveName} not available`,
-                        );
-                        result.errors.push(
-                            `${iaca.name}: Curve ${iacaPublicKey.nobleCurveName} not supported`,
-                        );
-                        continue;
-                    }
-
-                    if (DEBUG_VERBOSE)
-                        console.log(
-                            `  Using @noble/curves (${iacaPublicKey.nobleCurveName}) for certificate verification`,
-                        );
-
-                    if (DEBUG_VERBOSE) {
-                        console.log(
-                            `  TBS certificate length: ${parsedCert.tbsCertificate.length} bytes`,
-                        );
-                        console.log(
-                            `  TBS hex (first 64 bytes):`,
-                            hex(parsedCert.tbsCertificate.slice(0, 64)),
-                        );
-                        console.log(
-                            `  TBS hex (last 32 bytes):`,
-                            hex(parsedCert.tbsCertificate.slice(-32)),
-                        );
-                    }
-
-                    if (DEBUG_VERBOSE)
-                        console.log(
-                            `  🔍 Diagnostic: Verifying TBS structure...`,
-                        );
-                    if (DEBUG_VERBOSE)
-                        console.log(
-                            `     First byte: 0x${parsedCert.tbsCertificate[0].toString(16)} (should be 0x30 = SEQUENCE)`,
-                        );
-                    if (DEBUG_VERBOSE)
-                        console.log(
-                            `     Second byte: 0x${parsedCert.tbsCertificate[1].toString(16)} (length indicator)`,
-                        );
-                    if (parsedCert.tbsCertificate[1] === 0x82) {
-                        const tbsLengthFromTag =
-                            (parsedCert.tbsCertificate[2] << 8) |
-                            parsedCert.tbsCertificate[3];
-                        if (DEBUG_VERBOSE)
-                            console.log(
-                                `     TBS length from tag: ${tbsLengthFromTag} (should be ${parsedCert.tbsCertificate.length - 4})`,
-                            );
-                        if (
-                            tbsLengthFromTag + 4 ===
-                            parsedCert.tbsCertificate.length
-                        ) {
-                            if (DEBUG_VERBOSE)
-                                console.log(`     ✓ TBS length is correct`);
-                        } else {
-                            console.log(
-                                `     ✗ TBS length mismatch! Expected ${tbsLengthFromTag + 4}, got ${parsedCert.tbsCertificate.length}`,
-                            );
-                        }
-                    }
-
-                    if (DEBUG_VERBOSE) {
-                        console.log(
-                            `  Certificate signature (raw r||s):`,
-                            hex(parsedCert.signature),
-                        );
-                        console.log(
-                            `  Certificate signature length: ${parsedCert.signature.length} bytes`,
-                        );
-                        console.log(
-                            `  IACA public key (with 0x04 prefix):`,
-                            hex(iacaPublicKey.key),
-                        );
-                        console.log(
-                            `  IACA public key length: ${iacaPublicKey.key.length} bytes`,
-                        );
-                        console.log(
-                            `  IACA X coordinate:`,
-                            hex(iacaPublicKey.key.slice(1, 33)),
-                        );
-                        console.log(
-                            `  IACA Y coordinate:`,
-                            hex(iacaPublicKey.key.slice(33, 65)),
-                        );
-                    }
-                    console.log(`  Attempting verification`);
-
-                    let preHash = null;
-                    try {
-                        const h = await crypto.subtle.digest(
-                            hashFromOID,
-                            parsedCert.tbsCertificate,
-                        );
-                        preHash = new Uint8Array(h);
-                        if (DEBUG_VERBOSE)
-                            console.log(`  📊 ${hashFromOID}(TBS) computed`);
-                    } catch (e) {
-                        console.log(
-                            `  ⚠️ Unable to compute ${hashFromOID} digest: ${e.message}`,
-                        );
-                    }
-
-                    let isValid = false;
-                    let lowSUsed = false;
-                    try {
-                        if (DEBUG_VERBOSE) {
-                            console.log(
-                                `  🔬 Calling ${iacaPublicKey.nobleCurveName}.verify()...`,
-                            );
-                            console.log(
-                                `     - signature length: ${parsedCert.signature.length}`,
-                            );
-                            console.log(
-                                `     - message length: ${parsedCert.tbsCertificate.length}`,
-                            );
-                            console.log(
-                                `     - publicKey length: ${iacaPublicKey.key.length}`,
-                            );
-                        }
-
-                        if (DEBUG_VERBOSE)
-                            console.log(
-                                `  🔍 Diagnostic: Verifying IACA public key is valid...`,
-                            );
-                        try {
-                            if (
-                                curveLib.ProjectivePoint &&
-                                typeof curveLib.ProjectivePoint.fromHex ===
-                                    "function"
-                            ) {
-                                if (DEBUG_VERBOSE)
-                                    console.log(
-                                        `     ✓ Public key is a valid point on ${iacaPublicKey.nobleCurveName}`,
-                                    );
-                            } else {
-                                if (DEBUG_VERBOSE)
-                                    console.log(
-                                        `     (Skipping ProjectivePoint check: API not available)`,
-                                    );
-                            }
-                        } catch (pointErr) {
-                            console.log(
-                                `     ✗ Public key is NOT a valid point: ${pointErr.message}`,
-                            );
-                        }
-
-                        if (DEBUG_VERBOSE) {
-                            console.log(
-                                `  🔍 Diagnostic: Checking signature format...`,
-                            );
-                            const halfLen = parsedCert.signature.length / 2;
-                            const r = parsedCert.signature.slice(0, halfLen);
-                            const s = parsedCert.signature.slice(halfLen);
-                            console.log(
-                                `     r first byte: 0x${r[0].toString(16)}`,
-                            );
-                            console.log(
-                                `     s first byte: 0x${s[0].toString(16)}`,
-                            );
-                            if (r[0] === 0x00) {
-                                console.log(
-                                    `     ⚠️ WARNING: r has leading zero - might be padding issue`,
-                                );
-                            }
-                            if (s[0] === 0x00) {
-                                console.log(
-                                    `     ⚠️ WARNING: s has leading zero - might be padding issue`,
-                                );
-                            }
-                        }
-
-                        if (preHash) {
-                            if (DEBUG_VERBOSE)
-                                console.log(
-                                    `  🧪 Verify: signature vs ${hashFromOID}(TBS)`,
-                                );
-                            isValid = curveLib.verify(
-                                parsedCert.signature,
-                                preHash,
-                                iacaPublicKey.key,
-                            );
-                        }
-
-                        if (!isValid && preHash) {
-                            try {
-                                let curveOrder = curveLib?.CURVE?.n;
-                                if (!curveOrder) {
-                                    if (
-                                        iacaPublicKey.nobleCurveName === "p256"
-                                    ) {
-                                        curveOrder = BigInt(
-                                            "0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551",
-                                        );
-                                    } else if (
-                                        iacaPublicKey.nobleCurveName === "p384"
-                                    ) {
-                                        curveOrder = BigInt(
-                                            "0xffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973",
-                                        );
-                                    }
-                                }
-                                if (curveOrder) {
-                                    const half = curveOrder >> 1n;
-                                    const bytesToBigIntBE = (arr) =>
-                                        arr.reduce(
-                                            (n, b) => (n << 8n) | BigInt(b),
-                                            0n,
-                                        );
-                                    const bigIntToBytesBE = (num, len) => {
-                                        const out = new Uint8Array(len);
-                                        let n = num;
-                                        for (let i = len - 1; i >= 0; i--) {
-                                            out[i] = Number(n & 0xffn);
-                                            n >>= 8n;
-                                        }
-                                        return out;
-                                    };
-                                    const halfLen =
-                                        parsedCert.signature.length / 2;
-                                    const rBytes = parsedCert.signature.slice(
-                                        0,
-                                        halfLen,
-                                    );
-                                    const sBytes =
-                                        parsedCert.signature.slice(halfLen);
-                                    const sVal = bytesToBigIntBE(sBytes);
-                                    if (sVal > half) {
-                                        const sNorm = bigIntToBytesBE(
-                                            curveOrder - sVal,
-                                            sBytes.length,
-                                        );
-                                        const sigNorm = new Uint8Array(
-                                            parsedCert.signature.length,
-                                        );
-                                        sigNorm.set(rBytes, 0);
-                                        sigNorm.set(sNorm, rBytes.length);
-                                        if (DEBUG_VERBOSE)
-                                            console.log(
-                                                `  🧪 Verify: low-S signature vs ${hashFromOID}(TBS)`,
-                                            );
-                                        isValid = curveLib.verify(
-                                            sigNorm,
-                                            preHash,
-                                            iacaPublicKey.key,
-                                        );
-                                    }
-                                }
-                            } catch {}
-                        }
-
-                        if (!isValid) {
-                            try {
-                                if (DEBUG_VERBOSE)
-                                    console.log(
-                                        `  🧪 Verify: signature vs RAW_TBS`,
-                                    );
-                                isValid = curveLib.verify(
-                                    parsedCert.signature,
-                                    parsedCert.tbsCertificate,
-                                    iacaPublicKey.key,
-                                );
-                            } catch (e) {
-                                if (DEBUG_VERBOSE)
-                                    console.log(
-                                        `     verify threw: ${e.message}`,
-                                    );
-                            }
-                        }
-
-                        if (!isValid) {
-                            try {
-                                let curveOrder = curveLib?.CURVE?.n;
-                                if (!curveOrder) {
-                                    if (
-                                        iacaPublicKey.nobleCurveName === "p256"
-                                    ) {
-                                        curveOrder = BigInt(
-                                            "0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551",
-                                        );
-                                    } else if (
-                                        iacaPublicKey.nobleCurveName === "p384"
-                                    ) {
-                                        curveOrder = BigInt(
-                                            "0xffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973",
-                                        );
-                                    }
-                                }
-                                if (curveOrder) {
-                                    const half = curveOrder >> 1n;
-                                    const bytesToBigIntBE = (arr) =>
-                                        arr.reduce(
-                                            (n, b) => (n << 8n) | BigInt(b),
-                                            0n,
-                                        );
-                                    const bigIntToBytesBE = (num, len) => {
-                                        const out = new Uint8Array(len);
-                                        let n = num;
-                                        for (let i = len - 1; i >= 0; i--) {
-                                            out[i] = Number(n & 0xffn);
-                                            n >>= 8n;
-                                        }
-                                        return out;
-                                    };
-                                    const halfLen =
-                                        parsedCert.signature.length / 2;
-                                    const rBytes = parsedCert.signature.slice(
-                                        0,
-                                        halfLen,
-                                    );
-                                    const sBytes =
-                                        parsedCert.signature.slice(halfLen);
-                                    const sVal = bytesToBigIntBE(sBytes);
-                                    if (sVal > half) {
-                                        const sNorm = bigIntToBytesBE(
-                                            curveOrder - sVal,
-                                            sBytes.length,
-                                        );
-                                        const sigNorm = new Uint8Array(
-                                            parsedCert.signature.length,
-                                        );
-                                        sigNorm.set(rBytes, 0);
-                                        sigNorm.set(sNorm, rBytes.length);
-                                        if (DEBUG_VERBOSE)
-                                            console.log(
-                                                `  🧪 Verify: low-S signature vs RAW_TBS`,
-                                            );
-                                        isValid = curveLib.verify(
-                                            sigNorm,
-                                            parsedCert.tbsCertificate,
-                                            iacaPublicKey.key,
-                                        );
-                                    }
-                                }
-                            } catch {}
-                        }
-
-                        if (!isValid && DEBUG_VERBOSE) {
-                            try {
-                                console.log(
-                                    `  🧪 Attempt E: verify(signature_DER, RAW_TBS, publicKey)`,
-                                );
-                                const res = curveLib.verify(
-                                    parsedCert.signatureDER,
-                                    parsedCert.tbsCertificate,
-                                    iacaPublicKey.key,
-                                );
-                                console.log(`     Result: ${res}`);
-                                isValid = res;
-                            } catch (e) {
-                                console.log(
-                                    `     Attempt E threw: ${e.message}`,
-                                );
-                            }
-                        }
-
-                        if (!isValid && DEBUG_VERBOSE) {
-                            try {
-                                console.log(
-                                    `  🧪 Attempt F: verify(signature_DER, ${hashFromOID}(TBS), publicKey)`,
-                                );
-                                const preHashBuf = await crypto.subtle.digest(
-                                    hashFromOID,
-                                    parsedCert.tbsCertificate,
-                                );
-                                const preHash = new Uint8Array(preHashBuf);
-                                const res = curveLib.verify(
-                                    parsedCert.signatureDER,
-                                    preHash,
-                                    iacaPublicKey.key,
-                                );
-                                console.log(`     Result: ${res}`);
-                                isValid = res;
-                            } catch (e) {
-                                console.log(
-                                    `     Attempt F threw: ${e.message}`,
-                                );
-                            }
-                        }
-
-                        if (
-                            !isValid &&
-                            DEBUG_VERBOSE &&
-                            window.crypto?.subtle
-                        ) {
-                            try {
-                                console.log(
-                                    `  🧪 Attempt G: WebCrypto.verify(ECDSA, ${hashFromOID})`,
-                                );
-                                const namedCurve =
-                                    iacaPublicKey.nobleCurveName === "p256"
-                                        ? "P-256"
-                                        : iacaPublicKey.nobleCurveName ===
-                                            "p384"
-                                          ? "P-384"
-                                          : null;
-                                if (namedCurve) {
-                                    const wcKey = await crypto.subtle.importKey(
-                                        "raw",
-                                        iacaPublicKey.key,
-                                        { name: "ECDSA", namedCurve },
-                                        false,
-                                        ["verify"],
-                                    );
-                                    const ok = await crypto.subtle.verify(
-                                        {
-                                            name: "ECDSA",
-                                            hash: { name: hashFromOID },
-                                        },
-                                        wcKey,
-                                        parsedCert.signatureDER,
-                                        parsedCert.tbsCertificate,
-                                    );
-                                    console.log(
-                                        `     WebCrypto verify result: ${ok}`,
-                                    );
-                                    isValid = ok;
-                                } else {
-                                    console.log(
-                                        `     (Skipping Attempt G: unsupported curve ${iacaPublicKey.nobleCurveName})`,
-                                    );
-                                }
-                            } catch (e) {
-                                console.log(
-                                    `     Attempt G threw: ${e.message}`,
-                                );
-                            }
-                        }
-
-                        if (!isValid && DEBUG_VERBOSE) {
-                            console.log(
-                                `  🧪 Attempt 3: Sanity check - re-verify DS certificate COSE_Sign1`,
-                            );
-                            console.log(
-                                `     (This should succeed since it worked earlier)`,
-                            );
-                            console.log(
-                                `     DS cert byte at 382: 0x${issuerCertBytes[382].toString(16)} (should be 0x04)`,
-                            );
-                            console.log(
-                                `     DS cert public key X: ${hex(issuerCertBytes.slice(383, 383 + 32))}`,
-                            );
-                            console.log(
-                                `     DS cert public key Y: ${hex(issuerCertBytes.slice(383 + 32, 383 + 64))}`,
-                            );
-                            console.log(
-                                `     Previously verified: COSE_Sign1 with DS cert public key = WORKS ✓`,
-                            );
-                            console.log(
-                                `     Now failing: X.509 cert with IACA public key = FAILS ✗`,
-                            );
-                            console.log(
-                                `     But wait - let's check if the issue is with IACA cert or DS cert...`,
-                            );
-                            console.log(
-                                `  🧪 Attempt 4: Verify IACA is self-signed (sanity check)`,
-                            );
-                            try {
-                                const iacaParsed =
-                                    parseX509Certificate(iacaCertBytes);
-                                if (iacaParsed) {
-                                    console.log(
-                                        `     IACA TBS length: ${iacaParsed.tbsCertificate.length}`,
-                                    );
-                                    console.log(
-                                        `     IACA signature length: ${iacaParsed.signature.length}`,
-                                    );
-                                    const iacaSelfVerify = curveLib.verify(
-                                        iacaParsed.signature,
-                                        iacaParsed.tbsCertificate,
-                                        iacaPublicKey.key,
-                                    );
-                                    console.log(
-                                        `     IACA self-signed verification: ${iacaSelfVerify}`,
-                                    );
-                                    if (iacaSelfVerify) {
-                                        console.log(
-                                            `     ✓ IACA is properly self-signed!`,
-                                        );
-                                        console.log(
-                                            `     This means the IACA public key is correct.`,
-                                        );
-                                        console.log(
-                                            `     Therefore, the DS certificate signature or TBS must be wrong.`,
-                                        );
-                                    } else {
-                                        console.log(
-                                            `     ✗ IACA self-signed verification failed!`,
-                                        );
-                                        console.log(`     This could mean:`);
-                                        console.log(
-                                            `       1. IACA public key extraction is wrong`,
-                                        );
-                                        console.log(
-                                            `       2. Our signature/TBS extraction is fundamentally broken`,
-                                        );
-                                        console.log(
-                                            `       3. noble-curves verification has an issue`,
-                                        );
-                                    }
-                                }
-                            } catch (iacaErr) {
-                                console.log(
-                                    `     Error verifying IACA: ${iacaErr.message}`,
-                                );
-                            }
-                        }
-
-                        console.log(
-                            `  ✅ Certificate verify result: ${isValid}`,
-                        );
-                    } catch (verifyErr) {
-                        console.log(
-                            `  ✗ verify() threw error: ${verifyErr.message}`,
-                        );
-                        console.error(verifyErr);
-                        isValid = false;
-                    }
+                    `${certLabel(cert)}: ${check} failed${detail ? ` (${detail})` : ""}`,
+                );
+        };
 
-                    if (isValid) {
-                        console.log(
-                            `  ✅ Issuer certificate is signed by this IACA!`,
-                        );
+        try {
+            if (!window.X509) throw new Error("X509 module not loaded");
+            const derList = (Array.isArray(certs) ? certs : [certs])
+                .map((c) => toUint8Shared(c))
+                .filter(Boolean);
+            if (derList.length === 0) {
+                result.errors.push("x5chain is empty");
+                return result;
+            }
 
-                        result.valid = true;
-                        result.matchedIACA = {
-                            name: iaca.name,
-                            issuer: iaca.issuer,
-                            test: iaca.test || false,
-                        };
-                        result.chain = [
-                            "mDoc Issuer Certificate",
-                            `↓ signed by`,
-                            `IACA Root: ${iaca.name}${iaca.test ? " (TEST)" : ""}`,
-                        ];
+            let parsedChain;
+            try {
+                parsedChain = derList.map((der) =>
+                    window.X509.parseCertificate(der),
+                );
+            } catch (e) {
+                result.errors.push(
+                    `Failed to parse x5chain certificate: ${e.message}`,
+                );
+                return result;
+            }
 
-                        console.log(
-                            `✅ Issuer certificate validated with IACA: ${iaca.name}${iaca.test ? " (TEST)" : ""}`,
-                        );
-                        return result;
-                    } else {
-                        console.log(`  ✗ Signature does not match this IACA`);
-                    }
+            const validationTime =
+                options.validationTime instanceof Date
+                    ? options.validationTime
+                    : new Date();
+            result.validationTime = validationTime.toISOString();
+
+            const anchors = [];
+            for (const iaca of options.trustAnchors || getActiveIACAs()) {
+                try {
+                    anchors.push({
+                        iaca,
+                        cert: window.X509.parseCertificate(
+                            window.X509.pemToDer(iaca.pem),
+                        ),
+                    });
                 } catch (e) {
-                    console.log(
-                        `  ✗ Verification failed with this IACA:`,
+                    console.warn(
+                        `IACA ${iaca.name} could not be parsed:`,
                         e.message,
                     );
-                    result.errors.push(`${iaca.name}: ${e.message}`);
                 }
             }
+            if (anchors.length === 0) {
+                result.errors.push(
+                    "No active IACA certificates available for validation",
+                );
+                return result;
+            }
+
+            console.log(
+                `=== PATH VALIDATION: ${parsedChain.length} x5chain cert(s), ${anchors.length} IACA(s) ===`,
+            );
+
+            // Build the path leaf -> ... -> trust anchor
+            const leaf = parsedChain[0];
+            const path = [leaf];
+            const remaining = parsedChain.slice(1);
+            let anchor = null;
+            const maxDepth = 8;
+            while (!anchor && path.length <= maxDepth) {
+                const current = path[path.length - 1];
+
+                // An IACA included in x5chain terminates the path
+                if (current !== leaf || options.leafMayBeAnchor) {
+                    const included = anchors.find((a) =>
+                        window.X509.bytesEqual(a.cert.der, current.der),
+                    );
+                    if (included) {
+                        path.pop();
+                        anchor = included;
+                        break;
+                    }
+                }
+
+                for (const a of anchors) {
+                    if (!namesChain(current, a.cert)) continue;
+                    if (!keyIdsCompatible(current, a.cert)) continue;
+                    try {
+                        if (
+                            await window.X509.verifyCertificateSignature(
+                                current,
+                                a.cert,
+                            )
+                        ) {
+                            anchor = a;
+                            break;
+                        }
+                    } catch {}
+                }
+                if (anchor) break;
 
-            if (!result.valid) {
+                const nextIdx = remaining.findIndex(
+                    (c) =>
+                        namesChain(current, c) && keyIdsCompatible(current, c),
+                );
+                if (nextIdx === -1) break;
+                path.push(remaining.splice(nextIdx, 1)[0]);
+            }
+
+            if (!anchor) {
+                const last = path[path.length - 1];
+                addCheck(
+                    last,
+                    path.length === 1 ? "leaf" : "intermediate",
+                    "trust anchor",
+                    false,
+                    `no active ${anchorName} issued "${last.issuer.dn}"`,
+                );
                 result.errors.push(
-                    "Issuer certificate is not signed by any active IACA root certificate",
+                    `Issuer certificate is not signed by any active ${anchorName} root certificate`,
                 );
+                return result;
             }
+
+            // Signature and name chaining for every link
+            const full = [...path, anchor.cert];
+            for (let i = 0; i < path.length; i++) {
+                const cert = full[i];
+                const issuer = full[i + 1];
+                const role = i === 0 ? "leaf" : "intermediate";
+                addCheck(
+                    cert,
+                    role,
+                    "issuer name",
+                    namesChain(cert, issuer),
+                    `issuer "${cert.issuer.dn}"`,
+                );
+                addCheck(
+                    cert,
+                    role,
+                    "key identifier",
+                    keyIdsCompatible(cert, issuer),
+                    cert.authorityKeyIdentifier
+                        ? `AKI ${cert.authorityKeyIdentifier}`
+                        : "no AKI",
+                );
+                let sigOk = false;
+                let sigDetail = `signed by ${certLabel(issuer)}`;
+                try {
+                    sigOk = await window.X509.verifyCertificateSignature(
+                        cert,
+                        issuer,
+                    );
+                } catch (e) {
+                    sigDetail = e.message;
+                }
+                addCheck(cert, role, "signature", sigOk, sigDetail);
+            }
+
+            // Per-certificate checks
+            full.forEach((cert, i) => {
+                const role =
+                    i === 0
+                        ? "leaf"
+                        : i === full.length - 1
+                          ? "anchor"
+                          : "intermediate";
+
+                const inValidity =
+                    cert.notBefore &&
+                    cert.notAfter &&
+                    cert.notBefore <= validationTime &&
+                    validationTime <= cert.notAfter;
+                addCheck(
+                    cert,
+                    role,
+                    "validity",
+                    inValidity,
+                    `${cert.notBefore?.toISOString() || "?"} – ${cert.notAfter?.toISOString() || "?"}`,
+                );
+
+                const unknownCritical = cert.extensions
+                    .filter((e) => e.critical && !HANDLED_EXTENSIONS.has(e.oid))
+                    .map((e) => e.oid);
+                addCheck(
+                    cert,
+                    role,
+                    "critical extensions",
+                    unknownCritical.length === 0,
+                    unknownCritical.length
+                        ? `unrecognized: ${unknownCritical.join(", ")}`
+                        : "",
+                );
+
+                const bc = cert.basicConstraints?.parsed;
+                const usages = cert.keyUsage?.parsed?.usages || [];
+                if (role === "leaf") {
+                    addCheck(
+                        cert,
+                        role,
+                        "basicConstraints",
+                        !bc?.cA,
+                        bc?.cA ? "document signer must not be a CA" : "",
+                    );
+                    addCheck(
+                        cert,
+                        role,
+                        "keyUsage",
+                        !!cert.keyUsage && usages.includes("digitalSignature"),
+                        cert.keyUsage
+                            ? usages.join(", ")
+                            : "keyUsage extension missing",
+                    );
+                    const ekus = cert.extKeyUsage?.parsed?.oids || [];
+                    addCheck(
+                        cert,
+                        role,
+                        "extendedKeyUsage",
+                        ekus.includes(leafEku),
+                        ekus.length
+                            ? ekus.join(", ")
+                            : "extKeyUsage extension missing",
+                    );
+                } else {
+                    // Non-self-issued intermediates between this CA and the leaf
+                    const below = full
+                        .slice(1, i)
+                        .filter((c) => !c.selfIssued).length;
+                    addCheck(
+                        cert,
+                        role,
+                        "basicConstraints",
+                        !!bc?.cA && (bc.pathLen == null || below <= bc.pathLen),
+                        !bc
+                            ? "basicConstraints extension missing"
+                            : !bc.cA
+                              ? "cA is false"
+                              : bc.pathLen != null
+                                ? `pathLen ${bc.pathLen}, ${below} intermediate(s) below`
+                                : "",
+                    );
+                    addCheck(
+                        cert,
+                        role,
+                        "keyUsage",
+                        !cert.keyUsage || usages.includes("keyCertSign"),
+                        cert.keyUsage ? usages.join(", ") : "",
+                    );
+                }
+            });
+
+            result.path = full.map((cert, i) => ({
+                role:
+                    i === 0
+                        ? "leaf"
+                        : i === full.length - 1
+                          ? "anchor"
+                          : "intermediate",
+                subject: cert.subject.dn,
+                issuer: cert.issuer.dn,
+                notBefore: cert.notBefore?.toISOString() || null,
+                notAfter: cert.notAfter?.toISOString() || null,
+            }));
+            // Annex B profile findings are informational: they don't fail the path
+            if (window.CertProfile && options.profile !== false) {
+                result.profile = [
+                    window.CertProfile.lintCertificate(leaf, "ds", {
+                        issuer: full[1],
+                    }),
+                    window.CertProfile.lintCertificate(anchor.cert, "iaca"),
+                ].map((lint, i) => ({
+                    certificate: certLabel(i === 0 ? leaf : anchor.cert),
+                    ...lint,
+                }));
+            }
+            result.matchedIACA = {
+                name: anchor.iaca.name,
+                issuer: anchor.iaca.issuer,
+                test: anchor.iaca.test || false,
+                docTypes: anchor.iaca.docTypes || [],
+                countries: anchor.iaca.countries || [],
+                pem: anchor.iaca.pem,
+            };
+            result.chain = ["mDoc Issuer Certificate"];
+            path.slice(1).forEach((cert) =>
+                result.chain.push(
+                    "↓ signed by",
+                    `Intermediate: ${certLabel(cert)}`,
+                ),
+            );
+            result.chain.push(
+                "↓ signed by",
+                `IACA Root: ${anchor.iaca.name}${anchor.iaca.test ? " (TEST)" : ""}`,
+            );
+
+            result.valid = result.checks.every((c) => c.ok);
+            console.log(
+                `${result.valid ? "✅" : "❌"} Path validation with IACA ${anchor.iaca.name}: ${result.checks.filter((c) => !c.ok).length} failed check(s)`,
+            );
         } catch (err) {
             console.error("Issuer certificate validation error:", err);
             result.errors.push(`Validation error: ${err.message}`);
@@ -1894,11 +1478,53 @@
         return result;
     }
 
-    async function verifyCOSESign1SignatureWithChain(coseSign1) {
+    // x5chain (label 33): a single bstr or an array, leaf first
+    function extractX5Chain(coseSign1) {
+        let x5chain = getFieldAnyShared(coseSign1[1] || {}, [33]);
+        if (!x5chain) {
+            const protectedHeader = decodeCborIfBytes(coseSign1[0]);
+            if (protectedHeader && typeof protectedHeader === "object")
+                x5chain = getFieldAnyShared(protectedHeader, [33]);
+        }
+        return x5chain || null;
+    }
+
+    function decodeMsoPayload(coseSign1) {
+        let mso = decodeCborIfBytes(coseSign1[2]);
+        const inner = unwrapTaggedBytes(mso);
+        if (inner) mso = decodeCborIfBytes(inner);
+        return mso;
+    }
+
+    // validityInfo.signed of the MSO carried in a COSE_Sign1 payload
+    function msoSignedTime(coseSign1) {
+        try {
+            const mso = decodeMsoPayload(coseSign1);
+            const validityInfo = getFieldAnyShared(mso, ["validityInfo", 3]);
+            return toDateShared(getFieldAnyShared(validityInfo, ["signed", 0]));
+        } catch {
+            return null;
+        }
+    }
+
+    function msoDocType(coseSign1) {
+        try {
+            return getFieldAnyShared(decodeMsoPayload(coseSign1), [
+                "docType",
+                0,
+            ]);
+        } catch {
+            return null;
+        }
+    }
+
+    async function verifyCOSESign1SignatureWithChain(coseSign1, options = {}) {
         const result = {
             signatureValid: false,
             chainValid: false,
             chainInfo: null,
+            trustPolicy: null,
+            testAnchor: false,
             errors: [],
         };
 
@@ -1914,18 +1540,9 @@
                 Object.prototype.toString.call(unprotectedHeader),
             );
 
-            let issuerCert;
-            if (unprotectedHeader instanceof Map) {
-                console.log("Unprotected header is a Map");
-                issuerCert = unprotectedHeader.get(33);
-                console.log("Issuer cert from Map.get(33):", issuerCert);
-            } else {
-                console.log("Unprotected header is a plain object");
-                issuerCert = unprotectedHeader[33];
-                console.log("Issuer cert from object[33]:", issuerCert);
-            }
+            const x5chain = extractX5Chain(coseSign1);
 
-            if (!issuerCert) {
+            if (!x5chain) {
                 result.errors.push(
                     "No issuer certificate (x5chain) found in signature header",
                 );
@@ -1941,22 +1558,15 @@
                 return result;
             }
 
-            let issuerCertBytes;
-            if (issuerCert instanceof Uint8Array) {
-                issuerCertBytes = issuerCert;
-            } else if (ArrayBuffer.isView(issuerCert)) {
-                issuerCertBytes = new Uint8Array(
-                    issuerCert.buffer,
-                    issuerCert.byteOffset,
-                    issuerCert.byteLength,
-                );
-            } else if (issuerCert instanceof ArrayBuffer) {
-                issuerCertBytes = new Uint8Array(issuerCert);
-            } else {
+            const chainCerts = (
+                Array.isArray(x5chain) ? x5chain : [x5chain]
+            ).map((c) => toUint8Shared(c));
+            const issuerCertBytes = chainCerts[0];
+            if (chainCerts.some((c) => !c)) {
                 result.errors.push("Issuer certificate format not recognized");
                 console.error(
-                    "Issuer certificate is not a Uint8Array or ArrayBuffer:",
-                    typeof issuerCert,
+                    "x5chain entry is not a Uint8Array or ArrayBuffer:",
+                    x5chain,
                 );
                 return result;
             }
@@ -1992,12 +1602,42 @@
             console.log(
                 "Step 3: Validating issuer certificate against IACA roots...",
             );
-            result.chainInfo = await validateCertificateChain(issuerCertBytes);
+            // Certificates must be valid when the MSO was signed
+            const signedAt = msoSignedTime(coseSign1);
+            result.chainInfo = await validateCertificateChain(chainCerts, {
+                validationTime: signedAt || new Date(),
+                trustAnchors: options.trustAnchors,
+            });
             result.chainValid = result.chainInfo.valid;
 
             if (!result.chainValid) {
                 result.errors.push(...result.chainInfo.errors);
             }
+
+            // The anchor must also be trusted for this docType and country
+            const anchor = result.chainInfo.matchedIACA;
+            if (anchor && window.IacaManager?.evaluateTrustPolicy) {
+                console.log("Step 4: Applying IACA trust policy...");
+                let country = null;
+                try {
+                    country =
+                        window.X509.parseCertificate(
+                            issuerCertBytes,
+                        ).subject.get("C");
+                } catch {}
+                result.trustPolicy = window.IacaManager.evaluateTrustPolicy(
+                    anchor,
+                    {
+                        docType: msoDocType(coseSign1) || options.docType,
+                        country,
+                    },
+                );
+                result.testAnchor = result.trustPolicy.test;
+                if (!result.trustPolicy.allowed) {
+                    result.chainValid = false;
+                    result.errors.push(...result.trustPolicy.errors);
+                }
+            }
         } catch (err) {
             console.error("Signature verification with chain error:", err);
             result.errors.push(`Verification error: ${err.message}`);
@@ -2737,7 +2377,7 @@
         return v;
     }
 
-    function extractDeviceKeyFromMso(mso) {
+    function extractDeviceKeyInfoFromMso(mso) {
         if (!mso) return null;
         let msoObj = mso;
         const tagged = unwrapTaggedBytes(msoObj);
@@ -2748,6 +2388,11 @@
             const dkTagged = unwrapTaggedBytes(deviceKeyInfo);
             if (dkTagged) deviceKeyInfo = decodeCborIfBytes(dkTagged);
         }
+        return deviceKeyInfo || null;
+    }
+
+    function extractDeviceKeyFromMso(mso) {
+        const deviceKeyInfo = extractDeviceKeyInfoFromMso(mso);
         if (!deviceKeyInfo) return null;
         let deviceKey = getFieldAnyShared(deviceKeyInfo, ["deviceKey", 1]);
         if (deviceKey) {
@@ -2757,9 +2402,118 @@
         return deviceKey || null;
     }
 
+    // KeyAuthorizations = { ? "nameSpaces": [+ NameSpace],
+    //   ? "dataElements": { + NameSpace => [+ DataElementIdentifier] } }
+    function extractKeyAuthorizationsFromMso(mso) {
+        const deviceKeyInfo = extractDeviceKeyInfoFromMso(mso);
+        const authz = deviceKeyInfo
+            ? getFieldAnyShared(deviceKeyInfo, ["keyAuthorizations", 2])
+            : null;
+        if (!authz) return null;
+        const nameSpaces = getFieldAnyShared(authz, ["nameSpaces", 0]);
+        const dataElementsRaw = getFieldAnyShared(authz, ["dataElements", 1]);
+        const dataElements = {};
+        if (dataElementsRaw) {
+            const entries =
+                dataElementsRaw instanceof Map
+                    ? Array.from(dataElementsRaw.entries())
+                    : Object.entries(dataElementsRaw);
+            for (const [ns, ids] of entries)
+                dataElements[ns] = Array.isArray(ids) ? ids.map(String) : [];
+        }
+        return {
+            nameSpaces: Array.isArray(nameSpaces) ? nameSpaces.map(String) : [],
+            dataElements,
+        };
+    }
+
+    // DeviceNameSpaces = { * NameSpace => { + DataElementIdentifier => DataElementValue } }
+    function extractDeviceSignedItems(doc) {
+        const raw = doc?.deviceSigned?.raw;
+        const rawBytes = unwrapTaggedBytes(raw) || toUint8Shared(raw);
+        const ds = rawBytes ? decodeCborIfBytes(rawBytes) : raw;
+        if (!ds || typeof ds !== "object") return [];
+        let nameSpaces = getFieldAnyShared(ds, ["nameSpaces", 1]);
+        const nsBytes =
+            unwrapTaggedBytes(nameSpaces) || toUint8Shared(nameSpaces);
+        if (nsBytes) nameSpaces = decodeCborIfBytes(nsBytes);
+        if (!nameSpaces || typeof nameSpaces !== "object") return [];
+        const entriesOf = (v) =>
+            v instanceof Map ? Array.from(v.entries()) : Object.entries(v);
+        const items = [];
+        for (const [nameSpace, elements] of entriesOf(nameSpaces)) {
+            if (!elements || typeof elements !== "object") continue;
+            for (const [elementIdentifier, elementValue] of entriesOf(elements))
+                items.push({
+                    nameSpace: String(nameSpace),
+                    elementIdentifier: String(elementIdentifier),
+                    elementValue,
+                });
+        }
+        return items;
+    }
+
+    // Every device-signed element must be covered by the MSO keyAuthorizations
+    // (ISO 18013-5 9.1.2.4); without them the device may sign nothing.
+    function verifyDeviceSignedAuthorizations(doc) {
+        const result = {
+            valid: true,
+            items: [],
+            unauthorized: 0,
+            keyAuthorizations: null,
+            errors: [],
+        };
+        try {
+            const items = extractDeviceSignedItems(doc);
+            if (!items.length) return result;
+            const authz = extractKeyAuthorizationsFromMso(
+                doc?.signature?.msoDecoded,
+            );
+            result.keyAuthorizations = authz;
+            for (const item of items) {
+                const authorized =
+                    !!authz &&
+                    (authz.nameSpaces.includes(item.nameSpace) ||
+                        (authz.dataElements[item.nameSpace] || []).includes(
+                            item.elementIdentifier,
+                        ));
+                result.items.push({
+                    nameSpace: item.nameSpace,
+                    elementIdentifier: item.elementIdentifier,
+                    authorized,
+                });
+                if (!authorized) {
+                    result.unauthorized++;
+                    result.errors.push(
+                        `Device-signed element ${item.nameSpace}/${item.elementIdentifier} is not authorized by MSO keyAuthorizations`,
+                    );
+                }
+            }
+            result.valid = result.unauthorized === 0;
+        } catch (e) {
+            result.valid = false;
+            result.errors.push(
+                `DeviceSigned name spaces could not be checked: ${e.message}`,
+            );
+        }
+        return result;
+    }
+
     function coseKeyToNoblePublicKey(coseKey) {
         if (!coseKey) throw new Error("Missing device public key");
         const x = toUint8Shared(getFieldAnyShared(coseKey, [-2, "x", "-2"]));
+        const kty = getFieldAnyShared(coseKey, [1, "kty", "1"]);
+        if (kty === 1 || kty === "1" || kty === "OKP") {
+            // OKP: x is the whole public key (RFC 8037 / RFC 9053 7.2)
+            const crv = getFieldAnyShared(coseKey, [-1, "crv", "-1"]);
+            const crvNum = typeof crv === "number" ? crv : parseInt(crv, 10);
+            let nobleCurveName;
+            if (crvNum === 6) nobleCurveName = "ed25519";
+            else if (crvNum === 7) nobleCurveName = "ed448";
+            else throw new Error(`Unsupported OKP COSE_Key curve: ${crv}`);
+            if (!x) throw new Error("Device public key missing x");
+            return { type: "noble", kty: "OKP", nobleCurveName, key: x };
+        }
         const y = toUint8Shared(getFieldAnyShared(coseKey, [-3, "y", "-3"]));
         if (!x || !y)
             throw new Error("Device public key missing x/y coordinates");
@@ -2781,7 +2535,158 @@
         return { type: "noble", nobleCurveName, key };
     }
 
-    async function verifyHolderAuthentication(doc) {
+    // DeviceAuthenticationBytes = #6.24(bstr .cbor ["DeviceAuthentication",
+    // SessionTranscript, DocType, DeviceNameSpacesBytes]), rebuilt from the
+    // local SessionTranscript since the wallet sends a detached payload.
+    function buildDeviceAuthenticationBytes(doc, mso) {
+        const cb = getCBOR();
+        const raw = doc?.deviceSigned?.raw;
+        const rawBytes = unwrapTaggedBytes(raw) || toUint8Shared(raw);
+        const rawDecoded = rawBytes ? decodeCborIfBytes(rawBytes) : raw;
+        const ds =
+            rawDecoded && typeof rawDecoded === "object" ? rawDecoded : null;
+        const nameSpacesRaw = ds
+            ? getFieldAnyShared(ds, ["nameSpaces", 1])
+            : null;
+        const nsRawBytes =
+            unwrapTaggedBytes(nameSpacesRaw) || toUint8Shared(nameSpacesRaw);
+        const localTranscript = toUint8Shared(
+            window.sessionDebug?.sessionTranscript,
+        );
+        const stDecodedManual = localTranscript
+            ? decodeCborIfBytes(localTranscript)
+            : null;
+        const docType = doc?.docType || mso?.docType || null;
+
+        if (!cb || !docType || !stDecodedManual || !nsRawBytes) {
+            throw new Error("DeviceAuth payload missing or invalid");
+        }
+
+        // An ArrayBuffer, so cbor-web writes a plain bstr (not tag 64) even
+        // when the name spaces did not come straight from the decoder
+        const nsBstr = new Uint8Array(nsRawBytes).buffer;
+        const nsTagged = cb.Tagged
+            ? new cb.Tagged(24, nsBstr)
+            : { tag: 24, value: nsBstr };
+        const deviceAuthArray = [
+            "DeviceAuthentication",
+            stDecodedManual,
+            docType,
+            nsTagged,
+        ];
+        const encodedDeviceAuth = cb.encode(deviceAuthArray);
+        const taggedDeviceAuth = cb.Tagged
+            ? new cb.Tagged(24, encodedDeviceAuth)
+            : { tag: 24, value: encodedDeviceAuth };
+        return typeof cb.encodeCanonical === "function"
+            ? cb.encodeCanonical(taggedDeviceAuth)
+            : cb.encode(taggedDeviceAuth);
+    }
+
+    // Normalize a COSE structure decoded as array, Map{0..3} or bytes
+    function coseArrayFromAny(v) {
+        let cur = v;
+        if (Array.isArray(cur)) return cur;
+        const curBytes = unwrapTaggedBytes(cur) || toUint8Shared(cur);
+        if (curBytes) {
+            const dec = decodeCborIfBytes(curBytes);
+            if (Array.isArray(dec)) return dec;
+        }
+        if (cur && typeof cur === "object") {
+            const items = [0, 1, 2, 3].map((i) =>
+                cur instanceof Map ? cur.get(i) : cur[i],
+            );
+            if (items.every((it) => it !== undefined)) return items;
+        }
+        return null;
+    }
+
+    // deviceMac: COSE_Mac0 (HMAC 256/256) keyed with EMacKey =
+    // HKDF(ECDH(EReaderKey.priv, EDeviceKey), SHA-256(SessionTranscriptBytes), "EMacKey").
+    // deriveEMacKey comes from the session that holds EReaderKey
+    // (SessionCrypto.eMacKeyDeriver), so the private key never reaches here.
+    async function verifyDeviceMac(
+        doc,
+        mso,
+        deviceKey,
+        deviceMac,
+        deriveEMacKey,
+    ) {
+        const cb = getCBOR();
+        const mac0 = coseArrayFromAny(deviceMac);
+        if (!mac0 || mac0.length < 4)
+            throw new Error("DeviceMac COSE_Mac0 missing or malformed");
+        if (!window.SessionCrypto)
+            throw new Error("SessionCrypto not available");
+
+        const protectedBytes = toUint8Shared(mac0[0]) || new Uint8Array(0);
+        const protectedHeader =
+            protectedBytes.length > 0
+                ? decodeCborIfBytes(protectedBytes)
+                : null;
+        const alg = getFieldAnyShared(protectedHeader, [1]);
+        if (alg !== 5)
+            throw new Error(
+                `Unsupported deviceMac algorithm: ${alg} (expected 5, HMAC 256/256)`,
+            );
+        const tag = toUint8Shared(mac0[3]);
+        if (!tag) throw new Error("DeviceMac tag missing");
+
+        if (typeof deriveEMacKey !== "function")
+            throw new Error(
+                "Reader ephemeral key unavailable; cannot derive EMacKey",
+            );
+        const x = toUint8Shared(getFieldAnyShared(deviceKey, [-2, "x", "-2"]));
+        const y = toUint8Shared(getFieldAnyShared(deviceKey, [-3, "y", "-3"]));
+        const crv = getFieldAnyShared(deviceKey, [-1, "crv", "-1"]);
+        if (!x) throw new Error("Device public key missing x coordinate");
+
+        let transcriptBytes = toUint8Shared(
+            window.sessionDebug?.sessionTranscriptWrapped,
+        );
+        if (!transcriptBytes) {
+            const st = toUint8Shared(window.sessionDebug?.sessionTranscript);
+            if (!st)
+                throw new Error("SessionTranscript unavailable for EMacKey");
+            transcriptBytes = window.SessionCrypto.encodeTag24ByteString(st);
+        }
+
+        // SDeviceKey must be on the EReaderKey curve for ECDH
+        const eMacKey = await deriveEMacKey({ x, y, crv }, transcriptBytes);
+
+        let payload = toUint8Shared(mac0[2]);
+        if (!payload || payload.length === 0)
+            payload = buildDeviceAuthenticationBytes(doc, mso);
+
+        // MAC_structure = ["MAC0", protected, external_aad, payload]; cbor-web
+        // encodes a Uint8Array with tag 64, an ArrayBuffer as a plain bstr
+        const bstr = (bytes) => new Uint8Array(bytes).buffer;
+        const macStructure = cb.encode([
+            "MAC0",
+            bstr(protectedBytes),
+            new ArrayBuffer(0),
+            bstr(payload),
+        ]);
+        const hmacKey = await crypto.subtle.importKey(
+            "raw",
+            eMacKey,
+            { name: "HMAC", hash: "SHA-256" },
+            false,
+            ["sign"],
+        );
+        const expected = new Uint8Array(
+            await crypto.subtle.sign("HMAC", hmacKey, macStructure),
+        );
+        if (window.DEBUG_VERBOSE)
+            console.log("[mdocAuth] DeviceMac", {
+                received: window.SessionCrypto.hex(tag),
+                expected: window.SessionCrypto.hex(expected),
+            });
+        return bytesEqualStrict(expected, tag);
+    }
+
+    // options.deriveEMacKey: needed for deviceMac, see verifyDeviceMac
+    async function verifyHolderAuthentication(doc, options = {}) {
         const result = {
             valid: false,
             errors: [],
@@ -2814,25 +2719,35 @@
                     (typeof rawDeviceAuth === "object" &&
                         rawDeviceAuth.deviceMac));
             if (hasMac) {
-                console.log(
-                    "[mdocAuth] ℹ️ Wallet is using MAC authentication (deviceMac), not signature-based authentication",
-                );
-                console.log(
-                    "[mdocAuth] MAC authentication is a valid ISO 18013-5 authentication method",
-                );
-                console.log(
-                    "[mdocAuth] Skipping DeviceAuth signature verification (MAC cannot be verified by reader)",
+                result.authMethod = "MAC";
+                const mso = doc?.signature?.msoDecoded || null;
+                const deviceKey = extractDeviceKeyFromMso(mso);
+                if (!deviceKey)
+                    throw new Error("MSO.deviceKeyInfo.deviceKey missing");
+                const deviceMac =
+                    rawDeviceAuth instanceof Map
+                        ? rawDeviceAuth.get("deviceMac")
+                        : rawDeviceAuth.deviceMac;
+                const macOk = await verifyDeviceMac(
+                    doc,
+                    mso,
+                    deviceKey,
+                    deviceMac,
+                    options.deriveEMacKey,
                 );
-                if (typeof window.log === "function") {
-                    window.log(
-                        "✓ Wallet using MAC authentication (valid ISO 18013-5 method)",
+                result.deviceAuthValid = macOk;
+                if (!macOk)
+                    throw new Error(
+                        "DeviceMac verification failed (HMAC tag mismatch)",
                     );
-                }
-                result.deviceAuthValid = true;
+                // EMacKey and DeviceAuthenticationBytes both bind our transcript
+                result.sessionTranscriptMatched = true;
                 result.valid = true;
-                result.authMethod = "MAC";
+                if (window.DEBUG_VERBOSE)
+                    console.log("[mdocAuth] DeviceMac HMAC OK");
                 return result;
             }
+            result.authMethod = "Signature";
 
             const mso = doc?.signature?.msoDecoded || null;
             const deviceKey = extractDeviceKeyFromMso(mso);
@@ -2940,52 +2855,15 @@
             let deviceAuthPayloadBytes = payloadBytesAttached;
 
             if (!payloadBytesAttached || payloadBytesAttached.length === 0) {
-                const raw = doc?.deviceSigned?.raw;
-                const rawBytes = unwrapTaggedBytes(raw) || toUint8Shared(raw);
-                const rawDecoded = rawBytes ? decodeCborIfBytes(rawBytes) : raw;
-                const ds =
-                    rawDecoded && typeof rawDecoded === "object"
-                        ? rawDecoded
-                        : null;
-                const nameSpacesRaw = ds
-                    ? getFieldAnyShared(ds, ["nameSpaces", 1])
-                    : null;
-                const nsRawBytes =
-                    unwrapTaggedBytes(nameSpacesRaw) ||
-                    toUint8Shared(nameSpacesRaw);
-                const localTranscript = toUint8Shared(
-                    window.sessionDebug?.sessionTranscript,
+                deviceAuthPayloadBytes = buildDeviceAuthenticationBytes(
+                    doc,
+                    mso,
                 );
-                const stDecodedManual = localTranscript
-                    ? decodeCborIfBytes(localTranscript)
-                    : null;
-                const docType = doc?.docType || mso?.docType || null;
-
-                if (!cb || !docType || !stDecodedManual || !nsRawBytes) {
-                    throw new Error("DeviceAuth payload missing or invalid");
-                }
-
-                const nsTagged = cb.Tagged
-                    ? new cb.Tagged(24, nsRawBytes)
-                    : { tag: 24, value: nsRawBytes };
-                const deviceAuthArray = [
-                    "DeviceAuthentication",
-                    stDecodedManual,
-                    docType,
-                    nsTagged,
-                ];
-                const encodedDeviceAuth = cb.encode(deviceAuthArray);
-                const taggedDeviceAuth = cb.Tagged
-                    ? new cb.Tagged(24, encodedDeviceAuth)
-                    : { tag: 24, value: encodedDeviceAuth };
-                deviceAuthPayloadBytes =
-                    typeof cb.encodeCanonical === "function"
-                        ? cb.encodeCanonical(taggedDeviceAuth)
-                        : cb.encode(taggedDeviceAuth);
             }
 
             let signatureToVerify = deviceAuthCose[3];
-            if (deviceAuthCose[3][0] === 0x30) {
+            // EdDSA signatures are raw and may start with 0x30 by chance
+            if (publicKey.kty !== "OKP" && deviceAuthCose[3][0] === 0x30) {
                 signatureToVerify = derSignatureToRaw(deviceAuthCose[3], 64);
                 if (signatureToVerify[0] === 0x30) {
                     signatureToVerify = derSignatureToRaw(
@@ -3096,7 +2974,243 @@
         return result;
     }
 
-    async function verifyCredentialSignature(doc) {
+    // ===== MSO validityInfo =====
+    const CLOCK_SKEW_STORAGE_KEY = "mdoc_clock_skew_seconds";
+    const DEFAULT_CLOCK_SKEW_SECONDS = 300;
+
+    function getClockSkewSeconds() {
+        try {
+            const stored = localStorage.getItem(CLOCK_SKEW_STORAGE_KEY);
+            const n = stored == null ? NaN : parseInt(stored, 10);
+            if (Number.isFinite(n) && n >= 0) return n;
+        } catch {}
+        return DEFAULT_CLOCK_SKEW_SECONDS;
+    }
+
+    function setClockSkewSeconds(seconds) {
+        const n = parseInt(seconds, 10);
+        if (!Number.isFinite(n) || n < 0)
+            throw new Error("Clock skew must be a non-negative number");
+        try {
+            localStorage.setItem(CLOCK_SKEW_STORAGE_KEY, String(n));
+        } catch {}
+        return n;
+    }
+
+    // tdate (tag 0), epoch (tag 1), Date or ISO string -> Date | null
+    function toDateShared(v) {
+        try {
+            if (v == null) return null;
+            if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+            if (typeof v === "object" && "tag" in v && "value" in v) {
+                if (v.tag === 1) return toDateShared(Number(v.value) * 1000);
+                return toDateShared(v.value);
+            }
+            const d = new Date(v);
+            return isNaN(d.getTime()) ? null : d;
+        } catch {
+            return null;
+        }
+    }
+
+    // Checks MSO validityInfo against the current time (ISO 18013-5 9.1.2.4).
+    // expectedUpdate is advisory: a passed date is reported as a warning only.
+    function verifyMsoValidity(mso, options = {}) {
+        const skewSeconds =
+            options.clockSkewSeconds != null
+                ? options.clockSkewSeconds
+                : getClockSkewSeconds();
+        const now = options.now instanceof Date ? options.now : new Date();
+        const result = {
+            valid: false,
+            signed: null,
+            validFrom: null,
+            validUntil: null,
+            expectedUpdate: null,
+            checkedAt: now.toISOString(),
+            clockSkewSeconds: skewSeconds,
+            errors: [],
+            warnings: [],
+        };
+
+        let msoObj = mso;
+        const tagged = unwrapTaggedBytes(msoObj);
+        if (tagged) msoObj = decodeCborIfBytes(tagged);
+        const validityInfo = getFieldAnyShared(msoObj, ["validityInfo", 3]);
+        if (!validityInfo) {
+            result.errors.push("MSO validityInfo missing");
+            return result;
+        }
+
+        const signed = toDateShared(
+            getFieldAnyShared(validityInfo, ["signed", 0]),
+        );
+        const validFrom = toDateShared(
+            getFieldAnyShared(validityInfo, ["validFrom", 1]),
+        );
+        const validUntil = toDateShared(
+            getFieldAnyShared(validityInfo, ["validUntil", 2]),
+        );
+        const expectedUpdate = toDateShared(
+            getFieldAnyShared(validityInfo, ["expectedUpdate", 3]),
+        );
+        result.signed = signed ? signed.toISOString() : null;
+        result.validFrom = validFrom ? validFrom.toISOString() : null;
+        result.validUntil = validUntil ? validUntil.toISOString() : null;
+        result.expectedUpdate = expectedUpdate
+            ? expectedUpdate.toISOString()
+            : null;
+
+        const skewMs = skewSeconds * 1000;
+        const t = now.getTime();
+        if (!signed || !validFrom || !validUntil) {
+            result.errors.push(
+                "MSO validityInfo incomplete (signed, validFrom and validUntil are required)",
+            );
+            return result;
+        }
+        if (signed.getTime() > t + skewMs)
+            result.errors.push(`MSO signed in the future (${result.signed})`);
+        if (validFrom.getTime() < signed.getTime())
+            result.errors.push("MSO validFrom is before signed");
+        if (validUntil.getTime() <= validFrom.getTime())
+            result.errors.push("MSO validUntil is not after validFrom");
+        if (validFrom.getTime() > t + skewMs)
+            result.errors.push(
+                `MSO not yet valid (validFrom ${result.validFrom})`,
+            );
+        if (validUntil.getTime() < t - skewMs)
+            result.errors.push(`MSO expired (validUntil ${result.validUntil})`);
+        if (expectedUpdate && expectedUpdate.getTime() < t - skewMs)
+            result.warnings.push(
+                `MSO expectedUpdate passed (${result.expectedUpdate}); a newer MSO should be available`,
+            );
+
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    // ===== Issuer data vs certificate consistency =====
+    function findDataElement(doc, elementIdentifier) {
+        const nsObj = doc?.issuerSigned?.nameSpaces || {};
+        for (const items of Object.values(nsObj)) {
+            if (!Array.isArray(items)) continue;
+            const entry = items.find(
+                (e) => e?.elementIdentifier === elementIdentifier,
+            );
+            if (entry && entry.text != null && entry.text !== "")
+                return String(entry.text).trim();
+        }
+        return null;
+    }
+
+    // ISO 18013-5 7.2.1: issuing_country must equal countryName of the DS and
+    // IACA certificates, issuing_jurisdiction the DS stateOrProvinceName.
+    // issuing_authority has no normative binding and only yields warnings.
+    function verifyIssuerConsistency(doc, chainInfo) {
+        const result = {
+            checked: 0,
+            consistent: true,
+            findings: [],
+            errors: [],
+        };
+        const addFinding = (severity, element, certificate, message) => {
+            result.findings.push({ severity, element, certificate, message });
+            if (severity === "error") result.errors.push(message);
+        };
+        const same = (a, b) =>
+            String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+        try {
+            const x5chain = extractX5Chain(doc?.signature?.coseSign1 || []);
+            const leafDer = toUint8Shared(
+                Array.isArray(x5chain) ? x5chain[0] : x5chain,
+            );
+            if (!leafDer || !window.X509) return result;
+            const ds = window.X509.parseCertificate(leafDer);
+            let iaca = null;
+            if (chainInfo?.matchedIACA?.pem) {
+                try {
+                    iaca = window.X509.parseCertificate(
+                        window.X509.pemToDer(chainInfo.matchedIACA.pem),
+                    );
+                } catch {}
+            }
+
+            const country = findDataElement(doc, "issuing_country");
+            if (country) {
+                for (const [label, cert] of [
+                    ["DS", ds],
+                    ["IACA", iaca],
+                ]) {
+                    if (!cert) continue;
+                    result.checked++;
+                    const certCountry = cert.subject.get("C");
+                    if (!certCountry || !same(certCountry, country))
+                        addFinding(
+                            "error",
+                            "issuing_country",
+                            label,
+                            `issuing_country ${country} does not match ${label} countryName ${certCountry || "(none)"}`,
+                        );
+                }
+            }
+
+            const jurisdiction = findDataElement(doc, "issuing_jurisdiction");
+            const dsState = ds.subject.get("ST");
+            if (jurisdiction) {
+                result.checked++;
+                if (!dsState)
+                    addFinding(
+                        "warning",
+                        "issuing_jurisdiction",
+                        "DS",
+                        `issuing_jurisdiction ${jurisdiction} present but DS has no stateOrProvinceName`,
+                    );
+                else if (!same(dsState, jurisdiction))
+                    addFinding(
+                        "error",
+                        "issuing_jurisdiction",
+                        "DS",
+                        `issuing_jurisdiction ${jurisdiction} does not match DS stateOrProvinceName ${dsState}`,
+                    );
+            }
+
+            const authority = findDataElement(doc, "issuing_authority");
+            if (authority) {
+                result.checked++;
+                const names = [ds, iaca]
+                    .filter(Boolean)
+                    .flatMap((c) => [c.subject.get("O"), c.subject.get("CN")])
+                    .filter(Boolean);
+                const matches = names.some(
+                    (n) =>
+                        same(n, authority) ||
+                        n.toLowerCase().includes(authority.toLowerCase()) ||
+                        authority.toLowerCase().includes(n.toLowerCase()),
+                );
+                if (!matches)
+                    addFinding(
+                        "warning",
+                        "issuing_authority",
+                        "DS",
+                        `issuing_authority "${authority}" does not appear in the DS/IACA organizationName or commonName`,
+                    );
+            }
+        } catch (e) {
+            addFinding(
+                "error",
+                null,
+                null,
+                `Issuer consistency check failed: ${e.message}`,
+            );
+        }
+        result.consistent = result.errors.length === 0;
+        return result;
+    }
+
+    // options.trustAnchors: see validateCertificateChain
+    // options.deriveEMacKey: see verifyDeviceMac
+    async function verifyCredentialSignature(doc, options = {}) {
         if (!doc || !doc.signature || !doc.signature.coseSign1) {
             return {
                 signatureValid: false,
@@ -3117,10 +3231,26 @@
         log("🔏 Checking issuer signature…");
         const res = await verifyCOSESign1SignatureWithChain(
             doc.signature.coseSign1,
+            { trustAnchors: options.trustAnchors },
         );
         if (res.signatureValid) log("✅ Issuer signature valid");
         else log("❌ Issuer signature invalid");
 
+        log("🏛️ Checking issuer data against certificates…");
+        const issuerConsistency = verifyIssuerConsistency(doc, res.chainInfo);
+        if (!issuerConsistency.checked)
+            log("ℹ️ No issuing_country/jurisdiction/authority to compare");
+        else if (issuerConsistency.consistent)
+            log("✅ Issuer data matches certificates");
+        else log("❌ Issuer data does not match certificates");
+        issuerConsistency.findings
+            .filter((f) => f.severity === "warning")
+            .forEach((f) => log(`⚠️ ${f.message}`));
+        res.issuerConsistency = issuerConsistency;
+        res.issuerConsistencyValid = issuerConsistency.consistent;
+        if (!issuerConsistency.consistent)
+            res.errors.push(...issuerConsistency.errors);
+
         log("🧾 Checking document integrity…");
         const claims = await verifyIssuerSignedValueDigests(
             doc,
@@ -3129,13 +3259,39 @@
         if (claims.allMatched) log("✅ Document integrity OK");
         else if (claims.checked > 0) log("❌ Document integrity failed");
 
+        log("📅 Checking MSO validity period…");
+        const validity = verifyMsoValidity(doc.signature.msoDecoded);
+        if (validity.valid) log("✅ MSO validity period OK");
+        else log("❌ MSO validity check failed");
+        validity.warnings.forEach((w) => log(`⚠️ ${w}`));
+
         log("🔐 Checking device authentication…");
-        const holder = await verifyHolderAuthentication(doc);
+        const holder = await verifyHolderAuthentication(doc, {
+            deriveEMacKey: options.deriveEMacKey,
+        });
         if (holder.valid) log("✅ Device authentication OK");
         else log("❌ Device authentication failed");
+        const deviceSigned = verifyDeviceSignedAuthorizations(doc);
+        if (deviceSigned.items.length) {
+            log("🔑 Checking device-signed element authorizations…");
+            if (deviceSigned.valid)
+                log(
+                    `✅ ${deviceSigned.items.length} device-signed element(s) authorized`,
+                );
+            else
+                log(
+                    `❌ ${deviceSigned.unauthorized} device-signed element(s) not authorized`,
+                );
+        }
         res.mdocAuthValid = holder.valid;
         res.mdocAuth = holder;
+        res.deviceSigned = deviceSigned;
+        res.deviceSignedValid = deviceSigned.valid;
+        if (!deviceSigned.valid) res.errors.push(...deviceSigned.errors);
         res.claims = claims;
+        res.validity = validity;
+        res.validityValid = validity.valid;
+        if (!validity.valid) res.errors.push(...validity.errors);
         if (claims.checked > 0 && !claims.allMatched) {
             res.errors.push("MSO valueDigests mismatch");
         }
@@ -3170,8 +3326,15 @@
         unwrapTaggedBytes,
         decodeCborIfBytes,
         extractDeviceKeyFromMso,
+        extractKeyAuthorizationsFromMso,
+        extractDeviceSignedItems,
+        verifyDeviceSignedAuthorizations,
         coseKeyToNoblePublicKey,
         verifyHolderAuthentication,
+        verifyMsoValidity,
+        verifyIssuerConsistency,
+        getClockSkewSeconds,
+        setClockSkewSeconds,
         verifyCredentialSignature,
     };
 
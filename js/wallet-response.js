@@ -1590,6 +1590,9 @@
                             const signedAt = validityInfo
                                 ? mget(validityInfo, ["signed", 0])
                                 : null;
+                            const expectedUpdate = validityInfo
+                                ? mget(validityInfo, ["expectedUpdate", 3])
+                                : null;
                             const digestAlgorithm = mget(mso, [
                                 "digestAlgorithm",
                                 2,
@@ -1600,6 +1603,7 @@
                                 signed: toISO(signedAt),
                                 validFrom: toISO(vf),
                                 validUntil: toISO(vu),
+                                expectedUpdate: toISO(expectedUpdate),
                                 digestAlgorithm: digestAlgorithm || null,
                             };
                         } catch (_) {}
@@ -1675,8 +1679,38 @@
                     }
                     if (Array.isArray(cur)) deviceAuthCose = cur;
                 }
+                // DeviceNameSpaces: elements signed by the device key only
+                const deviceNameSpaces = {};
+                const deviceNs = unwrapTaggedOrCbor(
+                    getFieldAny(deviceSigned, ["nameSpaces", 1]),
+                );
+                if (deviceNs && typeof deviceNs === "object") {
+                    const nsEntries =
+                        deviceNs instanceof Map
+                            ? Array.from(deviceNs.entries())
+                            : Object.entries(deviceNs);
+                    for (const [nsName, elements] of nsEntries) {
+                        const elems = unwrapTaggedOrCbor(elements);
+                        if (!elems || typeof elems !== "object") continue;
+                        const elemEntries =
+                            elems instanceof Map
+                                ? Array.from(elems.entries())
+                                : Object.entries(elems);
+                        deviceNameSpaces[nsName] = elemEntries.map(
+                            ([elementIdentifier, elementValue]) => {
+                                const entry = valueToEntry(
+                                    elementIdentifier,
+                                    elementValue,
+                                );
+                                entry.deviceSigned = true;
+                                return entry;
+                            },
+                        );
+                    }
+                }
                 docModel.deviceSigned = {
                     deviceAuth: deviceAuthCose,
+                    nameSpaces: deviceNameSpaces,
                     raw: deviceSignedRaw,
                 };
             }
@@ -1711,10 +1745,14 @@
         return CBOR.decode(plaintext);
     }
 
-    // Decrypt SessionEstablishment.data (raw AES-GCM) → DeviceResponse object
-    async function decryptSessionEstablishmentDataToObject(encryptedData) {
+    // Decrypt SessionEstablishment/SessionData.data (raw AES-GCM) → DeviceResponse object
+    // counter is the mdoc's message counter: 1 for its first message on the
+    // session, incremented for every further SessionData it sends
+    async function decryptSessionEstablishmentDataToObject(
+        encryptedData,
+        counter = 1,
+    ) {
         const mdocIdentifier = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1]);
-        const counter = 1;
         const iv = new Uint8Array(12);
         iv.set(mdocIdentifier, 0);
         new DataView(iv.buffer, 8, 4).setUint32(0, counter, false);
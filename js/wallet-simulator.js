@@ -0,0 +1,917 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Software mdoc wallet for offline end-to-end tests, driven through a
+  loopback transport (js/transport.js)
+     Exposes window.WalletSimulator with:
+      MISBEHAVIOURS
+      createIssuer({ country, authority })   throwaway IACA + Document Signer
+      exportIssuer(issuer) / importIssuer(saved)
+      installTrustAnchor(issuer)             adds the IACA as a test anchor
+      removeTrustAnchor(issuer)              removes it again (issuer rotation)
+      defaultCredentials(issuer)             test mDL and EU PID
+      create({ issuer, credentials, deviceAuth, misbehaviours, crv,
+               engagement, logger })
+     create() resolves { qrPayload, ndefMessage, deBytes, ident, issuer, peer };
+     register peer with Transport.setLoopbackPeer() and scan qrPayload, or
+     with engagement "nfc" read ndefMessage (NFC static handover).
+     deviceAuth is "signature" (default) or "mac".
+*/
+
+(function () {
+    function getCBOR() {
+        return window.CBOR || self.CBOR || self.cbor;
+    }
+    const enc = new TextEncoder();
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const MISBEHAVIOURS = {
+        wrongDigest:
+            "Alters a disclosed element after signing, so its digest no longer matches the MSO",
+        expiredMso: "Signs an MSO whose validity period ended 30 days ago",
+        extraElement:
+            "Discloses an unrequested element that the MSO does not cover",
+        badTranscript:
+            "Authenticates the device over a SessionTranscript with the wrong Handover",
+        sessionError:
+            "Answers the request with SessionData status 10 instead of a response",
+        endSession: "Sends status 20 with the response, ending the session",
+    };
+
+    const concat = (...arrs) => window.SessionCrypto.concatUint8(...arrs);
+    const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+    // cbor-web encodes a bare Uint8Array with tag 64; an ArrayBuffer is a plain bstr
+    const bstr = (bytes) => new Uint8Array(bytes).buffer;
+    const getField = (obj, key) =>
+        obj instanceof Map ? obj.get(key) : obj?.[key];
+    const entriesOf = (obj) =>
+        obj instanceof Map ? [...obj.entries()] : Object.entries(obj || {});
+
+    function toBase64(bytes) {
+        let s = "";
+        for (const b of bytes) s += String.fromCharCode(b);
+        return btoa(s);
+    }
+    function fromBase64(b64) {
+        const raw = atob(b64);
+        const out = new Uint8Array(raw.length);
+        for (let i = 0; i < raw.length; i++) out[i] = raw.charCodeAt(i);
+        return out;
+    }
+    function derToPem(der) {
+        const lines = toBase64(der)
+            .match(/.{1,64}/g)
+            .join("\n");
+        return `-----BEGIN CERTIFICATE-----\n${lines}\n-----END CERTIFICATE-----`;
+    }
+
+    // ==== Minimal DER writer for the simulator's certificates ====
+    const OID = {
+        C: "2.5.4.6",
+        O: "2.5.4.10",
+        CN: "2.5.4.3",
+        ecdsaWithSHA256: "1.2.840.10045.4.3.2",
+        basicConstraints: "2.5.29.19",
+        keyUsage: "2.5.29.15",
+        extKeyUsage: "2.5.29.37",
+        subjectKeyIdentifier: "2.5.29.14",
+        authorityKeyIdentifier: "2.5.29.35",
+        issuerAltName: "2.5.29.18",
+        crlDistributionPoints: "2.5.29.31",
+        mdlDS: "1.0.18013.5.1.2",
+    };
+
+    function derLength(n) {
+        if (n < 0x80) return [n];
+        const out = [];
+        for (let v = n; v > 0; v >>= 8) out.unshift(v & 0xff);
+        return [0x80 | out.length, ...out];
+    }
+    function der(tag, ...parts) {
+        const body = concat(...parts.map((p) => Uint8Array.from(p)));
+        return concat(Uint8Array.of(tag, ...derLength(body.length)), body);
+    }
+    const derSeq = (...parts) => der(0x30, ...parts);
+    const derSet = (...parts) => der(0x31, ...parts);
+    function derInt(bytes) {
+        let i = 0;
+        while (i < bytes.length - 1 && bytes[i] === 0) i++;
+        const v = Uint8Array.from(bytes).slice(i);
+        return der(0x02, v[0] & 0x80 ? concat(Uint8Array.of(0), v) : v);
+    }
+    function derOid(oid) {
+        const parts = oid.split(".").map(Number);
+        const out = [40 * parts[0] + parts[1]];
+        for (const p of parts.slice(2)) {
+            const group = [p & 0x7f];
+            for (let v = p >>> 7; v > 0; v >>>= 7)
+                group.unshift(0x80 | (v & 0x7f));
+            out.push(...group);
+        }
+        return der(0x06, out);
+    }
+    function derTime(date) {
+        // YYYYMMDDHHMMSSZ; UTCTime drops the century before 2050
+        const t = date.toISOString().replace(/[-:T]/g, "").slice(0, 14) + "Z";
+        return date.getUTCFullYear() < 2050
+            ? der(0x17, enc.encode(t.slice(2)))
+            : der(0x18, enc.encode(t));
+    }
+    function derName(attrs) {
+        return derSeq(
+            ...attrs.map(([oid, value]) =>
+                derSet(
+                    derSeq(
+                        derOid(oid),
+                        der(oid === OID.C ? 0x13 : 0x0c, enc.encode(value)),
+                    ),
+                ),
+            ),
+        );
+    }
+    function derExtension(oid, critical, value) {
+        return derSeq(
+            derOid(oid),
+            ...(critical ? [der(0x01, [0xff])] : []),
+            der(0x04, value),
+        );
+    }
+    function rawToDerSignature(raw) {
+        const n = raw.length / 2;
+        return derSeq(derInt(raw.slice(0, n)), derInt(raw.slice(n)));
+    }
+
+    async function ecdsaSign(privateKey, data) {
+        return new Uint8Array(
+            await crypto.subtle.sign(
+                { name: "ECDSA", hash: "SHA-256" },
+                privateKey,
+                data,
+            ),
+        );
+    }
+
+    async function keyIdentifier(publicKey) {
+        const raw = await crypto.subtle.exportKey("raw", publicKey);
+        return new Uint8Array(await crypto.subtle.digest("SHA-1", raw));
+    }
+
+    async function issueCertificate({
+        subject,
+        issuer,
+        publicKey,
+        signingKey,
+        notBefore,
+        notAfter,
+        extensions,
+    }) {
+        const spki = new Uint8Array(
+            await crypto.subtle.exportKey("spki", publicKey),
+        );
+        const sigAlg = derSeq(derOid(OID.ecdsaWithSHA256));
+        // Positive, non-zero, >= 63 random bits (Annex B)
+        const serial = randomBytes(16);
+        serial[0] = (serial[0] & 0x7f) | 0x40;
+        const tbs = derSeq(
+            der(0xa0, derInt([2])),
+            derInt(serial),
+            sigAlg,
+            derName(issuer),
+            derSeq(derTime(notBefore), derTime(notAfter)),
+            derName(subject),
+            spki,
+            der(0xa3, derSeq(...extensions)),
+        );
+        const signature = await ecdsaSign(signingKey, tbs);
+        return derSeq(
+            tbs,
+            sigAlg,
+            der(0x03, [0], rawToDerSignature(signature)),
+        );
+    }
+
+    // IACA and Document Signer following the Annex B profiles, so the
+    // reader's chain and profile checks pass for a well-behaved wallet
+    async function createIssuer({
+        country = "UT",
+        authority = "Utopia Test Authority",
+    } = {}) {
+        const params = { name: "ECDSA", namedCurve: "P-256" };
+        const iacaKeys = await crypto.subtle.generateKey(params, true, [
+            "sign",
+            "verify",
+        ]);
+        const dsKeys = await crypto.subtle.generateKey(params, true, [
+            "sign",
+            "verify",
+        ]);
+        const iacaName = [
+            [OID.C, country],
+            [OID.O, authority],
+            [OID.CN, `${authority} IACA`],
+        ];
+        const dsName = [
+            [OID.C, country],
+            [OID.O, authority],
+            [OID.CN, `${authority} DS`],
+        ];
+        const iacaKid = await keyIdentifier(iacaKeys.publicKey);
+        const dsKid = await keyIdentifier(dsKeys.publicKey);
+        const altName = derSeq(
+            der(0x86, enc.encode("https://wallet-simulator.invalid")),
+        );
+        const crlDp = derSeq(
+            derSeq(
+                der(
+                    0xa0,
+                    der(
+                        0xa0,
+                        der(
+                            0x86,
+                            enc.encode("https://wallet-simulator.invalid/crl"),
+                        ),
+                    ),
+                ),
+            ),
+        );
+        // Back-dated so an expiredMso scenario still falls within the
+        // certificates' validity at signing time
+        const now = Date.now();
+        const iacaDer = await issueCertificate({
+            subject: iacaName,
+            issuer: iacaName,
+            publicKey: iacaKeys.publicKey,
+            signingKey: iacaKeys.privateKey,
+            notBefore: new Date(now - 90 * DAY_MS),
+            notAfter: new Date(now + 275 * DAY_MS),
+            extensions: [
+                derExtension(
+                    OID.basicConstraints,
+                    true,
+                    derSeq(der(0x01, [0xff]), derInt([0])),
+                ),
+                // keyCertSign, cRLSign
+                derExtension(OID.keyUsage, true, der(0x03, [1, 0x06])),
+                derExtension(
+                    OID.subjectKeyIdentifier,
+                    false,
+                    der(0x04, iacaKid),
+                ),
+                derExtension(OID.issuerAltName, false, altName),
+                derExtension(OID.crlDistributionPoints, false, crlDp),
+            ],
+        });
+        const dsDer = await issueCertificate({
+            subject: dsName,
+            issuer: iacaName,
+            publicKey: dsKeys.publicKey,
+            signingKey: iacaKeys.privateKey,
+            notBefore: new Date(now - 90 * DAY_MS),
+            notAfter: new Date(now + 275 * DAY_MS),
+            extensions: [
+                // digitalSignature
+                derExtension(OID.keyUsage, true, der(0x03, [7, 0x80])),
+                derExtension(OID.extKeyUsage, true, derSeq(derOid(OID.mdlDS))),
+                derExtension(OID.subjectKeyIdentifier, false, der(0x04, dsKid)),
+                derExtension(
+                    OID.authorityKeyIdentifier,
+                    false,
+                    derSeq(der(0x80, iacaKid)),
+                ),
+                derExtension(OID.issuerAltName, false, altName),
+                derExtension(OID.crlDistributionPoints, false, crlDp),
+            ],
+        });
+        return {
+            country,
+            authority,
+            iacaDer,
+            iacaPem: derToPem(iacaDer),
+            dsDer,
+            dsKey: dsKeys.privateKey,
+        };
+    }
+
+    // JSON-safe form for localStorage; the IACA private key is not kept
+    async function exportIssuer(issuer) {
+        return {
+            country: issuer.country,
+            authority: issuer.authority,
+            iacaDer: toBase64(issuer.iacaDer),
+            dsDer: toBase64(issuer.dsDer),
+            dsKey: await crypto.subtle.exportKey("jwk", issuer.dsKey),
+        };
+    }
+
+    async function importIssuer(saved) {
+        const iacaDer = fromBase64(saved.iacaDer);
+        return {
+            country: saved.country,
+            authority: saved.authority,
+            iacaDer,
+            iacaPem: derToPem(iacaDer),
+            dsDer: fromBase64(saved.dsDer),
+            dsKey: await crypto.subtle.importKey(
+                "jwk",
+                saved.dsKey,
+                { name: "ECDSA", namedCurve: "P-256" },
+                true,
+                ["sign"],
+            ),
+        };
+    }
+
+    // Returns true when the IACA was added, false when already installed
+    function installTrustAnchor(issuer) {
+        if (!window.IacaManager) return false;
+        try {
+            window.IacaManager.addIACA(
+                issuer.iacaPem,
+                `${issuer.authority} IACA (wallet simulator)`,
+                true,
+            );
+            return true;
+        } catch (e) {
+            if (/already installed/.test(e.message)) return false;
+            throw e;
+        }
+    }
+
+    // Returns true when the IACA was installed and is now gone
+    function removeTrustAnchor(issuer) {
+        if (!window.IacaManager) return false;
+        const body = (pem) => String(pem).replace(/-----[^-]+-----|\s/g, "");
+        const index = window.IacaManager.getIACAs().findIndex(
+            (iaca) => body(iaca.pem) === body(issuer.iacaPem),
+        );
+        return index >= 0 && !!window.IacaManager.removeIACA(index);
+    }
+
+    function defaultCredentials(issuer = {}) {
+        const CBOR = getCBOR();
+        const fullDate = (s) => new CBOR.Tagged(1004, s);
+        const country = issuer.country || "UT";
+        const authority = issuer.authority || "Utopia Test Authority";
+        return [
+            {
+                docType: "org.iso.18013.5.1.mDL",
+                nameSpaces: {
+                    "org.iso.18013.5.1": {
+                        family_name: "Mustermann",
+                        given_name: "Erika",
+                        birth_date: fullDate("1984-01-26"),
+                        issue_date: fullDate("2024-03-01"),
+                        expiry_date: fullDate("2034-02-28"),
+                        issuing_country: country,
+                        issuing_authority: authority,
+                        document_number: "SIM-0000001",
+                        driving_privileges: [
+                            {
+                                vehicle_category_code: "B",
+                                issue_date: fullDate("2004-05-10"),
+                                expiry_date: fullDate("2034-02-28"),
+                            },
+                        ],
+                        un_distinguishing_sign: "UTO",
+                        age_over_18: true,
+                        age_over_21: true,
+                    },
+                },
+            },
+            {
+                docType: "eu.europa.ec.eudi.pid.1",
+                nameSpaces: {
+                    "eu.europa.ec.eudi.pid.1": {
+                        family_name: "Mustermann",
+                        given_name: "Erika",
+                        birth_date: fullDate("1984-01-26"),
+                        birth_place: "Utopia City",
+                        nationality: [country],
+                        issuing_country: country,
+                        issuing_authority: authority,
+                        age_over_18: true,
+                    },
+                },
+            },
+        ];
+    }
+
+    // ==== DeviceResponse ====
+
+    async function issuerSignedItemBytes(digestID, name, value) {
+        const CBOR = getCBOR();
+        const item = {
+            digestID,
+            random: bstr(randomBytes(16)),
+            elementIdentifier: name,
+            elementValue: value,
+        };
+        const tagged = new CBOR.Tagged(24, bstr(CBOR.encode(item)));
+        return {
+            tagged,
+            item,
+            digest: await window.SessionCrypto.sha256(CBOR.encode(tagged)),
+        };
+    }
+
+    async function signCoseSign1(alg, key, payload, unprotected) {
+        const CBOR = getCBOR();
+        const protectedBytes = CBOR.encode(new Map([[1, alg]]));
+        const toBeSigned = CBOR.encode([
+            "Signature1",
+            bstr(protectedBytes),
+            bstr(new Uint8Array(0)),
+            bstr(payload),
+        ]);
+        const signature = await ecdsaSign(key, toBeSigned);
+        return [
+            bstr(protectedBytes),
+            unprotected,
+            payload ? bstr(payload) : null,
+            bstr(signature),
+        ];
+    }
+
+    // Only elements the reader asked for are disclosed, but the MSO
+    // digests every element of the credential, as an issuer would
+    async function buildDocument(sim, credential, requested, transcript) {
+        const CBOR = getCBOR();
+        const { issuer, misbehaviours } = sim;
+        const nameSpaces = {};
+        const valueDigests = {};
+        let digestID = 0;
+        for (const [ns, elements] of Object.entries(credential.nameSpaces)) {
+            const wanted = requested.get(ns) || [];
+            const items = [];
+            valueDigests[ns] = new Map();
+            for (const [name, value] of Object.entries(elements)) {
+                const signed = await issuerSignedItemBytes(
+                    digestID,
+                    name,
+                    value,
+                );
+                valueDigests[ns].set(digestID++, bstr(signed.digest));
+                if (wanted.includes(name)) items.push(signed);
+            }
+            if (misbehaviours.has("wrongDigest") && items.length) {
+                const first = items[0];
+                const altered = {
+                    ...first.item,
+                    elementValue:
+                        typeof first.item.elementValue === "string"
+                            ? `${first.item.elementValue} (altered)`
+                            : "altered",
+                };
+                first.tagged = new CBOR.Tagged(24, bstr(CBOR.encode(altered)));
+            }
+            if (misbehaviours.has("extraElement"))
+                items.push(
+                    await issuerSignedItemBytes(
+                        9999,
+                        "simulator_extra",
+                        "not covered by the MSO",
+                    ),
+                );
+            if (items.length) nameSpaces[ns] = items.map((i) => i.tagged);
+        }
+        if (!Object.keys(nameSpaces).length) return null;
+
+        const now = Date.now();
+        const shift = misbehaviours.has("expiredMso") ? -60 * DAY_MS : 0;
+        const tdate = (ms) =>
+            new CBOR.Tagged(
+                0,
+                new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z"),
+            );
+        const mso = {
+            version: "1.0",
+            digestAlgorithm: "SHA-256",
+            valueDigests,
+            deviceKeyInfo: { deviceKey: sim.deviceCoseKey },
+            docType: credential.docType,
+            validityInfo: {
+                signed: tdate(now + shift),
+                validFrom: tdate(now + shift),
+                validUntil: tdate(now + shift + 30 * DAY_MS),
+            },
+        };
+        const msoBytes = CBOR.encode(
+            new CBOR.Tagged(24, bstr(CBOR.encode(mso))),
+        );
+        const issuerAuth = await signCoseSign1(
+            -7,
+            issuer.dsKey,
+            msoBytes,
+            new Map([[33, bstr(issuer.dsDer)]]),
+        );
+
+        // DeviceAuthentication = ["DeviceAuthentication", SessionTranscript,
+        // DocType, DeviceNameSpacesBytes], spliced so the transcript stays byte-exact
+        const deviceNameSpaces = new CBOR.Tagged(24, bstr(CBOR.encode({})));
+        const deviceAuthentication = concat(
+            Uint8Array.of(0x84),
+            CBOR.encode("DeviceAuthentication"),
+            misbehaviours.has("badTranscript")
+                ? concat(transcript.slice(0, -1), Uint8Array.of(0x80))
+                : transcript,
+            CBOR.encode(credential.docType),
+            CBOR.encode(deviceNameSpaces),
+        );
+        const deviceAuthenticationBytes = CBOR.encode(
+            new CBOR.Tagged(24, bstr(deviceAuthentication)),
+        );
+        let deviceAuth;
+        if (sim.deviceAuth === "mac") {
+            const protectedBytes = CBOR.encode(new Map([[1, 5]]));
+            const toBeMaced = CBOR.encode([
+                "MAC0",
+                bstr(protectedBytes),
+                bstr(new Uint8Array(0)),
+                bstr(deviceAuthenticationBytes),
+            ]);
+            const hmacKey = await crypto.subtle.importKey(
+                "raw",
+                sim.session.eMacKey,
+                { name: "HMAC", hash: "SHA-256" },
+                false,
+                ["sign"],
+            );
+            const tag = new Uint8Array(
+                await crypto.subtle.sign("HMAC", hmacKey, toBeMaced),
+            );
+            deviceAuth = {
+                deviceMac: [bstr(protectedBytes), new Map(), null, bstr(tag)],
+            };
+        } else {
+            const cose = await signCoseSign1(
+                -7,
+                sim.deviceKey.privateKey,
+                deviceAuthenticationBytes,
+                new Map(),
+            );
+            cose[2] = null; // detached payload
+            deviceAuth = { deviceSignature: cose };
+        }
+
+        return {
+            docType: credential.docType,
+            issuerSigned: { nameSpaces, issuerAuth },
+            deviceSigned: { nameSpaces: deviceNameSpaces, deviceAuth },
+        };
+    }
+
+    async function buildDeviceResponse(sim, deviceRequest) {
+        const CBOR = getCBOR();
+        const documents = [];
+        const documentErrors = [];
+        for (const docRequest of getField(deviceRequest, "docRequests") || []) {
+            const itemsTagged = getField(docRequest, "itemsRequest");
+            const items = CBOR.decode(
+                new Uint8Array(itemsTagged?.value ?? itemsTagged),
+            );
+            const docType = getField(items, "docType");
+            const requested = new Map(
+                entriesOf(getField(items, "nameSpaces")).map(([ns, els]) => [
+                    ns,
+                    entriesOf(els).map(([name]) => name),
+                ]),
+            );
+            const credential = sim.credentials.find(
+                (c) => c.docType === docType,
+            );
+            const doc = credential
+                ? await buildDocument(
+                      sim,
+                      credential,
+                      requested,
+                      sim.session.deviceAuthTranscript,
+                  )
+                : null;
+            if (doc) documents.push(doc);
+            else documentErrors.push({ [docType]: 10 }); // data not returned
+        }
+        const response = { version: "1.0", documents, status: 0 };
+        if (documentErrors.length) response.documentErrors = documentErrors;
+        return CBOR.encode(response);
+    }
+
+    // ==== Session ====
+
+    async function aesGcmDecrypt(ciphertext, keyBytes, identifier, counter) {
+        const iv = new Uint8Array(12);
+        iv.set(identifier, 0);
+        new DataView(iv.buffer).setUint32(8, counter, false);
+        const key = await crypto.subtle.importKey(
+            "raw",
+            keyBytes,
+            { name: "AES-GCM" },
+            false,
+            ["decrypt"],
+        );
+        return new Uint8Array(
+            await crypto.subtle.decrypt(
+                { name: "AES-GCM", iv },
+                key,
+                ciphertext,
+            ),
+        );
+    }
+
+    async function establishSession(sim, eReaderKeyTagged) {
+        const CBOR = getCBOR();
+        const SC = window.SessionCrypto;
+        const coseKeyBytes = new Uint8Array(
+            eReaderKeyTagged?.value ?? eReaderKeyTagged,
+        );
+        const coseKey = CBOR.decode(coseKeyBytes);
+        const readerPub = await SC.importMdocPubKeyXY(
+            new Uint8Array(getField(coseKey, -2)),
+            getField(coseKey, -3)
+                ? new Uint8Array(getField(coseKey, -3))
+                : null,
+            getField(coseKey, -1),
+        );
+        // SessionTranscript = [DeviceEngagementBytes, EReaderKeyBytes, Handover]
+        const transcript = concat(
+            Uint8Array.of(0x83),
+            SC.encodeTag24ByteString(sim.deBytes),
+            SC.encodeTag24ByteString(coseKeyBytes),
+            sim.handover || Uint8Array.of(0xf6),
+        );
+        const salt = await SC.sha256(SC.encodeTag24ByteString(transcript));
+        const shared = await SC.deriveSharedSecretBits(
+            sim.eDeviceKey.privateKey,
+            readerPub,
+        );
+        const keys = await SC.deriveSessionKey(new Uint8Array(shared), salt);
+        let eMacKey = null;
+        if (sim.deviceAuth === "mac") {
+            const macShared = await SC.deriveSharedSecretBits(
+                sim.deviceKey.privateKey,
+                readerPub,
+            );
+            eMacKey = await SC.deriveEMacKey(new Uint8Array(macShared), salt);
+        }
+        return {
+            skReader: keys.readerKey,
+            skDevice: keys.deviceKey,
+            eMacKey,
+            deviceAuthTranscript: transcript,
+            readerCounter: 0,
+            deviceCounter: 0,
+        };
+    }
+
+    function createPeer(sim) {
+        const CBOR = getCBOR();
+        const log = sim.logger;
+        const sendStatus = (api, status) => api.send(CBOR.encode({ status }));
+
+        return {
+            ident: sim.ident,
+            onConnect() {
+                sim.session = null;
+                log("🤖 Simulated wallet connected");
+            },
+            onEnd() {
+                log("🤖 Simulated wallet: reader ended the session");
+                sim.session = null;
+            },
+            async onMessage(bytes, api) {
+                let message;
+                try {
+                    message = CBOR.decode(bytes);
+                } catch {
+                    sendStatus(api, 11);
+                    return;
+                }
+                const status = getField(message, "status");
+                const eReaderKey = getField(message, "eReaderKey");
+                const data = getField(message, "data");
+                if (status !== undefined && data === undefined) {
+                    log(`🤖 Simulated wallet received status ${status}`);
+                    if (status === 20) {
+                        sim.session = null;
+                        api.close();
+                    }
+                    return;
+                }
+                if (eReaderKey)
+                    sim.session = await establishSession(sim, eReaderKey);
+                const session = sim.session;
+                if (!session || !data) {
+                    sendStatus(api, 10);
+                    return;
+                }
+
+                let deviceRequest;
+                try {
+                    const request = await aesGcmDecrypt(
+                        new Uint8Array(data),
+                        session.skReader,
+                        new Uint8Array(8),
+                        ++session.readerCounter,
+                    );
+                    deviceRequest = CBOR.decode(request);
+                } catch (e) {
+                    log(
+                        `🤖 Simulated wallet could not read the request: ${e.message}`,
+                    );
+                    sendStatus(api, 10);
+                    return;
+                }
+
+                if (sim.misbehaviours.has("sessionError")) {
+                    sendStatus(api, 10);
+                    return;
+                }
+                const response = await buildDeviceResponse(sim, deviceRequest);
+                const encrypted = await window.SessionCrypto.aesGcmEncryptRaw(
+                    response,
+                    session.skDevice,
+                    Uint8Array.of(0, 0, 0, 0, 0, 0, 0, 1),
+                    ++session.deviceCounter,
+                );
+                const reply = { data: bstr(encrypted) };
+                if (sim.misbehaviours.has("endSession")) reply.status = 20;
+                log(
+                    `🤖 Simulated wallet sent a ${response.length}-byte DeviceResponse`,
+                );
+                api.send(CBOR.encode(reply));
+                if (reply.status === 20) sim.session = null;
+            },
+        };
+    }
+
+    // Static Handover Select: Hs (version 1.5) with one alternative carrier
+    // pointing at the BLE OOB record "0" and the DeviceEngagement record "mdoc"
+    function buildHandoverSelect(deBytes, serviceUuid) {
+        const DE = window.DeviceEngagement;
+        const ac = Uint8Array.of(
+            0x01, // CPS: active
+            1,
+            ...enc.encode("0"),
+            1,
+            4,
+            ...enc.encode("mdoc"),
+        );
+        const bleOob = Uint8Array.of(
+            2,
+            0x1c,
+            0x00, // LE role: peripheral only (mdoc peripheral server mode)
+            17,
+            0x07,
+            ...serviceUuid.slice().reverse(),
+        );
+        return DE.encodeNdefMessage([
+            {
+                tnf: 1,
+                type: "Hs",
+                payload: concat(
+                    Uint8Array.of(0x15),
+                    DE.encodeNdefMessage([{ tnf: 1, type: "ac", payload: ac }]),
+                ),
+            },
+            {
+                tnf: 2,
+                type: "application/vnd.bluetooth.le.oob",
+                id: "0",
+                payload: bleOob,
+            },
+            {
+                tnf: 4,
+                type: "iso.org:18013:deviceengagement",
+                id: "mdoc",
+                payload: deBytes,
+            },
+        ]);
+    }
+
+    async function create(options = {}) {
+        const CBOR = getCBOR();
+        const SC = window.SessionCrypto;
+        if (!CBOR || !SC)
+            throw new Error("CBOR and SessionCrypto are required");
+        const unknown = (options.misbehaviours || []).filter(
+            (m) => !MISBEHAVIOURS[m],
+        );
+        if (unknown.length)
+            throw new Error(`Unknown misbehaviour: ${unknown.join(", ")}`);
+
+        const issuer = options.issuer || (await createIssuer());
+        const crv = options.crv || 1;
+        const curve = SC.sessionCurve(crv);
+        const sim = {
+            issuer,
+            credentials: options.credentials || defaultCredentials(issuer),
+            deviceAuth: options.deviceAuth === "mac" ? "mac" : "signature",
+            misbehaviours: new Set(options.misbehaviours || []),
+            logger: options.logger || console.log,
+            session: null,
+        };
+
+        const coseKeyFor = (raw, c) => {
+            const m = new Map([
+                [1, c.kty],
+                [-1, c.crv],
+            ]);
+            if (c.kty === 1) m.set(-2, bstr(raw));
+            else {
+                m.set(-2, bstr(raw.slice(1, 1 + c.size)));
+                m.set(-3, bstr(raw.slice(1 + c.size)));
+            }
+            return m;
+        };
+
+        // EDeviceKey for session encryption
+        sim.eDeviceKey = await SC.generateEphemeralKeyPair(crv);
+        const eDeviceRaw = await SC.exportEphemeralPublicKey(sim.eDeviceKey);
+        const eDeviceKeyCbor = CBOR.encode(coseKeyFor(eDeviceRaw, curve));
+
+        // SDeviceKey: ECDSA P-256 for deviceSignature; for deviceMac it must
+        // be on the EReaderKey curve, i.e. the EDeviceKey curve
+        if (sim.deviceAuth === "mac") {
+            sim.deviceKey = await SC.generateEphemeralKeyPair(crv);
+            sim.deviceCoseKey = coseKeyFor(
+                await SC.exportEphemeralPublicKey(sim.deviceKey),
+                curve,
+            );
+        } else {
+            sim.deviceKey = await crypto.subtle.generateKey(
+                { name: "ECDSA", namedCurve: "P-256" },
+                true,
+                ["sign", "verify"],
+            );
+            sim.deviceCoseKey = coseKeyFor(
+                new Uint8Array(
+                    await crypto.subtle.exportKey(
+                        "raw",
+                        sim.deviceKey.publicKey,
+                    ),
+                ),
+                SC.sessionCurve(1),
+            );
+        }
+
+        // DeviceEngagement {0: version, 1: Security, 2: [BLE peripheral server]};
+        // over NFC the BLE options travel in the handover carrier record
+        const serviceUuid = randomBytes(16);
+        serviceUuid[6] = (serviceUuid[6] & 0x0f) | 0x40;
+        serviceUuid[8] = (serviceUuid[8] & 0x3f) | 0x80;
+        const nfc = options.engagement === "nfc";
+        const deviceEngagement = new Map([
+            [0, "1.0"],
+            [1, [1, new CBOR.Tagged(24, bstr(eDeviceKeyCbor))]],
+        ]);
+        if (!nfc)
+            deviceEngagement.set(2, [
+                [
+                    2,
+                    1,
+                    new Map([
+                        [0, true],
+                        [1, false],
+                        [10, bstr(serviceUuid)],
+                    ]),
+                ],
+            ]);
+        sim.deBytes = new Uint8Array(CBOR.encode(deviceEngagement));
+        let ndefMessage = null;
+        if (nfc) {
+            ndefMessage = buildHandoverSelect(sim.deBytes, serviceUuid);
+            sim.handover = new Uint8Array(
+                CBOR.encode([bstr(ndefMessage), null]),
+            );
+        }
+        sim.ident = await SC.deriveBleIdent(
+            SC.encodeTag24ByteString(eDeviceKeyCbor),
+        );
+        const qrPayload =
+            "mdoc:" +
+            toBase64(sim.deBytes)
+                .replace(/\+/g, "-")
+                .replace(/\//g, "_")
+                .replace(/=+$/, "");
+
+        return {
+            qrPayload: nfc ? null : qrPayload,
+            ndefMessage,
+            deBytes: sim.deBytes,
+            ident: sim.ident,
+            issuer,
+            peer: createPeer(sim),
+        };
+    }
+
+    window.WalletSimulator = {
+        MISBEHAVIOURS,
+        createIssuer,
+        exportIssuer,
+        importIssuer,
+        installTrustAnchor,
+        removeTrustAnchor,
+        defaultCredentials,
+        create,
+    };
+})();
@@ -0,0 +1,444 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  X.509 certificate parsing (DER)
+     Exposes window.X509 with:
+      pemToDer(pem)
+      parseCertificate(der)
+      publicKeyForNoble(cert)
+      verifyCertificateSignature(cert, issuerCert)
+      decodeOID(bytes)
+*/
+
+(function () {
+    const OIDS = {
+        ecPublicKey: "1.2.840.10045.2.1",
+        ecdsaWithSHA256: "1.2.840.10045.4.3.2",
+        ecdsaWithSHA384: "1.2.840.10045.4.3.3",
+        ecdsaWithSHA512: "1.2.840.10045.4.3.4",
+        ed25519: "1.3.101.112",
+        ed448: "1.3.101.113",
+        basicConstraints: "2.5.29.19",
+        keyUsage: "2.5.29.15",
+        extKeyUsage: "2.5.29.37",
+        subjectKeyIdentifier: "2.5.29.14",
+        authorityKeyIdentifier: "2.5.29.35",
+        subjectAltName: "2.5.29.17",
+        issuerAltName: "2.5.29.18",
+        crlDistributionPoints: "2.5.29.31",
+        certificatePolicies: "2.5.29.32",
+        authorityInfoAccess: "1.3.6.1.5.5.7.1.1",
+        mdlDocumentSigner: "1.0.18013.5.1.2",
+        vicalSigner: "1.0.18013.5.1.8",
+    };
+
+    const CURVES = {
+        "1.2.840.10045.3.1.7": { name: "P-256", noble: "p256" },
+        "1.3.132.0.34": { name: "P-384", noble: "p384" },
+        "1.3.132.0.35": { name: "P-521", noble: "p521" },
+        "1.3.36.3.3.2.8.1.1.7": {
+            name: "brainpoolP256r1",
+            noble: "brainpoolP256r1",
+        },
+        "1.3.36.3.3.2.8.1.1.11": {
+            name: "brainpoolP384r1",
+            noble: "brainpoolP384r1",
+        },
+        "1.3.36.3.3.2.8.1.1.13": {
+            name: "brainpoolP512r1",
+            noble: "brainpoolP512r1",
+        },
+    };
+
+    // RFC 8410: OKP keys are identified by the algorithm OID alone
+    const OKP_CURVES = {
+        [OIDS.ed25519]: { name: "Ed25519", noble: "ed25519" },
+        [OIDS.ed448]: { name: "Ed448", noble: "ed448" },
+    };
+
+    const SIG_HASHES = {
+        [OIDS.ecdsaWithSHA256]: "SHA-256",
+        [OIDS.ecdsaWithSHA384]: "SHA-384",
+        [OIDS.ecdsaWithSHA512]: "SHA-512",
+    };
+
+    const DN_NAMES = {
+        "2.5.4.3": "CN",
+        "2.5.4.4": "SN",
+        "2.5.4.5": "serialNumber",
+        "2.5.4.6": "C",
+        "2.5.4.7": "L",
+        "2.5.4.8": "ST",
+        "2.5.4.10": "O",
+        "2.5.4.11": "OU",
+        "1.2.840.113549.1.9.1": "E",
+    };
+
+    const KEY_USAGE_BITS = [
+        "digitalSignature",
+        "nonRepudiation",
+        "keyEncipherment",
+        "dataEncipherment",
+        "keyAgreement",
+        "keyCertSign",
+        "cRLSign",
+        "encipherOnly",
+        "decipherOnly",
+    ];
+
+    function toHex(bytes) {
+        return Array.from(bytes)
+            .map((b) => b.toString(16).padStart(2, "0"))
+            .join("");
+    }
+
+    function pemToDer(pem) {
+        const b64 = String(pem)
+            .replace(/-----BEGIN [^-]+-----/, "")
+            .replace(/-----END [^-]+-----/, "")
+            .replace(/\s+/g, "");
+        const bin = atob(b64);
+        const out = new Uint8Array(bin.length);
+        for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+        return out;
+    }
+
+    // Read one TLV at offset: { tag, start (value), end, headerStart }
+    function readTLV(bytes, offset) {
+        if (offset + 2 > bytes.length) throw new Error("DER: truncated TLV");
+        const tag = bytes[offset];
+        let pos = offset + 1;
+        let len = bytes[pos++];
+        if (len & 0x80) {
+            const n = len & 0x7f;
+            if (n === 0 || n > 4) throw new Error("DER: unsupported length");
+            len = 0;
+            for (let i = 0; i < n; i++) len = len * 256 + bytes[pos++];
+        }
+        const end = pos + len;
+        if (end > bytes.length) throw new Error("DER: length out of range");
+        return { tag, headerStart: offset, start: pos, end };
+    }
+
+    function children(bytes, tlv) {
+        const out = [];
+        let pos = tlv.start;
+        while (pos < tlv.end) {
+            const child = readTLV(bytes, pos);
+            out.push(child);
+            pos = child.end;
+        }
+        return out;
+    }
+
+    const valueOf = (bytes, tlv) => bytes.slice(tlv.start, tlv.end);
+    const rawOf = (bytes, tlv) => bytes.slice(tlv.headerStart, tlv.end);
+
+    function decodeOID(bytes) {
+        if (!bytes || bytes.length === 0) return "";
+        const arcs = [];
+        let value = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            value = value * 128 + (bytes[i] & 0x7f);
+            if ((bytes[i] & 0x80) === 0) {
+                if (arcs.length === 0) {
+                    const first = value < 80 ? Math.floor(value / 40) : 2;
+                    arcs.push(first, value - first * 40);
+                } else {
+                    arcs.push(value);
+                }
+                value = 0;
+            }
+        }
+        return arcs.join(".");
+    }
+
+    function decodeString(bytes, tlv) {
+        const v = valueOf(bytes, tlv);
+        if (tlv.tag === 0x1e) {
+            // BMPString (UTF-16BE)
+            let s = "";
+            for (let i = 0; i + 1 < v.length; i += 2)
+                s += String.fromCharCode((v[i] << 8) | v[i + 1]);
+            return s;
+        }
+        return new TextDecoder().decode(v);
+    }
+
+    function decodeTime(bytes, tlv) {
+        const s = new TextDecoder().decode(valueOf(bytes, tlv));
+        let year, rest;
+        if (tlv.tag === 0x17) {
+            const yy = parseInt(s.substr(0, 2), 10);
+            year = yy >= 50 ? 1900 + yy : 2000 + yy;
+            rest = s.substr(2);
+        } else if (tlv.tag === 0x18) {
+            year = parseInt(s.substr(0, 4), 10);
+            rest = s.substr(4);
+        } else {
+            return null;
+        }
+        const num = (i) => parseInt(rest.substr(i, 2), 10) || 0;
+        return new Date(
+            Date.UTC(year, num(0) - 1, num(2), num(4), num(6), num(8)),
+        );
+    }
+
+    function parseName(bytes, tlv) {
+        const attributes = [];
+        for (const rdn of children(bytes, tlv)) {
+            for (const atv of children(bytes, rdn)) {
+                const [oidTlv, valTlv] = children(bytes, atv);
+                const oid = decodeOID(valueOf(bytes, oidTlv));
+                attributes.push({
+                    oid,
+                    name: DN_NAMES[oid] || oid,
+                    value: decodeString(bytes, valTlv),
+                    stringTag: valTlv.tag,
+                });
+            }
+        }
+        const get = (name) =>
+            attributes.find((a) => a.name === name)?.value || null;
+        return {
+            attributes,
+            dn: attributes.map((a) => `${a.name}=${a.value}`).join(", "),
+            raw: rawOf(bytes, tlv),
+            get,
+        };
+    }
+
+    function parseExtension(bytes, extTlv) {
+        const parts = children(bytes, extTlv);
+        const oid = decodeOID(valueOf(bytes, parts[0]));
+        let critical = false;
+        let valueTlv = parts[1];
+        if (parts[1].tag === 0x01) {
+            critical = bytes[parts[1].start] !== 0x00;
+            valueTlv = parts[2];
+        }
+        const value = valueOf(bytes, valueTlv);
+        const ext = { oid, critical, value, parsed: null };
+        try {
+            const inner = readTLV(value, 0);
+            if (oid === OIDS.basicConstraints) {
+                const items = children(value, inner);
+                let cA = false;
+                let pathLen = null;
+                for (const it of items) {
+                    if (it.tag === 0x01) cA = value[it.start] !== 0x00;
+                    else if (it.tag === 0x02) {
+                        pathLen = 0;
+                        for (let i = it.start; i < it.end; i++)
+                            pathLen = pathLen * 256 + value[i];
+                    }
+                }
+                ext.parsed = { cA, pathLen };
+            } else if (oid === OIDS.keyUsage) {
+                const bits = valueOf(value, inner);
+                const usages = [];
+                KEY_USAGE_BITS.forEach((name, i) => {
+                    const byte = bits[1 + (i >> 3)];
+                    if (byte !== undefined && byte & (0x80 >> (i & 7)))
+                        usages.push(name);
+                });
+                ext.parsed = { usages };
+            } else if (oid === OIDS.extKeyUsage) {
+                ext.parsed = {
+                    oids: children(value, inner).map((t) =>
+                        decodeOID(valueOf(value, t)),
+                    ),
+                };
+            } else if (oid === OIDS.subjectKeyIdentifier) {
+                ext.parsed = { keyIdentifier: toHex(valueOf(value, inner)) };
+            } else if (oid === OIDS.crlDistributionPoints) {
+                // uniformResourceIdentifier [6] names of every point
+                const uris = [];
+                const walk = (tlv) => {
+                    if (tlv.tag === 0x86)
+                        uris.push(
+                            new TextDecoder().decode(valueOf(value, tlv)),
+                        );
+                    else if (tlv.tag & 0x20) children(value, tlv).forEach(walk);
+                };
+                walk(inner);
+                ext.parsed = { uris };
+            } else if (oid === OIDS.authorityKeyIdentifier) {
+                const keyId = children(value, inner).find(
+                    (t) => t.tag === 0x80,
+                );
+                ext.parsed = {
+                    keyIdentifier: keyId ? toHex(valueOf(value, keyId)) : null,
+                };
+            }
+        } catch (e) {
+            ext.parseError = e.message || String(e);
+        }
+        return ext;
+    }
+
+    function parseCertificate(der) {
+        const bytes = der instanceof Uint8Array ? der : new Uint8Array(der);
+        const certTlv = readTLV(bytes, 0);
+        const [tbsTlv, sigAlgTlv, sigTlv] = children(bytes, certTlv);
+        const tbsParts = children(bytes, tbsTlv);
+        let i = 0;
+        let version = 1;
+        if (tbsParts[i].tag === 0xa0) {
+            const vTlv = children(bytes, tbsParts[i])[0];
+            version = bytes[vTlv.start] + 1;
+            i++;
+        }
+        const serialTlv = tbsParts[i++];
+        const tbsSigAlgTlv = tbsParts[i++];
+        const issuer = parseName(bytes, tbsParts[i++]);
+        const validityParts = children(bytes, tbsParts[i++]);
+        const subject = parseName(bytes, tbsParts[i++]);
+        const spkiTlv = tbsParts[i++];
+
+        const [spkiAlgTlv, spkiKeyTlv] = children(bytes, spkiTlv);
+        const spkiAlgParts = children(bytes, spkiAlgTlv);
+        const keyAlgorithm = decodeOID(valueOf(bytes, spkiAlgParts[0]));
+        const keyParams =
+            spkiAlgParts[1] && spkiAlgParts[1].tag === 0x06
+                ? decodeOID(valueOf(bytes, spkiAlgParts[1]))
+                : null;
+        // BIT STRING: skip the unused-bits byte
+        const publicKey = bytes.slice(spkiKeyTlv.start + 1, spkiKeyTlv.end);
+
+        const extensions = [];
+        for (; i < tbsParts.length; i++) {
+            if (tbsParts[i].tag !== 0xa3) continue;
+            const extSeq = children(bytes, tbsParts[i])[0];
+            for (const extTlv of children(bytes, extSeq))
+                extensions.push(parseExtension(bytes, extTlv));
+        }
+        const ext = (oid) => extensions.find((e) => e.oid === oid) || null;
+
+        const sigAlgParts = children(bytes, sigAlgTlv);
+        const signatureAlgorithm = decodeOID(valueOf(bytes, sigAlgParts[0]));
+
+        return {
+            der: bytes,
+            version,
+            serialNumber: toHex(valueOf(bytes, serialTlv)),
+            tbsSignatureAlgorithm: decodeOID(
+                valueOf(bytes, children(bytes, tbsSigAlgTlv)[0]),
+            ),
+            issuer,
+            subject,
+            notBefore: decodeTime(bytes, validityParts[0]),
+            notAfter: decodeTime(bytes, validityParts[1]),
+            keyAlgorithm,
+            keyParams,
+            curve:
+                CURVES[keyParams]?.name ||
+                OKP_CURVES[keyAlgorithm]?.name ||
+                null,
+            publicKey,
+            extensions,
+            basicConstraints: ext(OIDS.basicConstraints),
+            keyUsage: ext(OIDS.keyUsage),
+            extKeyUsage: ext(OIDS.extKeyUsage),
+            subjectKeyIdentifier:
+                ext(OIDS.subjectKeyIdentifier)?.parsed?.keyIdentifier || null,
+            authorityKeyIdentifier:
+                ext(OIDS.authorityKeyIdentifier)?.parsed?.keyIdentifier || null,
+            crlDistributionPoints:
+                ext(OIDS.crlDistributionPoints)?.parsed?.uris || [],
+            tbsCertificate: rawOf(bytes, tbsTlv),
+            signatureAlgorithm,
+            signature: bytes.slice(sigTlv.start + 1, sigTlv.end),
+            selfIssued: bytesEqual(issuer.raw, subject.raw),
+        };
+    }
+
+    function bytesEqual(a, b) {
+        if (!a || !b || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    }
+
+    // Same shape as Verification.extractPublicKeyFromCert()
+    function publicKeyForNoble(cert) {
+        const okp = OKP_CURVES[cert.keyAlgorithm];
+        if (okp)
+            return {
+                key: cert.publicKey,
+                curve: okp.name,
+                nobleCurveName: okp.noble,
+                type: "noble",
+                kty: "OKP",
+                x: cert.publicKey,
+                y: null,
+            };
+        if (cert.keyAlgorithm !== OIDS.ecPublicKey) return null;
+        const curve = CURVES[cert.keyParams];
+        if (!curve) return null;
+        const coordSize = (cert.publicKey.length - 1) / 2;
+        return {
+            key: cert.publicKey,
+            curve: curve.name,
+            nobleCurveName: curve.noble,
+            type: "noble",
+            kty: "EC2",
+            x: cert.publicKey.slice(1, 1 + coordSize),
+            y: cert.publicKey.slice(1 + coordSize),
+        };
+    }
+
+    // Verifies cert.signature with the public key of issuerCert
+    async function verifyCertificateSignature(cert, issuerCert) {
+        const hash = SIG_HASHES[cert.signatureAlgorithm];
+        const eddsa = OKP_CURVES[cert.signatureAlgorithm];
+        if (!hash && !eddsa)
+            throw new Error(
+                `Unsupported signature algorithm ${cert.signatureAlgorithm}`,
+            );
+        const pub = publicKeyForNoble(issuerCert);
+        if (!pub) throw new Error("Unsupported issuer public key");
+        const curveLib = window.nobleCurves?.[pub.nobleCurveName];
+        if (!curveLib)
+            throw new Error(`Curve ${pub.nobleCurveName} not available`);
+        if (eddsa) {
+            // PureEdDSA signs the TBSCertificate itself, no prehash
+            if (pub.nobleCurveName !== eddsa.noble) return false;
+            try {
+                return curveLib.verify(
+                    cert.signature,
+                    cert.tbsCertificate,
+                    pub.key,
+                );
+            } catch {
+                return false;
+            }
+        }
+        if (pub.kty !== "EC2") return false;
+        const digest = new Uint8Array(
+            await crypto.subtle.digest(hash, cert.tbsCertificate),
+        );
+        try {
+            return curveLib.verify(cert.signature, digest, pub.key, {
+                prehash: false,
+                lowS: false,
+                format: "der",
+            });
+        } catch {
+            return false;
+        }
+    }
+
+    window.X509 = {
+        OIDS,
+        OKP_CURVES,
+        KEY_USAGE_BITS,
+        pemToDer,
+        readTLV,
+        decodeOID,
+        parseCertificate,
+        publicKeyForNoble,
+        verifyCertificateSignature,
+        bytesEqual,
+    };
+})();
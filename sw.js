@@ -1,53 +1,245 @@
 /*
-  Service Worker cleanup stub.
+  Service Worker: offline app shell and revocation cache
 
-  PWA functionality has been removed from the site, but previously-installed
-  service workers may still control existing clients.
+  - Precaches the pages, js/ modules, icons and fonts under a versioned cache.
+    The default IACA bundle is inlined in index.html, so it is precached too.
+  - Serves the shell stale-while-revalidate: the cached copy answers at
+    once and the network copy replaces it for the next load, so a deploy
+    reaches users without touching this file. A new version of this file
+    installs next to the old one and waits; js/sw-register.js asks the user
+    before activating it (message { type: "SKIP_WAITING" }).
+  - Caches Token Status Lists, Identifier Lists and CRLs until the expiry
+    given by js/revocation-ttl.js. Past that, the network is tried first and
+    the stale copy is served when it fails (header X-Mdoc-Cache: stale).
+    Requests made with cache: "reload" (RevocationCache forceRefresh) skip
+    the fresh copy and go to the network.
 
-  This stub:
-  - Clears all caches
-  - Unregisters itself
-  - Passes through fetches to the network
+  Bump CACHE_VERSION only to drop the old caches, e.g. when files leave SHELL.
 */
 
+importScripts("js/cbor.min.js", "js/revocation-ttl.js");
+
+const CACHE_VERSION = 2;
+const SHELL_CACHE = `mdoc-shell-v${CACHE_VERSION}`;
+const FONT_CACHE = `mdoc-fonts-v${CACHE_VERSION}`;
+// Not versioned: revocation data outlives app releases
+const REVOCATION_CACHE = "mdoc-revocation";
+// Stale revocation entries are dropped this long after their expiry
+const REVOCATION_MAX_STALE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const FONT_CSS =
+    "https://fonts.googleapis.com/css2?family=DM+Sans:ital,opsz,wght@0,9..40,300..700;1,9..40,300..700&family=JetBrains+Mono:wght@400;500&family=Outfit:wght@300;400;500;600;700&display=swap";
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+const SHELL = [
+    "./",
+    "index.html",
+    "visitor.html",
+    "unlikability_test.html",
+    "embed.html",
+    "favicon.ico",
+    "assets/icon-192.png",
+    "assets/icon-512.png",
+    "js/activity-log.js",
+    "js/ble-trace.js",
+    "js/ble-transport.js",
+    "js/cbor.min.js",
+    "js/cert-profile.js",
+    "js/device-engagement.js",
+    "js/digital-credentials.js",
+    "js/embed-api.js",
+    "js/hpke.js",
+    "js/iaca-management.js",
+    "js/jsQR.js",
+    "js/mdoc-reader-session.js",
+    "js/mdoc-verifier-element.js",
+    "js/noble-curves.min.js",
+    "js/openid4vp.js",
+    "js/openjpeg.js",
+    "js/reader-authentication.js",
+    "js/request-builder.js",
+    "js/revocation-cache.js",
+    "js/revocation-ttl.js",
+    "js/session-crypto.js",
+    "js/session-establishment.js",
+    "js/sw-register.js",
+    "js/transport.js",
+    "js/verification.js",
+    "js/wallet-response.js",
+    "js/wallet-simulator.js",
+    "js/x509.js",
+];
+
+// Fonts are best effort: the app still works with system fonts
+async function precacheFonts() {
+    try {
+        const cache = await caches.open(FONT_CACHE);
+        const res = await fetch(FONT_CSS, { mode: "cors" });
+        if (!res.ok) return;
+        const css = await res.clone().text();
+        await cache.put(FONT_CSS, res);
+        const urls = [
+            ...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g),
+        ].map((m) => m[1]);
+        await Promise.all(
+            [...new Set(urls)].map((u) =>
+                cache.add(new Request(u, { mode: "cors" })).catch(() => {}),
+            ),
+        );
+    } catch (e) {
+        console.warn("[SW] Font precache failed", e);
+    }
+}
+
 self.addEventListener("install", (event) => {
-    event.waitUntil(self.skipWaiting());
+    event.waitUntil(
+        (async () => {
+            const cache = await caches.open(SHELL_CACHE);
+            // Bypass the HTTP cache so a new version never precaches old files
+            await cache.addAll(
+                SHELL.map((u) => new Request(u, { cache: "reload" })),
+            );
+            await precacheFonts();
+        })(),
+    );
 });
 
+async function pruneRevocationCache() {
+    const cache = await caches.open(REVOCATION_CACHE);
+    const now = Date.now();
+    for (const req of await cache.keys()) {
+        const res = await cache.match(req);
+        const expires = Number(res?.headers.get("x-mdoc-expires-at"));
+        if (!expires || now - expires > REVOCATION_MAX_STALE_MS)
+            await cache.delete(req);
+    }
+}
+
 self.addEventListener("activate", (event) => {
     event.waitUntil(
         (async () => {
-            try {
-                const keys = await caches.keys();
-                await Promise.all(keys.map((k) => caches.delete(k)));
-            } catch {}
-
-            try {
-                await self.registration.unregister();
-            } catch {}
-
-            try {
-                const clients = await self.clients.matchAll({
-                    type: "window",
-                    includeUncontrolled: true,
-                });
-                for (const client of clients) {
-                    try {
-                        client.postMessage({
-                            type: "SW_REMOVED",
-                            message:
-                                "Service Worker removed; reload for network-only mode.",
-                        });
-                    } catch {}
-                }
-            } catch {}
+            const keep = [SHELL_CACHE, FONT_CACHE, REVOCATION_CACHE];
+            const keys = await caches.keys();
+            await Promise.all(
+                keys
+                    .filter((k) => !keep.includes(k))
+                    .map((k) => caches.delete(k)),
+            );
+            await pruneRevocationCache();
+            await self.clients.claim();
         })(),
     );
 });
 
+self.addEventListener("message", (event) => {
+    if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+function isRevocationRequest(request) {
+    const accept = request.headers.get("accept") || "";
+    return /statuslist|identifierlist|pkix-crl/i.test(accept);
+}
+
+function withCacheHeaders(res, body, extra) {
+    const headers = new Headers(res.headers);
+    for (const [k, v] of Object.entries(extra)) headers.set(k, String(v));
+    return new Response(body, {
+        status: res.status,
+        statusText: res.statusText,
+        headers,
+    });
+}
+
+function markCached(res, state) {
+    return res
+        .arrayBuffer()
+        .then((body) => withCacheHeaders(res, body, { "x-mdoc-cache": state }));
+}
+
+async function revocationFetch(request) {
+    const cache = await caches.open(REVOCATION_CACHE);
+    const cached = await cache.match(request);
+    const expires = Number(cached?.headers.get("x-mdoc-expires-at"));
+    const refresh = request.cache === "reload" || request.cache === "no-store";
+    if (cached && expires > Date.now() && !refresh)
+        return markCached(cached, "fresh");
+    let res;
+    try {
+        res = await fetch(request);
+    } catch (e) {
+        if (cached) return markCached(cached, "stale");
+        throw e;
+    }
+    if (!res.ok) return cached ? markCached(cached, "stale") : res;
+    const body = await res.arrayBuffer();
+    const fetchedAt = Date.now();
+    const expiresAt = self.RevocationTtl.expiresAt(new Uint8Array(body), {
+        contentType: res.headers.get("content-type"),
+        headers: res.headers,
+        fetchedAt,
+    });
+    const stored = withCacheHeaders(res, body, {
+        "x-mdoc-fetched-at": fetchedAt,
+        "x-mdoc-expires-at": expiresAt,
+    });
+    await cache.put(request, stored.clone());
+    return withCacheHeaders(stored, body, { "x-mdoc-cache": "network" });
+}
+
+async function fontFetch(request) {
+    const cache = await caches.open(FONT_CACHE);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    const res = await fetch(request);
+    if (res.ok || res.type === "opaque") await cache.put(request, res.clone());
+    return res;
+}
+
+// Stored without the query string, which is how shellFetch looks files up
+async function revalidateShell(request, cache) {
+    const res = await fetch(request);
+    if (res.ok && res.type === "basic" && !res.redirected) {
+        const key = new URL(request.url);
+        key.search = "";
+        await cache.put(key.href, res.clone());
+    }
+    return res;
+}
+
+async function shellFetch(event) {
+    const request = event.request;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        event.waitUntil(
+            revalidateShell(request, cache).catch(() => {
+                // Offline: the cached copy stays
+            }),
+        );
+        return cached;
+    }
+    try {
+        return await revalidateShell(request, cache);
+    } catch (e) {
+        // Offline navigation to a page we do not know: open the main reader
+        if (request.mode === "navigate") {
+            const fallback = await cache.match("index.html");
+            if (fallback) return fallback;
+        }
+        throw e;
+    }
+}
+
 self.addEventListener("fetch", (event) => {
-    // Network-only pass-through
-    if (event.request && event.request.method === "GET") {
-        event.respondWith(fetch(event.request));
+    const request = event.request;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    if (isRevocationRequest(request)) {
+        event.respondWith(revocationFetch(request));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(fontFetch(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(shellFetch(event));
     }
+    // Anything else (CORS proxy, VICAL downloads, wallets) goes to the network
 });
@@ -0,0 +1,109 @@
+// BLE Ident check (ISO 18013-5 8.3.3.1.1.4) against a fake GATT server.
+// A missing or unreadable Ident fails the connection unless the caller
+// passes allowMissingIdent.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers");
+
+load("ble-transport.js");
+
+const SERVICE = "0000a123-0000-1000-8000-00805f9b34fb";
+const IDENT = "00000008-a123-48ce-896b-4c76973373e6";
+const EXPECTED = Uint8Array.from({ length: 16 }, (_, i) => i);
+
+const notFound = () =>
+    Object.assign(new Error("No Characteristics matching UUID"), {
+        name: "NotFoundError",
+    });
+
+function characteristic(value = new Uint8Array(0)) {
+    return {
+        readValue: async () => new DataView(value.buffer),
+        startNotifications: async () => {},
+        addEventListener() {},
+        removeEventListener() {},
+    };
+}
+
+// ident: bytes, or a function returning the getCharacteristic promise
+function fakeBluetooth(ident) {
+    const gatt = {
+        connected: false,
+        async connect() {
+            gatt.connected = true;
+            return {
+                getPrimaryService: async () => ({
+                    getCharacteristic: async (uuid) => {
+                        if (uuid !== IDENT) return characteristic();
+                        if (typeof ident === "function") return ident();
+                        return characteristic(ident);
+                    },
+                }),
+            };
+        },
+        disconnect() {
+            gatt.connected = false;
+        },
+    };
+    const device = { id: "fake", name: "wallet", gatt, addEventListener() {} };
+    return { requestDevice: async () => device };
+}
+
+async function connectWith(ident, options = {}) {
+    globalThis.navigator = { bluetooth: fakeBluetooth(ident) };
+    window.BLE.disconnect();
+    return window.BLE.connect(SERVICE, {
+        expectedIdent: EXPECTED,
+        ...options,
+    });
+}
+
+test.before(() => {
+    console.log = () => {};
+});
+
+test("accepts a matching Ident", async () => {
+    await connectWith(EXPECTED);
+    assert.equal(window.BLE.getIdentStatus(), "verified");
+});
+
+test("rejects a mismatching Ident", async () => {
+    await assert.rejects(connectWith(new Uint8Array(16)), /Ident mismatch/);
+    assert.equal(window.BLE.getIdentStatus(), "mismatch");
+    assert.equal(window.BLE.isConnected(), false);
+});
+
+test("fails closed when the Ident characteristic is missing", async () => {
+    await assert.rejects(
+        connectWith(async () => {
+            throw notFound();
+        }),
+        /not exposed/,
+    );
+    assert.equal(window.BLE.getIdentStatus(), "failed");
+    assert.equal(window.BLE.isConnected(), false);
+});
+
+test("lets a missing Ident through only with allowMissingIdent", async () => {
+    await connectWith(
+        async () => {
+            throw notFound();
+        },
+        { allowMissingIdent: true },
+    );
+    assert.equal(window.BLE.getIdentStatus(), "absent");
+});
+
+test("reports a timeout as an error even with allowMissingIdent", async () => {
+    await assert.rejects(
+        connectWith(
+            async () => {
+                throw new Error("Timeout while getting ident characteristic");
+            },
+            { allowMissingIdent: true },
+        ),
+        /Ident check failed: Timeout/,
+    );
+    assert.equal(window.BLE.getIdentStatus(), "failed");
+});
@@ -0,0 +1,111 @@
+// deviceMac (ISO 18013-5 9.1.3.5) against a known-good vector. The tag was
+// computed with node:crypto over hand-encoded CBOR, independently of
+// cbor-web, so a MAC_structure encoded with tag 64 byte strings fails here.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, fromHex } = require("./helpers");
+
+load("cbor.min.js", "session-crypto.js", "verification.js");
+
+const VECTOR = {
+    readerPrivateKey:
+        "4148636d9e52cbd6aad6a30892867c2dbca1500ebdd134a45ff1aad774bd8271",
+    readerPublicKey:
+        "049c1f038b050c144516fbb55e57aaac000139b4cfaf6e458c2bdb08a0de8f6073ee3d0825c7f2bb82c5dbea0c1e99565be445dd5fa92fcacf27486c0757693142",
+    deviceX: "2dcd3c11467098f70bf56bcaa6f4e909125d3a4ccc2222af0859e146dfed7f6e",
+    deviceY: "8e04451c5308025ce5fd9288b7400b43edbdebe7bb156ef9ca080d2d00cea498",
+    // [tag24(DeviceEngagement), tag24(EReaderKey), null]
+    sessionTranscript:
+        "83d8185858a20063312e30018201d818584ba4010220012158202dcd3c11467098f70bf56bcaa6f4e909125d3a4ccc2222af0859e146dfed7f6e2258208e04451c5308025ce5fd9288b7400b43edbdebe7bb156ef9ca080d2d00cea498d818584ba4010220012158209c1f038b050c144516fbb55e57aaac000139b4cfaf6e458c2bdb08a0de8f6073225820ee3d0825c7f2bb82c5dbea0c1e99565be445dd5fa92fcacf27486c0757693142f6",
+    deviceNameSpaces: "a0",
+    docType: "org.iso.18013.5.1.mDL",
+    protectedHeader: "a10105",
+    tag: "19b57835607b988c752e3c20de3912f648ca79a771b917430ab3e505b4fb5e01",
+};
+
+const b64url = (hex) => Buffer.from(hex, "hex").toString("base64url");
+
+async function readerPrivateKey() {
+    const pub = VECTOR.readerPublicKey;
+    return crypto.subtle.importKey(
+        "jwk",
+        {
+            kty: "EC",
+            crv: "P-256",
+            d: b64url(VECTOR.readerPrivateKey),
+            x: b64url(pub.slice(2, 66)),
+            y: b64url(pub.slice(66)),
+        },
+        { name: "ECDH", namedCurve: "P-256" },
+        false,
+        ["deriveBits"],
+    );
+}
+
+function buildDoc(tag) {
+    const CBOR = window.cbor;
+    const deviceKey = new Map([
+        [1, 2],
+        [-1, 1],
+        [-2, fromHex(VECTOR.deviceX)],
+        [-3, fromHex(VECTOR.deviceY)],
+    ]);
+    const mso = new Map([
+        ["docType", VECTOR.docType],
+        ["deviceKeyInfo", new Map([["deviceKey", deviceKey]])],
+    ]);
+    const deviceMac = [fromHex(VECTOR.protectedHeader), new Map(), null, tag];
+    return {
+        docType: VECTOR.docType,
+        signature: { msoDecoded: mso },
+        deviceSigned: {
+            raw: new Map([
+                [
+                    "nameSpaces",
+                    new CBOR.Tagged(24, fromHex(VECTOR.deviceNameSpaces)),
+                ],
+                ["deviceAuth", new Map([["deviceMac", deviceMac]])],
+            ]),
+        },
+    };
+}
+
+test.beforeEach(() => {
+    window.sessionDebug = {
+        sessionTranscript: fromHex(VECTOR.sessionTranscript),
+    };
+});
+
+test("accepts the known-good deviceMac", async () => {
+    const deriveEMacKey = window.SessionCrypto.eMacKeyDeriver(
+        await readerPrivateKey(),
+    );
+    const result = await window.Verification.verifyHolderAuthentication(
+        buildDoc(fromHex(VECTOR.tag)),
+        { deriveEMacKey },
+    );
+    assert.equal(result.authMethod, "MAC");
+    assert.equal(result.valid, true, result.errors.join("; "));
+});
+
+test("rejects a deviceMac with a flipped bit", async () => {
+    const deriveEMacKey = window.SessionCrypto.eMacKeyDeriver(
+        await readerPrivateKey(),
+    );
+    const tag = fromHex(VECTOR.tag);
+    tag[0] ^= 1;
+    const result = await window.Verification.verifyHolderAuthentication(
+        buildDoc(tag),
+        { deriveEMacKey },
+    );
+    assert.equal(result.valid, false);
+});
+
+test("fails without the session's EMacKey derivation", async () => {
+    const result = await window.Verification.verifyHolderAuthentication(
+        buildDoc(fromHex(VECTOR.tag)),
+    );
+    assert.equal(result.valid, false);
+    assert.match(result.errors.join(" "), /EMacKey/);
+});
@@ -0,0 +1,168 @@
+// Request specs come from another origin: names that would reach
+// Object.prototype are refused, and the parsed maps have no prototype.
+// The last tests run <mdoc-verifier> with embed.html's scripts against
+// js/wallet-simulator.js: the result is valid only when the issuer chains
+// to a configured IACA.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, loadPage } = require("./helpers");
+
+load("embed-api.js");
+
+const MDL = "org.iso.18013.5.1.mDL";
+const parse = (documents) =>
+    window.EmbedApi.parseRequestSpec({ purpose: "Age check", documents });
+
+test("parses a request into null-prototype maps", () => {
+    const { documents } = parse([
+        { docType: MDL, elements: ["family_name", "age_over_18"] },
+    ]);
+    const { nameSpaces } = documents[0];
+    assert.equal(Object.getPrototypeOf(nameSpaces), null);
+    assert.equal(Object.getPrototypeOf(nameSpaces["org.iso.18013.5.1"]), null);
+    assert.deepEqual(Object.keys(nameSpaces["org.iso.18013.5.1"]), [
+        "family_name",
+        "age_over_18",
+    ]);
+});
+
+test("rejects __proto__, constructor and prototype as names", () => {
+    for (const name of ["__proto__", "constructor", "prototype"]) {
+        assert.throws(
+            () => parse([{ docType: MDL, elements: [name] }]),
+            /invalid element/,
+        );
+        assert.throws(
+            () =>
+                parse([
+                    {
+                        docType: MDL,
+                        nameSpaces: JSON.parse(`{"${name}": ["x"]}`),
+                    },
+                ]),
+            /must list element names/,
+        );
+        assert.throws(
+            () => parse([{ docType: name, elements: ["x"] }]),
+            /docType is required/,
+        );
+    }
+});
+
+test("a __proto__ namespace does not reach Object.prototype", () => {
+    assert.throws(() =>
+        parse([
+            {
+                docType: MDL,
+                nameSpaces: JSON.parse('{"__proto__": ["polluted"]}'),
+            },
+        ]),
+    );
+    assert.equal({}.polluted, undefined);
+});
+
+// Just enough DOM for <mdoc-verifier> outside a browser
+class FakeNode {
+    constructor() {
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        this.textContent = "";
+    }
+    append(...nodes) {
+        this.children.push(...nodes);
+    }
+    replaceChildren() {
+        this.children = [];
+    }
+    setAttribute() {}
+    addEventListener() {}
+    querySelector() {
+        return new FakeNode();
+    }
+    insertRow() {
+        const row = new FakeNode();
+        row.insertCell = () => new FakeNode();
+        return row;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor() {
+        super();
+        this.listeners = [];
+    }
+    attachShadow() {
+        return new FakeNode();
+    }
+    getAttribute() {
+        return null;
+    }
+    hasAttribute() {
+        return false;
+    }
+    addEventListener(type, listener) {
+        this.listeners.push({ type, listener });
+    }
+    dispatchEvent(event) {
+        for (const { type, listener } of this.listeners)
+            if (type === event.type) listener(event);
+    }
+}
+
+async function verifyInEmbed({ installTrustAnchor }) {
+    const quiet = { ...console, log() {}, info() {}, warn() {}, error() {} };
+    const registry = new Map();
+    const w = loadPage("embed.html", {
+        globals: {
+            console: quiet,
+            location: {
+                search: "?transport=loopback",
+                origin: "http://localhost",
+            },
+            HTMLElement: FakeElement,
+            customElements: {
+                get: (name) => registry.get(name),
+                define: (name, ctor) => registry.set(name, ctor),
+            },
+            document: { createElement: () => new FakeNode() },
+        },
+        extra: ["wallet-simulator.js"],
+    });
+    const issuer = await w.WalletSimulator.createIssuer();
+    if (installTrustAnchor) w.WalletSimulator.installTrustAnchor(issuer);
+    const wallet = await w.WalletSimulator.create({ issuer });
+    w.Transport.setLoopbackPeer(wallet.peer);
+
+    const parsed = w.EmbedApi.parseRequestSpec({
+        purpose: "Age check",
+        documents: [{ docType: MDL, elements: ["family_name", "age_over_18"] }],
+    });
+    const element = new (registry.get("mdoc-verifier"))();
+    element.requestItems = w.EmbedApi.toRequestItems(parsed);
+    const verified = new Promise((resolve, reject) => {
+        element.addEventListener("mdoc-verified", (e) => resolve(e.detail));
+        element.addEventListener("mdoc-error", (e) =>
+            reject(new Error(e.detail.message)),
+        );
+    });
+    await element.engage(wallet.qrPayload);
+    return w.EmbedApi.buildResult(parsed, await verified);
+}
+
+test("a chain reaching a configured IACA gives a valid result", async () => {
+    const result = await verifyInEmbed({ installTrustAnchor: true });
+    assert.equal(result.valid, true);
+    const [doc] = result.documents;
+    assert.equal(doc.verification.chainValid, true);
+    assert.equal(doc.verification.testAnchor, true);
+    assert.equal(doc.claims["org.iso.18013.5.1"].age_over_18, true);
+});
+
+test("without a configured IACA the result is not valid", async () => {
+    const result = await verifyInEmbed({ installTrustAnchor: false });
+    assert.equal(result.valid, false);
+    assert.equal(result.documents[0].verification.signatureValid, true);
+    assert.equal(result.documents[0].verification.chainValid, false);
+});
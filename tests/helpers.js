@@ -0,0 +1,74 @@
+/*
+  Copyright (c) 2026 Stelau
+  Author: Nicolas Chalanset
+
+  Loads the browser scripts from js/ into Node for the tests (node --test)
+     The modules attach themselves to window, so window and self are the
+     Node global here. Exposes:
+      load(...files)      run js/<file> in the global scope, in order
+      loadPage(page, options)
+                          run the js/ scripts of an HTML page, in order, in
+                          a fresh context with its own localStorage; returns
+                          that context (its window)
+      fromHex(hex)        Uint8Array
+*/
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+globalThis.window = globalThis;
+globalThis.self = globalThis;
+
+function load(...files) {
+    for (const file of files) {
+        const source = fs.readFileSync(
+            path.join(__dirname, "..", "js", file),
+            "utf8",
+        );
+        // Indirect eval: global scope, as a <script> tag would run it
+        (0, eval)(source);
+    }
+}
+
+// Camera scanning, JPEG 2000 decoding and the service worker need a browser
+const BROWSER_ONLY = ["jsQR.js", "openjpeg.js", "sw-register.js"];
+
+function pageScripts(page) {
+    const html = fs.readFileSync(path.join(__dirname, "..", page), "utf8");
+    return [...html.matchAll(/<script src="js\/([^"]+)"><\/script>/g)]
+        .map((m) => m[1])
+        .filter((file) => !BROWSER_ONLY.includes(file));
+}
+
+// options.globals: extra globals (DOM stubs, a quiet console)
+// options.extra: scripts to run after the page's own
+function loadPage(page, { globals = {}, extra = [] } = {}) {
+    const store = new Map();
+    const context = vm.createContext({
+        localStorage: {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => void store.set(key, String(value)),
+            removeItem: (key) => void store.delete(key),
+        },
+        location: { search: "", origin: "http://localhost" },
+        ...globals,
+    });
+    // Web APIs Node provides (crypto, TextEncoder, atob, timers…)
+    for (const name of Object.getOwnPropertyNames(globalThis))
+        if (!(name in context)) context[name] = globalThis[name];
+    context.window = context;
+    context.self = context;
+    for (const file of [...pageScripts(page), ...extra]) {
+        const source = fs.readFileSync(
+            path.join(__dirname, "..", "js", file),
+            "utf8",
+        );
+        vm.runInContext(source, context, { filename: file });
+    }
+    return context;
+}
+
+const fromHex = (hex) => Uint8Array.from(Buffer.from(hex, "hex"));
+
+module.exports = { load, loadPage, fromHex };
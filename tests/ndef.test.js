@@ -0,0 +1,72 @@
+// NFC static handover (ISO 18013-5 8.2.2.1) from raw NDEF bytes.
+// The vector is a Handover Select message written by hand:
+//   Hs     MB SR, version 1.5, one ac record (carrier "0", aux "mdoc")
+//   "0"    SR IL, application/vnd.bluetooth.le.oob: peripheral only, UUID
+//   "mdoc" ME IL, iso.org:18013:deviceengagement as a long record (SR
+//          clear) although its payload is 88 bytes
+// The last record is why the raw bytes matter: re-encoding the parsed
+// records turns it into a short record, and the SessionTranscript changes.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, fromHex } = require("./helpers");
+
+load("cbor.min.js", "session-crypto.js", "device-engagement.js");
+
+const HANDOVER_SELECT =
+    "91020f487315d10209616301013001046d646f63" +
+    "1a2015016170706c69636174696f6e2f766e642e626c7565746f6f74682e6c652e6f6f6230021c00110717695ad0e1b0a3a937482c2b74efef45" +
+    "4c1e000000580469736f2e6f72673a31383031333a646576696365656e676167656d656e746d646f63a20063312e30018201d818584ba4010220012158202dcd3c11467098f70bf56bcaa6f4e909125d3a4ccc2222af0859e146dfed7f6e2258208e04451c5308025ce5fd9288b7400b43edbdebe7bb156ef9ca080d2d00cea498";
+
+const DE = () => window.DeviceEngagement;
+
+test("parses a raw Handover Select message", () => {
+    const res = DE().parseNfcHandover(fromHex(HANDOVER_SELECT));
+    assert.equal(res.uuid, "45efef74-2b2c-4837-a9a3-b0e1d05a6917");
+    assert.equal(res.bleRole, 0);
+    assert.equal(res.handoverVersion, "1.5");
+    assert.deepEqual(res.carriers, [
+        { powerState: 1, carrierRef: "0", auxRefs: ["mdoc"] },
+    ]);
+    assert.ok(res.eDeviceKeyBytes);
+});
+
+test("binds the wallet's own bytes into the NFC Handover", () => {
+    const bytes = fromHex(HANDOVER_SELECT);
+    const res = DE().parseNfcHandover(bytes);
+    const [handoverSelect, handoverRequest] = window.cbor.decode(res.handover);
+    assert.equal(Buffer.from(handoverSelect).toString("hex"), HANDOVER_SELECT);
+    assert.equal(handoverRequest, null);
+    // Rebuilding the message from its records loses the long record
+    const rebuilt = DE().encodeNdefMessage(DE().parseNdefMessage(bytes));
+    assert.notEqual(Buffer.from(rebuilt).toString("hex"), HANDOVER_SELECT);
+});
+
+test("throws on truncated record headers", () => {
+    const bytes = fromHex(HANDOVER_SELECT);
+    // Header byte only; no PAYLOAD LENGTH; long record cut inside its
+    // 4-byte PAYLOAD LENGTH
+    for (const cut of [1, 2, 20 + 58 + 4]) {
+        assert.throws(
+            () => DE().parseNdefMessage(bytes.slice(0, cut)),
+            /Truncated NDEF record header/,
+            `cut at ${cut}`,
+        );
+    }
+    assert.throws(
+        () => DE().parseNdefMessage(bytes.slice(0, bytes.length - 1)),
+        /Truncated NDEF record/,
+    );
+});
+
+test("throws on a truncated Alternative Carrier record", () => {
+    // ac payload claims a 4-byte aux reference but the record ends after 2
+    const ac = "d1020761630101300104" + "6d64";
+    const hsPayload = "15" + ac;
+    const hs = `9102${(hsPayload.length / 2).toString(16).padStart(2, "0")}4873${hsPayload}`;
+    const rest = HANDOVER_SELECT.slice(40);
+    assert.throws(
+        () => DE().parseNfcHandover(fromHex(hs + rest)),
+        /Truncated Alternative Carrier record/,
+    );
+});
@@ -0,0 +1,65 @@
+// The verdict each reader page reaches with its own script set: a credential
+// chaining to a configured IACA passes, and none passes before an IACA is
+// configured. The wallet is js/wallet-simulator.js over the loopback
+// transport. index.html verifies each document with verifyCredentialSignature
+// and MdocReaderSession.isDocumentValid, as the session does.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage } = require("./helpers");
+
+const quiet = { ...console, log() {}, info() {}, warn() {}, error() {} };
+// activity-log.js writes to #log
+const document = { getElementById: () => null };
+
+async function readCredential(page, { installTrustAnchor }) {
+    const w = loadPage(page, {
+        globals: { console: quiet, document },
+        extra: page === "index.html" ? [] : ["wallet-simulator.js"],
+    });
+    const issuer = await w.WalletSimulator.createIssuer();
+    if (installTrustAnchor) w.WalletSimulator.installTrustAnchor(issuer);
+    const wallet = await w.WalletSimulator.create({ issuer });
+    const session = w.MdocReaderSession.create({
+        transport: w.Transport.createLoopbackTransport({ peer: wallet.peer }),
+        logger() {},
+        buildDeviceRequest: () =>
+            w.RequestBuilder.buildRequestByType(["mdl_minimal"]),
+    });
+    const verified = new Promise((resolve, reject) => {
+        session.on("verified", resolve);
+        session.on("error", reject);
+    });
+    await session.engage(wallet.qrPayload, "QR");
+    await session.start();
+    return verified;
+}
+
+for (const page of ["index.html", "visitor.html", "unlikability_test.html"]) {
+    test(`${page}: accepts a credential from a configured IACA`, async () => {
+        const { allValid, results } = await readCredential(page, {
+            installTrustAnchor: true,
+        });
+        assert.equal(results.length, 1);
+        assert.equal(results[0].chainValid, true);
+        assert.equal(allValid, true);
+    });
+
+    test(`${page}: rejects every credential with no IACA configured`, async () => {
+        const { allValid, results } = await readCredential(page, {
+            installTrustAnchor: false,
+        });
+        assert.equal(results[0].signatureValid, true);
+        assert.equal(results[0].chainValid, false);
+        assert.match(results[0].errors.join(), /No active IACA/);
+        assert.equal(allValid, false);
+    });
+}
+
+test("pages without the default bundle leave the stored IACAs alone", () => {
+    const w = loadPage("visitor.html", { globals: { console: quiet } });
+    assert.deepEqual(w.IacaManager.getActiveIACAs(), []);
+    // index.html still installs its defaults on the next visit
+    assert.equal(w.localStorage.getItem("mdoc_iaca_version"), null);
+    assert.equal(w.localStorage.getItem("mdoc_iaca_certificates"), null);
+});
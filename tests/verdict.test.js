@@ -0,0 +1,44 @@
+// MdocReaderSession acceptance rule: every check must have passed, not
+// merely "not failed".
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers");
+
+load("mdoc-reader-session.js");
+
+const passing = () => ({
+    signatureValid: true,
+    chainValid: true,
+    claims: { allMatched: true },
+    mdocAuthValid: true,
+    validityValid: true,
+    deviceSignedValid: true,
+    issuerConsistencyValid: true,
+});
+
+test("accepts a result where every check passed", () => {
+    assert.equal(window.MdocReaderSession.isDocumentValid(passing()), true);
+});
+
+test("rejects a result with any check failed or missing", () => {
+    for (const key of Object.keys(passing())) {
+        for (const value of [false, null, undefined]) {
+            const res = passing();
+            if (key === "claims") res.claims = { allMatched: value };
+            else res[key] = value;
+            assert.equal(
+                window.MdocReaderSession.isDocumentValid(res),
+                false,
+                `${key}: ${value}`,
+            );
+        }
+    }
+});
+
+test("a response without documents is not valid", async () => {
+    const { allValid } = await window.MdocReaderSession.verifyDocuments({
+        documents: [],
+    });
+    assert.equal(allValid, false);
+});